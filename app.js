@@ -0,0 +1,55 @@
+// app.js
+// The Express application: middleware and routes. index.js connects to the
+// database, starts the background workers and listens; tests mount the app
+// on their own port.
+import express from 'express';
+import cors from 'cors';
+import carRouter from './routers/carRouter.js';
+import ragRouter from './routers/ragRoute.js';
+import syncRouter from './routers/syncRouter.js';
+import cacheRouter from './routers/cacheRouter.js';
+import apiKeyRouter from './routers/apiKeyRouter.js';
+import usageRouter from './routers/usageRouter.js';
+import importRouter from './routers/importRouter.js';
+import evalRouter from './routers/evalRouter.js';
+import promptRouter from './routers/promptRouter.js';
+import { authenticate, requireAdmin } from './middleware/auth.js';
+import { requestContext } from './middleware/requestContext.js';
+import { rateLimit } from './middleware/rateLimit.js';
+import { isShuttingDown } from './utils/health.js';
+import { getMetrics } from './controllers/metricsController.js';
+import { getLiveness, getReadiness } from './controllers/healthController.js';
+
+const app = express();
+// Request ID and structured access log, first so even rejected bodies are logged
+app.use(requestContext);
+app.use(cors());
+app.use(express.json());
+// While draining, ask keep-alive clients to reconnect (to another instance)
+app.use((req, res, next) => {
+  if (isShuttingDown()) res.set('Connection', 'close');
+  next();
+});
+
+app.get('/', (req, res) => res.json({ message: 'RAG Backend — running' }));
+
+// Probes - no API key, so orchestrators and load balancers can call them
+app.get('/healthz', getLiveness);   // Process is alive
+app.get('/readyz', getReadiness);   // Mongo, vector index, change stream and embedding provider are usable
+
+// Prometheus scrape endpoint; send an admin key as a bearer token
+app.get('/metrics', authenticate, requireAdmin, getMetrics);
+
+// API routes - every route needs an API key; maintenance routes need an admin key
+app.use('/api/v1', authenticate, rateLimit);
+app.use('/api/v1', carRouter);
+app.use('/api/v1/rag', ragRouter);
+app.use('/api/v1/sync', requireAdmin, syncRouter);
+app.use('/api/v1/cache', requireAdmin, cacheRouter);
+app.use('/api/v1/keys', requireAdmin, apiKeyRouter);
+app.use('/api/v1/usage', requireAdmin, usageRouter);
+app.use('/api/v1/imports', requireAdmin, importRouter);
+app.use('/api/v1/eval', requireAdmin, evalRouter);
+app.use('/api/v1/prompts', requireAdmin, promptRouter);
+
+export default app;
@@ -0,0 +1,136 @@
+// controllers/apiKeyController.js
+import mongoose from "mongoose";
+import ApiKey, { API_KEY_ROLES } from "../models/apiKeyModel.js";
+import { createApiKey, describeApiKey, forgetApiKey } from "../utils/apiKeys.js";
+import logger from "../utils/logger.js";
+
+const findKey = (id) => mongoose.isValidObjectId(id) ? ApiKey.findById(id) : null;
+
+const LIMIT_FIELDS = ["rateLimitPerMinute", "dailyChatTokens", "dailyEmbeddingTokens"];
+
+// Optional per-key limits from the request body; null when one is invalid
+const parseLimits = (body) => {
+  const limits = {};
+  for (const field of LIMIT_FIELDS) {
+    if (body[field] === undefined) continue;
+    const value = Number(body[field]);
+    if (!Number.isInteger(value) || value < 0) return null;
+    limits[field] = value;
+  }
+  return limits;
+};
+
+// POST create a key - the plain key is only returned in this response
+export const createKey = async (req, res) => {
+  try {
+    const { name, role } = req.body || {};
+
+    if (!name || typeof name !== "string" || name.trim().length === 0) {
+      return res.status(400).json({ message: "Please provide a key name." });
+    }
+    if (!API_KEY_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${API_KEY_ROLES.join(", ")}` });
+    }
+    const limits = parseLimits(req.body || {});
+    if (!limits) {
+      return res.status(400).json({ message: `${LIMIT_FIELDS.join(", ")} must be non-negative integers` });
+    }
+
+    const { key, apiKey } = await createApiKey({ name: name.trim(), role, limits });
+    logger.info("API key created", { name: apiKey.name, prefix: apiKey.prefix, role, createdBy: req.apiKey?.name || "unauthenticated request" });
+
+    res.status(201).json({
+      message: "API key created. Store it now - it cannot be shown again.",
+      key,
+      apiKey
+    });
+  } catch (error) {
+    logger.error("Error creating API key", error);
+    res.status(500).json({ message: "Failed to create API key", error: error.message });
+  }
+};
+
+// GET all keys (never the key or its hash)
+export const listKeys = async (req, res) => {
+  try {
+    const { includeRevoked } = req.query;
+    const filter = includeRevoked === "true" ? {} : { revokedAt: { $exists: false } };
+    const keys = await ApiKey.find(filter).sort({ createdAt: -1 }).lean();
+
+    res.json({ keys: keys.map(describeApiKey) });
+  } catch (error) {
+    logger.error("Error listing API keys", error);
+    res.status(500).json({ message: "Failed to list API keys", error: error.message });
+  }
+};
+
+// POST revoke a key immediately
+export const revokeKey = async (req, res) => {
+  try {
+    const apiKey = await findKey(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ message: "API key not found" });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+    forgetApiKey(apiKey.keyHash);
+    logger.info("API key revoked", { name: apiKey.name, prefix: apiKey.prefix, revokedBy: req.apiKey?.name || "unauthenticated request" });
+
+    res.json({ message: "API key revoked", apiKey: describeApiKey(apiKey) });
+  } catch (error) {
+    logger.error("Error revoking API key", error);
+    res.status(500).json({ message: "Failed to revoke API key", error: error.message });
+  }
+};
+
+// POST replace a key with a new one of the same name and role. The old key
+// keeps working for `graceSeconds` (default 0) so clients can switch over.
+export const rotateKey = async (req, res) => {
+  try {
+    const { graceSeconds = 0 } = req.body || {};
+    const grace = Number(graceSeconds);
+    const numeric = typeof graceSeconds === "number" || (typeof graceSeconds === "string" && graceSeconds.trim() !== "");
+    if (!numeric || !Number.isFinite(grace) || grace < 0) {
+      return res.status(400).json({ message: "graceSeconds must be a non-negative number" });
+    }
+
+    const apiKey = await findKey(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ message: "API key not found" });
+    }
+    if (apiKey.revokedAt) {
+      return res.status(409).json({ message: "API key is revoked" });
+    }
+
+    const { key, apiKey: replacement } = await createApiKey({
+      name: apiKey.name,
+      role: apiKey.role,
+      rotatedFrom: apiKey._id,
+      limits: Object.fromEntries(
+        LIMIT_FIELDS.filter(field => apiKey[field] !== undefined).map(field => [field, apiKey[field]])
+      )
+    });
+
+    if (grace > 0) {
+      apiKey.expiresAt = new Date(Date.now() + grace * 1000);
+    } else {
+      apiKey.revokedAt = new Date();
+    }
+    await apiKey.save();
+    forgetApiKey(apiKey.keyHash);
+    logger.info("API key rotated", { name: apiKey.name, prefix: apiKey.prefix, newPrefix: replacement.prefix });
+
+    res.status(201).json({
+      message: "API key rotated. Store the new key now - it cannot be shown again.",
+      key,
+      apiKey: replacement,
+      previous: describeApiKey(apiKey)
+    });
+  } catch (error) {
+    logger.error("Error rotating API key", error);
+    res.status(500).json({ message: "Failed to rotate API key", error: error.message });
+  }
+};
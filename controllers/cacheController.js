@@ -0,0 +1,66 @@
+// controllers/cacheController.js
+import { getCacheStore, getCacheStores } from "../utils/cache.js";
+import logger from "../utils/logger.js";
+
+// Stores named by `?store=` / `{ "store" }`, or all of them; null if the name is unknown
+const selectStores = (name) => {
+  if (!name) return getCacheStores();
+  const store = getCacheStore(name);
+  return store ? [store] : null;
+};
+
+// GET hit/miss/eviction counters and size of every cache store
+export const getCacheStats = async (req, res) => {
+  try {
+    const stores = await Promise.all(getCacheStores().map(store => store.stats()));
+    res.json({ backend: process.env.CACHE_STORE || "memory", stores });
+  } catch (error) {
+    logger.error("Error fetching cache stats", error);
+    res.status(500).json({ message: "Failed to fetch cache stats", error: error.message });
+  }
+};
+
+// DELETE every entry (of one store with ?store=name)
+export const clearCache = async (req, res) => {
+  try {
+    const stores = selectStores(req.query.store);
+    if (!stores) {
+      return res.status(404).json({ message: "Cache store not found" });
+    }
+
+    const cleared = {};
+    for (const store of stores) {
+      cleared[store.name] = await store.clear();
+    }
+    logger.info("Cache cleared", { cleared });
+    res.json({ message: "Cache cleared", cleared });
+  } catch (error) {
+    logger.error("Error clearing cache", error);
+    res.status(500).json({ message: "Failed to clear cache", error: error.message });
+  }
+};
+
+// POST remove entries whose key matches a glob pattern, e.g. { "pattern": "*6653f0c2a1b2c3d4e5f60718*" }
+export const purgeCache = async (req, res) => {
+  try {
+    const { pattern, store: name } = req.body || {};
+    if (typeof pattern !== "string" || pattern.length === 0) {
+      return res.status(400).json({ message: "Please provide a key pattern." });
+    }
+
+    const stores = selectStores(name);
+    if (!stores) {
+      return res.status(404).json({ message: "Cache store not found" });
+    }
+
+    const purged = {};
+    for (const store of stores) {
+      purged[store.name] = await store.purge(pattern);
+    }
+    logger.info("Cache purged", { pattern, purged });
+    res.json({ message: "Cache purged", pattern, purged });
+  } catch (error) {
+    logger.error("Error purging cache", error);
+    res.status(500).json({ message: "Failed to purge cache", error: error.message });
+  }
+};
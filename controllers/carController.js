@@ -1,90 +1,53 @@
 import CarProduct from "../models/carModel.js";
 import CarVector from "../models/vectorModel.js";
-import { embeddings } from "../utils/langchainEmbeddings.js";
-import { Document } from "@langchain/core/documents";
-import { RecursiveCharacterTextSplitter } from "@langchain/textsplitters";
-
-// Create a text splitter for consistent document processing
-const textSplitter = new RecursiveCharacterTextSplitter({
-  chunkSize: 1000,
-  chunkOverlap: 200,
-});
-
-// Transform car data into a structured document format
-const 
-transformCarToDocument = (car) => {
-  const content = `Car: ${car.name}
-Brand: ${car.brand}
-Model Year: ${car.modelYear || 'N/A'}
-Category: ${car.category || 'N/A'}
-Description: ${car.description || 'N/A'}
-Price: ${car.price ? `$${car.price}` : 'N/A'}
-Fuel Type: ${car.fuelType || 'N/A'}
-Transmission: ${car.transmission || 'N/A'}
-Engine Capacity: ${car.engineCapacity || 'N/A'}
-Mileage: ${car.mileage || 'N/A'}`;
-
-  return new Document({
-    pageContent: content,
-    metadata: {
-      carId: car._id,
-      name: car.name,
-      brand: car.brand,
-      category: car.category,
-      price: car.price,
-      source: 'car_database'
-    }
-  });
-};
+import { getEmbeddings } from "../utils/providers.js";
+import { buildCarDocuments, replaceCarVectors } from "../utils/carDocuments.js";
+import { getActiveEmbeddingSpec, getTargetEmbeddingSpec } from "../utils/embeddingVersion.js";
+import { bestHitPerCar, searchByVector } from "../utils/vectorStore.js";
+import { clientOf, recordEmbeddingUsage } from "../utils/usage.js";
+import { catalogFilter } from "../utils/queryFilters.js";
+import logger from "../utils/logger.js";
+
+const SIMILAR_CHUNKS_PER_CAR = 3;
+// Price difference (as a fraction of the car's price) reported as "similar price"
+const PRICE_PROXIMITY = 0.15;
 
 // LangChain pipeline for processing car documents
 const processCarDocuments = async (cars) => {
   try {
-    // Step 1: Transform cars into LangChain Documents
-    const documents = cars.map(transformCarToDocument);
+    // Step 1: Build the chunk documents for every car (same builder as the change stream)
+    const chunksPerCar = await Promise.all(cars.map(buildCarDocuments));
+    const allChunks = chunksPerCar.flat();
     
-    // Step 2: Split documents if needed (for very long descriptions)
-    const splitDocs = [];
-    for (const doc of documents) {
-      const splits = await textSplitter.splitDocuments([doc]);
-      splitDocs.push(...splits);
-    }
+    // Step 2: Generate embeddings for all chunks in batch
+    logger.info("Generating embeddings for document chunks", { chunks: allChunks.length });
+    const vectors = await getEmbeddings().embedDocuments(allChunks.map(chunk => chunk.text));
     
-    // Step 3: Generate embeddings for all documents in batch
-    console.log(`🔄 Generating embeddings for ${splitDocs.length} document chunks...`);
-    const texts = splitDocs.map(doc => doc.pageContent);
-    const vectors = await embeddings.embedDocuments(texts);
-    
-    // Step 4: Combine documents with their embeddings
-    const processedDocs = splitDocs.map((doc, index) => ({
-      document: doc,
-      embedding: vectors[index],
-      metadata: doc.metadata
-    }));
-    
-    return processedDocs;
+    // Step 3: Hand each car its own chunks and vectors back
+    let offset = 0;
+    return cars.map((car, index) => {
+      const chunks = chunksPerCar[index];
+      const carVectors = vectors.slice(offset, offset + chunks.length);
+      offset += chunks.length;
+      return { car, chunks, vectors: carVectors };
+    });
     
   } catch (error) {
-    console.error('LangChain pipeline error:', error);
+    logger.error("LangChain pipeline error", error);
     throw new Error(`Pipeline processing failed: ${error.message}`);
   }
 };
 
 export const addCarProduct = async (req, res) => {
   try {
+    // Already validated: one car, or an array of at most MAX_BATCH_SIZE cars (schemas/carSchemas.js)
     const requestData = req.body;
     
     // Check if input is an array (multiple cars) or single car object
     const isArray = Array.isArray(requestData);
     const carDataArray = isArray ? requestData : [requestData];
-    
-    if (carDataArray.length === 0) {
-      return res.status(400).json({ 
-        message: "No car data provided" 
-      });
-    }
 
-    console.log(`🚀 Processing ${carDataArray.length} car(s) using LangChain pipeline...`);
+    logger.info("Processing cars using LangChain pipeline", { cars: carDataArray.length });
 
     const results = [];
     const errors = [];
@@ -95,18 +58,13 @@ export const addCarProduct = async (req, res) => {
       const carData = carDataArray[i];
       
       try {
-        // Validate required fields
-        if (!carData.name || !carData.brand) {
-          throw new Error('Name and brand are required fields');
-        }
-
         const car = await CarProduct.create(carData);
         createdCars.push(car);
         
-        console.log(`✓ Created car record ${i + 1}/${carDataArray.length}: ${car.name}`);
+        logger.info("Created car record", { index: i, total: carDataArray.length, carId: car._id, name: car.name });
 
       } catch (error) {
-        console.error(`✗ Error creating car ${i + 1}:`, error.message);
+        logger.error("Error creating car", { index: i, error });
         errors.push({
           index: i,
           error: error.message,
@@ -119,47 +77,42 @@ export const addCarProduct = async (req, res) => {
     // Step 2: Process embeddings using LangChain pipeline (only for successfully created cars)
     if (createdCars.length > 0) {
       try {
-        console.log(`🔄 Running LangChain pipeline for ${createdCars.length} cars...`);
-        const processedDocs = await processCarDocuments(createdCars);
+        logger.info("Running LangChain pipeline", { cars: createdCars.length });
+        const processedCars = await processCarDocuments(createdCars);
+        const spec = getTargetEmbeddingSpec();
+        recordEmbeddingUsage(
+          clientOf(req),
+          processedCars.flatMap(({ chunks }) => chunks.map(chunk => chunk.text)),
+          spec.model
+        );
         
-        // Step 3: Save embeddings to vector store
-        for (let i = 0; i < processedDocs.length; i++) {
-          const { document, embedding, metadata } = processedDocs[i];
-          
+        // Step 3: Save each car's chunks to the vector store
+        for (const { car, chunks, vectors } of processedCars) {
           try {
-            await CarVector.create({
-              carId: metadata.carId,
-              text: document.pageContent,
-              embedding: embedding,
-              metadata: metadata
-            });
+            await replaceCarVectors(car._id, chunks, vectors, spec);
             
-            // Find the corresponding car result
-            const carIndex = createdCars.findIndex(car => car._id.equals(metadata.carId));
-            if (carIndex !== -1) {
-              results.push({
-                index: carIndex,
-                success: true,
-                car: createdCars[carIndex],
-                message: "Car and embedding created successfully via LangChain pipeline",
-                embeddingChunks: processedDocs.filter(p => p.metadata.carId.equals(metadata.carId)).length
-              });
-            }
+            results.push({
+              index: createdCars.indexOf(car),
+              success: true,
+              car,
+              message: "Car and embedding created successfully via LangChain pipeline",
+              embeddingChunks: chunks.length
+            });
             
           } catch (vectorError) {
-            console.error(`✗ Error saving vector for car ${metadata.name}:`, vectorError.message);
+            logger.error("Error saving vectors for car", { carId: car._id, name: car.name, error: vectorError });
             errors.push({
-              carId: metadata.carId,
+              carId: car._id,
               error: vectorError.message,
               stage: 'vector_creation'
             });
           }
         }
         
-        console.log(`✅ LangChain pipeline completed successfully!`);
+        logger.info("LangChain pipeline completed");
         
       } catch (pipelineError) {
-        console.error('Pipeline processing failed:', pipelineError);
+        logger.error("Pipeline processing failed", pipelineError);
         
         // Mark all created cars as having pipeline errors
         createdCars.forEach((car, index) => {
@@ -207,7 +160,7 @@ export const addCarProduct = async (req, res) => {
     }
 
   } catch (error) {
-    console.error("Error in LangChain pipeline:", error);
+    logger.error("Error in LangChain pipeline", error);
     res.status(500).json({ 
       message: "Failed to process cars with LangChain pipeline", 
       error: error.message 
@@ -218,16 +171,13 @@ export const addCarProduct = async (req, res) => {
 // GET all cars
 export const getAllCars = async (req, res) => {
   try {
-    const { page = 1, limit = 10, brand, category, fuelType } = req.query;
+    const { page = 1, limit = 10 } = req.query;
     
     // Build filter object
-    const filter = {};
-    if (brand) filter.brand = { $regex: brand, $options: 'i' };
-    if (category) filter.category = { $regex: category, $options: 'i' };
-    if (fuelType) filter.fuelType = { $regex: fuelType, $options: 'i' };
+    const filter = catalogFilter(req.query);
 
     const cars = await CarProduct.find(filter)
-      .limit(limit * 1)
+      .limit(limit)
       .skip((page - 1) * limit)
       .sort({ createdAt: -1 });
 
@@ -240,7 +190,7 @@ export const getAllCars = async (req, res) => {
       total
     });
   } catch (error) {
-    console.error("Error fetching cars:", error);
+    logger.error("Error fetching cars", error);
     res.status(500).json({ message: "Failed to fetch cars", error: error.message });
   }
 };
@@ -257,25 +207,114 @@ export const getCarById = async (req, res) => {
 
     res.json({ car });
   } catch (error) {
-    console.error("Error fetching car:", error);
+    logger.error("Error fetching car", error);
     res.status(500).json({ message: "Failed to fetch car", error: error.message });
   }
 };
 
-// PUT update car by ID (this will trigger change stream)
-export const updateCar = async (req, res) => {
+// A car's position in embedding space: the mean of its chunk vectors, unit length
+const meanEmbedding = (vectors) => {
+  const mean = new Array(vectors[0].length).fill(0);
+  for (const vector of vectors) {
+    vector.forEach((value, i) => { mean[i] += value / vectors.length; });
+  }
+  const length = Math.sqrt(mean.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return mean.map(value => value / length);
+};
+
+// Why a recommended car matched the one being viewed
+const matchReasons = (source, car, priceProximity) => {
+  const reasons = [];
+  if (source.category && car.category === source.category) {
+    reasons.push({ type: "category", message: `Same category (${car.category})` });
+  }
+  if (source.fuelType && car.fuelType === source.fuelType) {
+    reasons.push({ type: "fuelType", message: `Same fuel type (${car.fuelType})` });
+  }
+  if (source.price && car.price) {
+    const difference = Math.abs(car.price - source.price) / source.price;
+    if (difference <= priceProximity) {
+      reasons.push({
+        type: "price",
+        message: `Similar price (within ${Math.max(1, Math.round(difference * 100))}%)`
+      });
+    }
+  }
+  return reasons;
+};
+
+// GET cars similar to a car, from its stored embeddings (nothing is re-embedded)
+export const getSimilarCars = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const { limit, excludeSameBrand, priceBand, availableOnly } = req.query;
+
+    const car = await CarProduct.findById(id).lean();
+    if (!car) {
+      return res.status(404).json({ message: "Car not found" });
+    }
 
-    // Validate required fields if they're being updated
-    if (updateData.name !== undefined && !updateData.name) {
-      return res.status(400).json({ message: "Name cannot be empty" });
+    const spec = await getActiveEmbeddingSpec();
+    const chunks = await CarVector.find({ carId: car._id, embeddingVersion: spec.version })
+      .select("embedding")
+      .lean();
+    if (chunks.length === 0) {
+      return res.status(409).json({ message: "Car has not been embedded yet" });
     }
-    if (updateData.brand !== undefined && !updateData.brand) {
-      return res.status(400).json({ message: "Brand cannot be empty" });
+
+    // priceBand is a percentage around this car's price, e.g. 20 -> +/-20%
+    const band = priceBand ? priceBand / 100 : null;
+
+    const conditions = [{ carId: { $ne: car._id } }];
+    if (excludeSameBrand) conditions.push({ "metadata.brand": { $ne: car.brand } });
+    if (availableOnly) conditions.push({ "metadata.available": { $eq: true } });
+    if (band && car.price) {
+      conditions.push({
+        "metadata.price": { $gte: car.price * (1 - band), $lte: car.price * (1 + band) }
+      });
     }
 
+    const scored = await searchByVector(
+      meanEmbedding(chunks.map(chunk => chunk.embedding)),
+      limit * SIMILAR_CHUNKS_PER_CAR,
+      { $and: conditions }
+    );
+    const hits = bestHitPerCar(scored).slice(0, limit);
+
+    // Reasons and prices come from the live catalog records
+    const similar = await CarProduct.find({ _id: { $in: hits.map(hit => hit.carId) } }).lean();
+    const similarById = new Map(similar.map(other => [other._id.toString(), other]));
+
+    res.json({
+      carId: car._id,
+      similar: hits
+        .filter(hit => similarById.has(hit.carId))
+        .map(hit => {
+          const other = similarById.get(hit.carId);
+          return {
+            car: other,
+            score: Number(hit.score.toFixed(4)),
+            reasons: matchReasons(car, other, band || PRICE_PROXIMITY)
+          };
+        })
+    });
+  } catch (error) {
+    logger.error("Error fetching similar cars", error);
+    res.status(500).json({ message: "Failed to fetch similar cars", error: error.message });
+  }
+};
+
+// PUT update car by ID (this will trigger change stream)
+export const updateCar = async (req, res) => {
+  try {
+    const { id } = req.params;
+    // Only known car fields get here (schemas/carSchemas.js), never _id or timestamps
+    const { externalId, ...fields } = req.body;
+    // The sparse unique index skips missing keys but not nulls: a cleared externalId is removed
+    const updateData = externalId === null
+      ? { ...(Object.keys(fields).length && { $set: fields }), $unset: { externalId: 1 } }
+      : { $set: req.body };
+
     const car = await CarProduct.findByIdAndUpdate(
       id, 
       updateData, 
@@ -286,17 +325,20 @@ export const updateCar = async (req, res) => {
       return res.status(404).json({ message: "Car not found" });
     }
 
-    console.log(`🔄 Car updated: ${car.name} - Change stream will handle vector update`);
+    logger.info("Car updated, change stream will handle vector update", { carId: car._id, name: car.name });
 
     res.json({
       message: "Car updated successfully. Vector embeddings will be updated automatically.",
       car
     });
   } catch (error) {
-    console.error("Error updating car:", error);
+    logger.error("Error updating car", error);
     if (error.name === 'ValidationError') {
       return res.status(400).json({ message: "Validation error", error: error.message });
     }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "Another car already has this externalId", externalId: error.keyValue?.externalId });
+    }
     res.status(500).json({ message: "Failed to update car", error: error.message });
   }
 };
@@ -312,14 +354,14 @@ export const deleteCar = async (req, res) => {
       return res.status(404).json({ message: "Car not found" });
     }
 
-    console.log(`🗑️ Car deleted: ${car.name} - Change stream will handle vector cleanup`);
+    logger.info("Car deleted, change stream will handle vector cleanup", { carId: car._id, name: car.name });
 
     res.json({
       message: "Car deleted successfully. Vector embeddings will be cleaned up automatically.",
       deletedCar: car
     });
   } catch (error) {
-    console.error("Error deleting car:", error);
+    logger.error("Error deleting car", error);
     res.status(500).json({ message: "Failed to delete car", error: error.message });
   }
 };
@@ -329,21 +371,16 @@ export const addSingleCar = async (req, res) => {
   try {
     const carData = req.body;
 
-    // Validate required fields
-    if (!carData.name || !carData.brand) {
-      return res.status(400).json({ message: "Name and brand are required fields" });
-    }
-
     const car = await CarProduct.create(carData);
 
-    console.log(`➕ Single car added: ${car.name} - Change stream will handle vector creation`);
+    logger.info("Single car added, change stream will handle vector creation", { carId: car._id, name: car.name });
 
     res.status(201).json({
       message: "Car added successfully. Vector embeddings will be generated automatically.",
       car
     });
   } catch (error) {
-    console.error("Error adding single car:", error);
+    logger.error("Error adding single car", error);
     if (error.name === 'ValidationError') {
       return res.status(400).json({ message: "Validation error", error: error.message });
     }
@@ -353,21 +390,3 @@ export const addSingleCar = async (req, res) => {
     res.status(500).json({ message: "Failed to add car", error: error.message });
   }
 };
-
-// GET vector count for testing
-// export const getVectorStats = async (req, res) => {
-//   try {
-//     const carCount = await CarProduct.countDocuments();
-//     const vectorCount = await CarVector.countDocuments();
-    
-//     res.json({
-//       carCount,
-//       vectorCount,
-//       syncStatus: carCount === vectorCount ? 'synced' : 'out-of-sync',
-//       message: "Vector sync statistics"
-//     });
-//   } catch (error) {
-//     console.error("Error getting vector stats:", error);
-//     res.status(500).json({ message: "Failed to get stats", error: error.message });
-//   }
-// };
@@ -0,0 +1,133 @@
+// controllers/compareController.js
+import mongoose from "mongoose";
+import CarProduct from "../models/carModel.js";
+import { transformCarToDocument } from "../utils/carDocuments.js";
+import { enforceGrounding } from "../utils/grounding.js";
+import { escapeRegex } from "../utils/queryFilters.js";
+import { getChatModel } from "../utils/providers.js";
+import { getDealershipName } from "../utils/promptTemplates.js";
+import { usageCallbacks } from "../utils/usage.js";
+import logger from "../utils/logger.js";
+
+// Spec table rows, in display order
+const SPEC_FIELDS = [
+  { field: "price", label: "Price" },
+  { field: "modelYear", label: "Model Year" },
+  { field: "fuelType", label: "Fuel Type" },
+  { field: "transmission", label: "Transmission" },
+  { field: "engineCapacity", label: "Engine Capacity" },
+  { field: "mileage", label: "Mileage" }
+];
+
+const comparePrompt = () => `You are ${getDealershipName()} Car Assistant. Compare the cars below using ONLY these records. Refer to each car by its label (e.g. [Car 1]). Always include exact prices. If a spec is missing for a car, say it is not listed - never guess. Be concise and end with who each car suits best.`;
+
+/**
+ * Resolve an ID or a name to one car. Names match case-insensitively, exact
+ * name first, then partial; a partial name matching several cars is ambiguous.
+ */
+const resolveCar = async (reference) => {
+  if (mongoose.isValidObjectId(reference)) {
+    const car = await CarProduct.findById(reference).lean();
+    if (car) return { car };
+  }
+
+  const exact = await CarProduct.find({ name: { $regex: `^${escapeRegex(reference)}$`, $options: "i" } }).lean();
+  if (exact.length === 1) return { car: exact[0] };
+
+  const candidates = exact.length > 1
+    ? exact
+    : await CarProduct.find({ name: { $regex: escapeRegex(reference), $options: "i" } }).limit(10).lean();
+  if (candidates.length === 1) return { car: candidates[0] };
+
+  return { candidates };
+};
+
+// Deterministic table straight from the catalog records (no LLM involved)
+const buildSpecTable = (cars) => ({
+  cars: cars.map((car, index) => ({ label: `Car ${index + 1}`, _id: car._id, name: car.name, brand: car.brand })),
+  rows: SPEC_FIELDS.map(({ field, label }) => ({
+    field,
+    label,
+    values: cars.map(car => car[field] ?? null)
+  }))
+});
+
+// Same "[Car n]" record format the /ask context uses, with the live price
+const buildCompareContext = (cars) => cars
+  .map((car, index) => {
+    let text = transformCarToDocument(car).pageContent;
+    if (car.price) text += `\nCURRENT PRICE: $${car.price}`;
+    return `[Car ${index + 1}]\n${text}`;
+  })
+  .join("\n\n---\n\n");
+
+// POST compare 2-4 cars side by side
+export const compareCars = async (req, res) => {
+  try {
+    // 2-4 trimmed, non-empty IDs or names (schemas/ragSchemas.js)
+    const { cars: references } = req.body;
+
+    const startTime = Date.now();
+    const resolved = await Promise.all(references.map(resolveCar));
+
+    const unresolved = references
+      .map((reference, index) => ({ reference, candidates: resolved[index].candidates }))
+      .filter(({ candidates }) => candidates);
+    if (unresolved.length > 0) {
+      return res.status(404).json({
+        message: "Some cars could not be resolved",
+        unresolved: unresolved.map(({ reference, candidates }) => ({
+          reference,
+          // Several partial matches: the caller should pick one
+          candidates: candidates.map(car => ({ _id: car._id, name: car.name, brand: car.brand }))
+        }))
+      });
+    }
+
+    const cars = resolved.map(result => result.car);
+    if (new Set(cars.map(car => car._id.toString())).size !== cars.length) {
+      return res.status(400).json({ message: "Please provide different cars to compare." });
+    }
+
+    const llm = getChatModel({ maxTokens: 500, callbacks: usageCallbacks(req) });
+    const question = `Compare ${cars.map((car, index) => `${car.name} [Car ${index + 1}]`).join(", ")}.`;
+    const messages = [
+      {
+        role: "system",
+        content: `${comparePrompt()}
+
+Context:
+${buildCompareContext(cars)}`
+      },
+      { role: "user", content: question }
+    ];
+    const llmStartTime = Date.now();
+    const response = await llm.invoke(messages);
+    const llmTime = Date.now() - llmStartTime;
+
+    // Same price / year / name check as /ask, against the compared records
+    const { answer: comparison, grounding } = await enforceGrounding({
+      answer: response.content,
+      query: question,
+      records: cars.map((car, index) => ({ label: `Car ${index + 1}`, carId: car._id.toString(), car })),
+      regenerate: async (correction) => (await llm.invoke([
+        ...messages,
+        { role: "assistant", content: response.content },
+        { role: "user", content: correction }
+      ])).content
+    });
+
+    logger.info("Compared cars", { cars: cars.length, totalMs: Date.now() - startTime, llmMs: llmTime });
+
+    res.json({
+      cars,
+      specTable: buildSpecTable(cars),
+      comparison,
+      grounding,
+      responseTime: `${Date.now() - startTime}ms`
+    });
+  } catch (error) {
+    logger.error("Error comparing cars", error);
+    res.status(500).json({ message: "Failed to compare cars", error: error.message });
+  }
+};
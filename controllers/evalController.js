@@ -0,0 +1,154 @@
+// controllers/evalController.js
+import GoldenSet from "../models/goldenSetModel.js";
+import EvalRun from "../models/evalRunModel.js";
+import {
+  createEvalRun,
+  getGoldenSet,
+  getRunningEvalRun,
+  runEvaluation,
+  saveGoldenSet
+} from "../utils/evaluation.js";
+import { getPromptVersion } from "../utils/promptTemplates.js";
+import { clientOf } from "../utils/usage.js";
+import logger from "../utils/logger.js";
+
+// POST save a golden set as the next version of its name
+export const createGoldenSet = async (req, res) => {
+  try {
+    const client = clientOf(req);
+    const outcome = await saveGoldenSet(req.body, { clientId: client.id, name: client.name });
+    if (outcome.errors) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: outcome.errors.map(error => ({ location: "body", ...error }))
+      });
+    }
+
+    res.status(outcome.created ? 201 : 200).json({
+      message: outcome.created
+        ? `Saved version ${outcome.set.version} of golden set "${outcome.set.name}"`
+        : `Golden set "${outcome.set.name}" is unchanged, still version ${outcome.set.version}`,
+      set: outcome.set
+    });
+  } catch (error) {
+    logger.error("Error saving golden set", error);
+    res.status(500).json({ message: "Failed to save golden set", error: error.message });
+  }
+};
+
+// GET latest version of every golden set (without the questions)
+export const listGoldenSets = async (req, res) => {
+  try {
+    const sets = await GoldenSet.aggregate([
+      { $sort: { name: 1, version: -1 } },
+      {
+        $group: {
+          _id: "$name",
+          version: { $first: "$version" },
+          description: { $first: "$description" },
+          questions: { $first: { $size: "$questions" } },
+          versions: { $sum: 1 },
+          updatedAt: { $first: "$createdAt" }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+    res.json({ sets: sets.map(({ _id, ...set }) => ({ name: _id, ...set })) });
+  } catch (error) {
+    logger.error("Error fetching golden sets", error);
+    res.status(500).json({ message: "Failed to fetch golden sets", error: error.message });
+  }
+};
+
+// GET one golden set with its questions (latest version unless ?version=)
+export const getGoldenSetByName = async (req, res) => {
+  try {
+    const set = await getGoldenSet(req.params.name, req.query.version);
+    if (!set) {
+      return res.status(404).json({ message: "Golden set not found" });
+    }
+    res.json({ set });
+  } catch (error) {
+    logger.error("Error fetching golden set", error);
+    res.status(500).json({ message: "Failed to fetch golden set", error: error.message });
+  }
+};
+
+// POST evaluate a golden set in the background
+export const createEvaluationRun = async (req, res) => {
+  try {
+    const { set: name, version, k, promptVersion } = req.body;
+
+    const set = await getGoldenSet(name, version);
+    if (!set) {
+      return res.status(404).json({ message: "Golden set not found" });
+    }
+    if (promptVersion && !await getPromptVersion(promptVersion)) {
+      return res.status(404).json({ message: "Prompt version not found" });
+    }
+
+    // Runs are compared with each other, so they should not compete for the model
+    const running = await getRunningEvalRun();
+    if (running) {
+      return res.status(409).json({ message: "An evaluation run is already running", run: running });
+    }
+
+    const client = clientOf(req);
+    const run = await createEvalRun(set, { k, promptVersion, createdBy: { clientId: client.id, name: client.name } });
+
+    // Runs in the background; progress is read from the run document
+    runEvaluation(run._id);
+
+    logger.info("Evaluation queued", { runId: run._id, set: set.name, version: set.version, client: client.name });
+
+    res.status(202).json({
+      message: `Evaluation started. Track progress with GET /api/v1/eval/runs/${run._id}.`,
+      run
+    });
+  } catch (error) {
+    logger.error("Error starting evaluation", error);
+    res.status(500).json({ message: "Failed to start evaluation", error: error.message });
+  }
+};
+
+// GET recent runs, newest first, without per-question results
+export const listEvaluationRuns = async (req, res) => {
+  try {
+    const { set, page, limit } = req.query;
+    const filter = set ? { setName: set } : {};
+
+    const [runs, total] = await Promise.all([
+      EvalRun.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select("-results -diff.questions")
+        .lean(),
+      EvalRun.countDocuments(filter)
+    ]);
+
+    res.json({
+      runs,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    logger.error("Error fetching evaluation runs", error);
+    res.status(500).json({ message: "Failed to fetch evaluation runs", error: error.message });
+  }
+};
+
+// GET one run with its scores, per-question results and diff
+export const getEvaluationRun = async (req, res) => {
+  try {
+    const run = await EvalRun.findById(req.params.id).lean();
+    if (!run) {
+      return res.status(404).json({ message: "Evaluation run not found" });
+    }
+    res.json({ run });
+  } catch (error) {
+    logger.error("Error fetching evaluation run", error);
+    res.status(500).json({ message: "Failed to fetch evaluation run", error: error.message });
+  }
+};
@@ -0,0 +1,84 @@
+// controllers/exportController.js
+import CarProduct from "../models/carModel.js";
+import { createSerializer, EXPORT_FORMATS, loadSyncStatus } from "../utils/catalogExport.js";
+import { getActiveEmbeddingSpec } from "../utils/embeddingVersion.js";
+import { catalogFilter } from "../utils/queryFilters.js";
+import logger from "../utils/logger.js";
+
+// Cars read from the cursor (and looked up in CarVector) at a time
+const EXPORT_BATCH_SIZE = 200;
+
+// Resolves once the client has taken the buffered output, or has gone away
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off("drain", done);
+    res.off("close", done);
+    resolve();
+  };
+  res.on("drain", done);
+  res.on("close", done);
+});
+
+const write = async (res, chunk) => {
+  if (chunk && !res.write(chunk)) await waitForDrain(res);
+};
+
+// GET stream the catalog as CSV, NDJSON or JSON (same filters as GET /cars)
+export const exportCars = async (req, res) => {
+  const { format, includeSyncStatus } = req.query;
+  const serializer = createSerializer(format, { includeSyncStatus });
+  let cursor;
+
+  try {
+    const activeVersion = includeSyncStatus ? (await getActiveEmbeddingSpec()).version : null;
+    // _id order is index-backed, so the cursor never sorts the collection in memory
+    cursor = CarProduct.find(catalogFilter(req.query))
+      .sort({ _id: 1 })
+      .select("-__v")
+      .lean()
+      .cursor({ batchSize: EXPORT_BATCH_SIZE });
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    res.set("Content-Type", contentType);
+    res.set("Content-Disposition", `attachment; filename="cars-${new Date().toISOString().slice(0, 10)}.${extension}"`);
+
+    let closed = false;
+    res.on("close", () => { closed = true; });
+
+    let exported = 0;
+    let batch = [];
+    const flush = async () => {
+      const status = includeSyncStatus ? await loadSyncStatus(batch, activeVersion) : null;
+      for (const car of batch) {
+        if (closed) return;
+        await write(res, serializer.item(status ? { ...car, sync: status.get(car._id.toString()) } : car, exported++));
+      }
+      batch = [];
+    };
+
+    await write(res, serializer.start);
+    for await (const car of cursor) {
+      if (closed) break;
+      batch.push(car);
+      if (batch.length >= EXPORT_BATCH_SIZE) await flush();
+    }
+    if (batch.length > 0 && !closed) await flush();
+
+    if (closed) {
+      logger.warn("Export aborted by the client", { exported });
+      return;
+    }
+    await write(res, serializer.end);
+    res.end();
+    logger.info("Exported catalog", { exported, format, includeSyncStatus });
+  } catch (error) {
+    logger.error("Error exporting cars", error);
+    if (!res.headersSent) {
+      return res.status(500).json({ message: "Failed to export cars", error: error.message });
+    }
+    // Part of the file is already out: cut the connection so it is not mistaken for a complete export
+    res.destroy(error);
+  } finally {
+    await cursor?.close().catch(() => {});
+  }
+};
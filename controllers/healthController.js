@@ -0,0 +1,23 @@
+// controllers/healthController.js
+import { isShuttingDown, runReadinessChecks } from "../utils/health.js";
+import logger from "../utils/logger.js";
+
+// GET liveness: the process is up and its event loop responds
+export const getLiveness = (req, res) => {
+  res.json({ status: "ok", uptime: Math.round(process.uptime()) });
+};
+
+// GET readiness: every dependency needed to serve traffic is reachable
+export const getReadiness = async (req, res) => {
+  try {
+    const report = await runReadinessChecks();
+    if (!report.ready) {
+      const failed = Object.entries(report.checks).filter(([, check]) => check.status === "fail").map(([name]) => name);
+      logger.warn("Readiness check failed", { failed, shuttingDown: report.shuttingDown });
+    }
+    res.status(report.ready ? 200 : 503).json({ status: report.ready ? "ready" : "not ready", ...report });
+  } catch (error) {
+    logger.error("Error running readiness checks", error);
+    res.status(503).json({ status: "not ready", shuttingDown: isShuttingDown(), error: error.message });
+  }
+};
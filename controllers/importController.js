@@ -0,0 +1,106 @@
+// controllers/importController.js
+import path from "path";
+import ImportJob from "../models/importJobModel.js";
+import {
+  getImportBatchSize,
+  getRunningImportJob,
+  prepareImport,
+  runImportJob
+} from "../utils/catalogImport.js";
+import { clientOf } from "../utils/usage.js";
+import logger from "../utils/logger.js";
+
+const FORMAT_BY_EXTENSION = { ".csv": "csv", ".ndjson": "ndjson", ".jsonl": "ndjson" };
+const FORMAT_BY_MIME_TYPE = { "text/csv": "csv", "application/x-ndjson": "ndjson", "application/jsonl": "ndjson" };
+
+const withPercent = (job) => ({
+  ...job,
+  percent: job.total ? Math.min(100, Math.round((job.processed / job.total) * 100)) : 100
+});
+
+// POST upload a CSV / NDJSON feed and import it in the background
+export const createImport = async (req, res) => {
+  try {
+    const { file } = req;
+    const { mapping = {}, externalKey, batchSize } = req.body;
+    const format = req.body.format ||
+      FORMAT_BY_EXTENSION[path.extname(file.originalname || "").toLowerCase()] ||
+      FORMAT_BY_MIME_TYPE[file.mimetype];
+
+    if (!format) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: [{ location: "body", field: "format", message: "Could not tell the file format. Send format=csv or format=ndjson." }]
+      });
+    }
+
+    // One import at a time keeps embedding traffic predictable
+    const running = await getRunningImportJob();
+    if (running) {
+      return res.status(409).json({ message: "An import is already running", job: withPercent(running) });
+    }
+
+    const prepared = prepareImport(file.buffer, { format, mapping, externalKey });
+    if (prepared.errors) {
+      return res.status(400).json({
+        message: "The file cannot be imported",
+        errors: prepared.errors.map(error => ({ location: "body", ...error }))
+      });
+    }
+
+    const client = clientOf(req);
+    const job = (await ImportJob.create({
+      format,
+      fileName: file.originalname,
+      mapping,
+      externalKey,
+      ignoredColumns: prepared.ignoredColumns,
+      batchSize: batchSize || getImportBatchSize(),
+      total: prepared.rows.length,
+      createdBy: { clientId: client.id, name: client.name },
+      heartbeatAt: new Date()
+    })).toObject();
+
+    // Runs in the background; progress is read from the job document
+    runImportJob(job._id, prepared.rows);
+
+    logger.info("Import queued", { jobId: job._id, client: client.name, rows: job.total, ignoredColumns: prepared.ignoredColumns });
+
+    res.status(202).json({
+      message: `Import started. Track progress with GET /api/v1/imports/${job._id}.`,
+      job: withPercent(job)
+    });
+  } catch (error) {
+    logger.error("Error starting import", error);
+    res.status(500).json({ message: "Failed to start import", error: error.message });
+  }
+};
+
+// GET progress and per-row errors of one import
+export const getImportJob = async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.jobId).lean();
+    if (!job) {
+      return res.status(404).json({ message: "Import job not found" });
+    }
+    res.json({ job: withPercent(job) });
+  } catch (error) {
+    logger.error("Error fetching import job", error);
+    res.status(500).json({ message: "Failed to fetch import job", error: error.message });
+  }
+};
+
+// GET recent imports (most recent first, without row errors)
+export const listImportJobs = async (req, res) => {
+  try {
+    const jobs = await ImportJob.find()
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .select("-rowErrors")
+      .lean();
+    res.json({ jobs: jobs.map(withPercent) });
+  } catch (error) {
+    logger.error("Error fetching import jobs", error);
+    res.status(500).json({ message: "Failed to fetch import jobs", error: error.message });
+  }
+};
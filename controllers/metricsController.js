@@ -0,0 +1,13 @@
+// controllers/metricsController.js
+import { renderMetrics } from "../utils/metrics.js";
+import logger from "../utils/logger.js";
+
+// GET Prometheus metrics of this process
+export const getMetrics = (req, res) => {
+  try {
+    res.type("text/plain; version=0.0.4; charset=utf-8").send(renderMetrics());
+  } catch (error) {
+    logger.error("Error rendering metrics", error);
+    res.status(500).json({ message: "Failed to render metrics", error: error.message });
+  }
+};
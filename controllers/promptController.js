@@ -0,0 +1,110 @@
+// controllers/promptController.js
+import PromptVersion from "../models/promptVersionModel.js";
+import {
+  PROMPT_VARIABLES,
+  REQUIRED_VARIABLES,
+  createPromptVersion,
+  getPromptState,
+  setActivePromptVersion,
+  startPromptExperiment,
+  stopPromptExperiment
+} from "../utils/promptTemplates.js";
+import { clientOf } from "../utils/usage.js";
+import logger from "../utils/logger.js";
+
+// GET every prompt version (newest first), the active one and the running experiment
+export const listPromptVersions = async (req, res) => {
+  try {
+    const state = await getPromptState();
+    const versions = await PromptVersion.find().sort({ version: -1 }).lean();
+    res.json({
+      ...state,
+      variables: PROMPT_VARIABLES,
+      requiredVariables: REQUIRED_VARIABLES,
+      versions
+    });
+  } catch (error) {
+    logger.error("Error fetching prompt versions", error);
+    res.status(500).json({ message: "Failed to fetch prompt versions", error: error.message });
+  }
+};
+
+// GET one prompt version
+export const getPromptVersionById = async (req, res) => {
+  try {
+    const prompt = await PromptVersion.findOne({ version: req.params.version }).lean();
+    if (!prompt) {
+      return res.status(404).json({ message: "Prompt version not found" });
+    }
+    res.json({ prompt });
+  } catch (error) {
+    logger.error("Error fetching prompt version", error);
+    res.status(500).json({ message: "Failed to fetch prompt version", error: error.message });
+  }
+};
+
+// POST save a template as the next version (and make it active with { "activate": true })
+export const createPrompt = async (req, res) => {
+  try {
+    const client = clientOf(req);
+    const outcome = await createPromptVersion(req.body, { clientId: client.id, name: client.name });
+    if (outcome.errors) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: outcome.errors.map(message => ({ location: "body", field: "template", message }))
+      });
+    }
+
+    res.status(201).json({
+      message: `Saved prompt version ${outcome.version.version}${req.body.activate ? " and made it active" : ""}`,
+      prompt: outcome.version
+    });
+  } catch (error) {
+    logger.error("Error saving prompt version", error);
+    res.status(500).json({ message: "Failed to save prompt version", error: error.message });
+  }
+};
+
+// POST make a version the one answers use
+export const activatePromptVersion = async (req, res) => {
+  try {
+    const state = await setActivePromptVersion(req.params.version);
+    if (!state) {
+      return res.status(404).json({ message: "Prompt version not found" });
+    }
+    res.json({
+      message: state.experiment
+        ? `Prompt version ${state.activeVersion} is active. Sessions stay split by the running experiment until it is stopped.`
+        : `Prompt version ${state.activeVersion} is active`,
+      ...state
+    });
+  } catch (error) {
+    logger.error("Error activating prompt version", error);
+    res.status(500).json({ message: "Failed to activate prompt version", error: error.message });
+  }
+};
+
+// PUT start (or replace) an A/B experiment between prompt versions
+export const startExperiment = async (req, res) => {
+  try {
+    const outcome = await startPromptExperiment(req.body.variants);
+    if (outcome.missing) {
+      return res.status(404).json({ message: "Prompt version not found", versions: outcome.missing });
+    }
+    res.json({ message: "Prompt experiment started", ...outcome });
+  } catch (error) {
+    logger.error("Error starting prompt experiment", error);
+    res.status(500).json({ message: "Failed to start prompt experiment", error: error.message });
+  }
+};
+
+// DELETE stop the experiment; sessions go back to the active version
+export const stopExperiment = async (req, res) => {
+  try {
+    const state = await stopPromptExperiment();
+    res.json({ message: "Prompt experiment stopped", ...state });
+  } catch (error) {
+    logger.error("Error stopping prompt experiment", error);
+    res.status(500).json({ message: "Failed to stop prompt experiment", error: error.message });
+  }
+};
@@ -1,170 +1,281 @@
 // controllers/ragController.js
-import { OpenAIEmbeddings, ChatOpenAI } from "@langchain/openai";
-import { MongoDBAtlasVectorSearch } from "@langchain/mongodb";
-import { RunnableSequence } from "@langchain/core/runnables";
-import { PromptTemplate } from "@langchain/core/prompts";
-import mongoPool from "../utils/mongoPool.js";
-import { ragCache } from "../utils/cache.js";
+import { answerCache } from "../utils/answerCache.js";
+import { openEventStream, wantsEventStream } from "../utils/sse.js";
+import {
+  appendTurn,
+  condenseQuestion,
+  loadSession,
+  trimHistoryToBudget
+} from "../utils/chatHistory.js";
+import { extractConstraints } from "../utils/queryFilters.js";
+import { buildMessages, buildSources, groundAnswer, retrieveContext } from "../utils/ragPipeline.js";
+import { selectPrompt } from "../utils/promptTemplates.js";
+import { getChatModel } from "../utils/providers.js";
+import { clientOf, recordEmbeddingUsage, usageCallbacks } from "../utils/usage.js";
+import logger from "../utils/logger.js";
+
+// Semantic cache lookup, first turns only - follow-up answers depend on history.
+// Returns null when the answer must not be cached.
+const lookupCache = async (req, query, history, prompt) => {
+  if (history.length > 0) return null;
+  const filters = await extractConstraints(query);
+  const { key, hit } = await answerCache.lookup(query, filters, prompt.version);
+  recordEmbeddingUsage(clientOf(req), query);
+  return { filters, key, hit };
+};
+
+// Follow-ups skip the cache, so their standalone question is embedded by the vector search
+const recordRetrievalEmbedding = (req, cacheLookup, standaloneQuery) => {
+  if (!cacheLookup) recordEmbeddingUsage(clientOf(req), standaloneQuery);
+};
+
+// Reuse the lookup's filters and query embedding for the vector search
+const precomputedFrom = (cacheLookup) =>
+  cacheLookup ? { filters: cacheLookup.filters, embedding: cacheLookup.key.embedding } : undefined;
+
+// Cached answers remember their cars, so a change to one of them evicts the answer
+const cacheAnswer = async (cacheLookup, responseData) => {
+  if (!cacheLookup) return;
+  await answerCache.set(cacheLookup.key, responseData, responseData.sources.map(source => source.carId));
+};
 
 export const askCarAssistant = async (req, res) => {
+  // Clients asking for an event stream get the token-by-token variant
+  if (wantsEventStream(req)) {
+    return streamCarAssistant(req, res);
+  }
+
   try {
-    const { query } = req.body;
+    // query is trimmed and at most MAX_QUERY_LENGTH characters (schemas/ragSchemas.js)
+    const { query, sessionId } = req.body;
 
-    if (!query || query.trim().length === 0) {
-      return res.status(400).json({ message: "Please provide a question." });
+    const session = await loadSession(sessionId, query, req.apiKey);
+    if (!session) {
+      return res.status(404).json({ message: "Chat session not found" });
     }
+    const history = trimHistoryToBudget(session.messages);
+    // The session's prompt version: the active one, or its A/B variant
+    const prompt = await selectPrompt(session);
 
-    // 🚀 Check cache first (normalize query for better hit rate)
-    const cacheKey = query.toLowerCase().trim();
-    const cachedResponse = ragCache.get(cacheKey);
+    // 🚀 Check cache first (similar earlier question with the same constraints)
+    const cacheLookup = await lookupCache(req, query, history, prompt);
+    const cachedResponse = cacheLookup?.hit;
     
     if (cachedResponse) {
-      console.log(`💨 Cache hit for query: "${query}"`);
+      logger.info("Answer cache hit", { query, matchedQuery: cachedResponse.matchedQuery, similarity: cachedResponse.similarity });
+      await appendTurn(session, {
+        query,
+        answer: cachedResponse.answer,
+        sources: cachedResponse.sources,
+        promptVersion: prompt.version
+      });
       return res.json({
         ...cachedResponse,
+        query,
+        sessionId: session._id,
         cached: true,
         cacheHit: true
       });
     }
 
-    // 1️⃣ Get MongoDB client connection from pool
-    const client = await mongoPool.getClient();
-    
-    const collection = client.db("RAG").collection("carvectors");
-
-    // 2️⃣ Initialize LangChain components with proper MongoDB client
-    const embeddings = new OpenAIEmbeddings({
-      model: "text-embedding-3-small",
-      apiKey: process.env.OPENAI_API_KEY,
-      maxRetries: 2,
-      timeout: 10000
-    });
+    // 1️⃣ Rewrite follow-ups into a standalone query for retrieval
+    const llm = getChatModel({ callbacks: usageCallbacks(req) });
+    const standaloneQuery = await condenseQuestion(llm, history, query);
 
-    const vectorStore = new MongoDBAtlasVectorSearch(embeddings, {
-      collection,
-      indexName: "vector_index", // must match your Atlas index
-      textKey: "text",
-      embeddingKey: "embedding"
-    });
+    // 2️⃣ Retrieve relevant cars from the vector store
+    const { results, filters, context, startTime, vectorSearchTime } = await retrieveContext(standaloneQuery, precomputedFrom(cacheLookup));
+    recordRetrievalEmbedding(req, cacheLookup, standaloneQuery);
 
-    // 3️⃣ Perform similarity search (reduced to 3 results for faster processing)
-    const startTime = Date.now();
-    const results = await vectorStore.similaritySearch(query, 3); // reduced from 4 to 3
-    const vectorSearchTime = Date.now() - startTime;
-    
-    // Enhanced context construction with metadata integration (optimized)
-    const contextParts = results.map((r, index) => {
-      const meta = r.metadata || {};
-      let price = meta.price || meta.metadata?.price;
-      let name = meta.name || meta.metadata?.name;
-      
-      // Simplified context - only essential info
-      let contextText = r.pageContent;
-      if (price && name) {
-        contextText += `\nCURRENT PRICE: $${price}`;
-      }
-      
-      return `[Car ${index + 1}]\n${contextText}`;
+    // 3️⃣ Generate the RAG response (optimized)
+    const llmStartTime = Date.now();
+    const messages = await buildMessages(prompt, { context, query, history });
+    const response = await llm.invoke(messages);
+    const llmTime = Date.now() - llmStartTime;
+
+    // 4️⃣ Check prices, years and car names against the retrieved records
+    const { answer, grounding } = await groundAnswer({ llm, messages, answer: response.content, query, results });
+
+    // Using connection pool - no need to close
+
+    const totalTime = Date.now() - startTime;
+    logger.info("Answered question", { totalMs: totalTime, vectorSearchMs: vectorSearchTime, llmMs: llmTime, groundingAction: grounding?.action });
+
+    const responseData = {
+      query,
+      answer,
+      responseTime: `${totalTime}ms`,
+      cached: false,
+      filters,
+      sources: buildSources(results),
+      grounding,
+      promptVersion: prompt.version
+    };
+
+    // 💾 Cache the response for future queries
+    await cacheAnswer(cacheLookup, responseData);
+
+    await appendTurn(session, {
+      query,
+      standaloneQuery,
+      answer: responseData.answer,
+      sources: responseData.sources,
+      promptVersion: prompt.version
     });
     
-    const context = contextParts.join("\n\n---\n\n");
+    res.json({
+      ...responseData,
+      sessionId: session._id,
+      standaloneQuery: standaloneQuery !== query ? standaloneQuery : undefined
+    });
+
+  } catch (error) {
+    logger.error("RAG pipeline error", error);
+    res.status(500).json({
+      message: "Failed to generate RAG response",
+      error: error.message
+    });
+  }
+};
 
-    console.log(`⚡ Vector search completed in ${vectorSearchTime}ms`);
+// Split a cached answer into word-sized pieces so it replays like a live stream
+const splitIntoTokens = (text) => text.match(/\S+\s*|\s+/g) || [];
 
-    // 4️⃣ Define system prompt (RAG style)
-    const prompt = PromptTemplate.fromTemplate(`
-You are Refine AI Car Assistant — an intelligent, friendly automotive expert.
+// Streams the answer as Server-Sent Events:
+//   event: sources   -> session id, prompt version, extracted filters and retrieved cars (sent before generation starts)
+//   event: token     -> { content } for each piece of the answer
+//   event: grounding -> citations and unsupported claims; carries `answer` when it was corrected
+//   event: done      -> timings and cache flags
+//   event: error     -> { message, error } if the pipeline fails mid-stream
+export const streamCarAssistant = async (req, res) => {
+  const { query, sessionId } = req.body;
 
-IMPORTANT: Use ONLY the information provided in the Context below to answer questions. When specific details like prices, specifications, or features are mentioned in the context, include them in your answer.
+  let session;
+  try {
+    session = await loadSession(sessionId, query, req.apiKey);
+  } catch (error) {
+    logger.error("Error loading chat session", error);
+    return res.status(500).json({ message: "Failed to load chat session", error: error.message });
+  }
+  if (!session) {
+    return res.status(404).json({ message: "Chat session not found" });
+  }
+  const history = trimHistoryToBudget(session.messages);
 
-Context:
-{context}
+  const stream = openEventStream(req, res);
 
-Question: {question}
+  try {
+    const prompt = await selectPrompt(session);
+    const cacheLookup = await lookupCache(req, query, history, prompt);
+    const cachedResponse = cacheLookup?.hit;
 
-Instructions:
-- If price information is available in the context, always mention the exact price
-- If specifications are provided, include relevant details
-- Be specific and factual based on the context
-- If information is not in the context, clearly state that you don't have that information
-- Always be helpful and conversational
+    if (cachedResponse) {
+      logger.info("Answer cache hit", { query, matchedQuery: cachedResponse.matchedQuery, similarity: cachedResponse.similarity, streamed: true });
+      stream.send("sources", {
+        query,
+        sessionId: session._id,
+        filters: cachedResponse.filters,
+        sources: cachedResponse.sources,
+        promptVersion: prompt.version
+      });
+      for (const content of splitIntoTokens(cachedResponse.answer)) {
+        stream.send("token", { content });
+      }
+      if (cachedResponse.grounding) stream.send("grounding", cachedResponse.grounding);
+      stream.send("done", {
+        responseTime: cachedResponse.responseTime,
+        cached: true,
+        cacheHit: true,
+        matchedQuery: cachedResponse.matchedQuery,
+        similarity: cachedResponse.similarity
+      });
+      stream.end();
+      await appendTurn(session, {
+        query,
+        answer: cachedResponse.answer,
+        sources: cachedResponse.sources,
+        promptVersion: prompt.version
+      });
+      return;
+    }
 
-Answer:`);
+    const llm = getChatModel({ callbacks: usageCallbacks(req) });
+    const standaloneQuery = await condenseQuestion(llm, history, query);
 
-    // 5️⃣ Build LangChain pipeline (optimized for speed)
-    const llm = new ChatOpenAI({
-      model: "gpt-3.5-turbo", // Faster than gpt-4o-mini
-      temperature: 0.1, // Lower temperature for faster, more focused responses
-      apiKey: process.env.OPENAI_API_KEY,
-      maxTokens: 300, // Limit response length for speed
-      timeout: 15000, // 15 second timeout
-      maxRetries: 1 // Reduce retries
+    const { results, filters, context, startTime, vectorSearchTime } = await retrieveContext(standaloneQuery, precomputedFrom(cacheLookup));
+    recordRetrievalEmbedding(req, cacheLookup, standaloneQuery);
+    const sources = buildSources(results);
+    stream.send("sources", {
+      query,
+      sessionId: session._id,
+      standaloneQuery: standaloneQuery !== query ? standaloneQuery : undefined,
+      filters,
+      sources,
+      promptVersion: prompt.version
     });
 
-    // 6️⃣ Generate the RAG response (optimized)
+    if (stream.closed) {
+      logger.info("Client disconnected before generation", { query });
+      return;
+    }
+
+    // Passing the signal cancels the upstream OpenAI request on disconnect
     const llmStartTime = Date.now();
-    const response = await llm.invoke([
-      {
-        role: "system",
-        content: `You are Refine AI Car Assistant. Use ONLY the provided context to answer questions. Always include exact prices when available. Be concise and specific.
-
-Context:
-${context}`
-      },
-      {
-        role: "user", 
-        content: query
-      }
-    ]);
-    const llmTime = Date.now() - llmStartTime;
+    const messages = await buildMessages(prompt, { context, query, history });
+    const llmStream = await llm.stream(messages, {
+      signal: stream.signal
+    });
 
-    // Using connection pool - no need to close
+    let streamedAnswer = "";
+    for await (const chunk of llmStream) {
+      const content = typeof chunk.content === "string" ? chunk.content : "";
+      if (!content) continue;
+      streamedAnswer += content;
+      stream.send("token", { content });
+    }
+    const llmTime = Date.now() - llmStartTime;
 
+    // Tokens are already out, so a corrected answer (regenerate / redact) is
+    // sent whole with the grounding report and replaces the streamed text
+    const { answer, grounding } = await groundAnswer({ llm, messages, answer: streamedAnswer, query, results });
+    if (grounding) {
+      stream.send("grounding", { ...grounding, answer: answer !== streamedAnswer ? answer : undefined });
+    }
     const totalTime = Date.now() - startTime;
-    console.log(`🚀 Total RAG response time: ${totalTime}ms (Vector: ${vectorSearchTime}ms, LLM: ${llmTime}ms)`);
 
-    const responseData = {
+    logger.info("Answered question", { totalMs: totalTime, vectorSearchMs: vectorSearchTime, llmMs: llmTime, groundingAction: grounding?.action, streamed: true });
+
+    stream.send("done", {
+      responseTime: `${totalTime}ms`,
+      vectorSearchTime: `${vectorSearchTime}ms`,
+      llmTime: `${llmTime}ms`,
+      cached: false
+    });
+    stream.end();
+
+    // 💾 Only complete answers are cached, in the same shape as the JSON endpoint
+    await cacheAnswer(cacheLookup, {
       query,
-      answer: response.content,
+      answer,
       responseTime: `${totalTime}ms`,
       cached: false,
-      sources: results.map(r => {
-        const meta = r.metadata || {};
-        
-        // Optimized metadata extraction
-        let name = meta.name || meta.metadata?.name;
-        let brand = meta.brand || meta.metadata?.brand;
-        let price = meta.price || meta.metadata?.price;
-        let category = meta.category || meta.metadata?.category;
-        
-        // Quick fallback to pageContent parsing only if needed
-        if (!name && r.pageContent) {
-          const lines = r.pageContent.split('\n');
-          name = lines.find(line => line.startsWith('Car:'))?.replace('Car:', '').trim() || 'Unknown';
-          brand = lines.find(line => line.startsWith('Brand:'))?.replace('Brand:', '').trim() || 'Unknown';
-          price = lines.find(line => line.startsWith('Price:'))?.replace('Price:', '').trim() || 'N/A';
-          category = lines.find(line => line.startsWith('Category:'))?.replace('Category:', '').trim() || 'Unknown';
-        }
-        
-        return {
-          name: name || 'Unknown',
-          brand: brand || 'Unknown',
-          price: price || 'N/A',
-          category: category || 'Unknown'
-        };
-      })
-    };
+      filters,
+      sources,
+      grounding,
+      promptVersion: prompt.version
+    });
 
-    // 💾 Cache the response for future queries
-    ragCache.set(cacheKey, responseData);
-    
-    res.json(responseData);
+    await appendTurn(session, { query, standaloneQuery, answer, sources, promptVersion: prompt.version });
 
   } catch (error) {
-    console.error("RAG pipeline error:", error);
-    res.status(500).json({
+    if (stream.signal.aborted) {
+      logger.info("Client disconnected, cancelled LLM stream", { query });
+      return;
+    }
+    logger.error("RAG streaming error", error);
+    stream.send("error", {
       message: "Failed to generate RAG response",
       error: error.message
     });
+    stream.end();
   }
 };
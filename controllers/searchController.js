@@ -0,0 +1,64 @@
+// controllers/searchController.js
+import CarProduct from "../models/carModel.js";
+import { resolveCatalogValues, toVectorFilter } from "../utils/queryFilters.js";
+import { clientOf, recordEmbeddingUsage } from "../utils/usage.js";
+import { bestHitPerCar, searchVectors } from "../utils/vectorStore.js";
+import logger from "../utils/logger.js";
+
+// Chunks fetched per requested car: a long description splits into several
+// chunks of the same car, which collapse into one hit
+const CHUNKS_PER_CAR = 3;
+const MAX_CANDIDATES = 1000;
+
+// GET semantic search - ranked cars for a query, without calling the LLM
+export const searchCars = async (req, res) => {
+  try {
+    // Validated and coerced by schemas/ragSchemas.js (limit is at most 50)
+    const { q, page: pageNumber, limit: pageSize, brand, category, fuelType } = req.query;
+
+    // Same filters as GET /cars (case-insensitive match), resolved to catalog
+    // values so they can be applied as a vector pre-filter
+    const filters = {};
+    for (const [field, pattern] of Object.entries({ brand, category, fuelType })) {
+      if (!pattern) continue;
+      filters[field] = await resolveCatalogValues(field, pattern);
+      if (filters[field].length === 0) {
+        return res.json({ query: q, results: [], currentPage: pageNumber, limit: pageSize, hasMore: false });
+      }
+    }
+
+    const startTime = Date.now();
+    const candidates = Math.min(pageNumber * pageSize * CHUNKS_PER_CAR, MAX_CANDIDATES);
+    const scored = await searchVectors(q, candidates, toVectorFilter(filters));
+    recordEmbeddingUsage(clientOf(req), q);
+    const hits = bestHitPerCar(scored);
+
+    // Join the live car records: price and availability come from the catalog,
+    // and cars deleted since they were indexed are dropped
+    const pageHits = hits.slice((pageNumber - 1) * pageSize, pageNumber * pageSize);
+    const cars = await CarProduct.find({ _id: { $in: pageHits.map(hit => hit.carId) } }).lean();
+    const carsById = new Map(cars.map(car => [car._id.toString(), car]));
+
+    const results = pageHits
+      .filter(hit => carsById.has(hit.carId))
+      .map(hit => ({
+        car: carsById.get(hit.carId),
+        score: Number(hit.score.toFixed(4)),
+        snippet: hit.snippet
+      }));
+
+    res.json({
+      query: q,
+      results,
+      currentPage: pageNumber,
+      limit: pageSize,
+      // Vector search has no total count; more pages exist while candidates remain
+      hasMore: hits.length > pageNumber * pageSize ||
+        (scored.length === candidates && candidates < MAX_CANDIDATES),
+      responseTime: `${Date.now() - startTime}ms`
+    });
+  } catch (error) {
+    logger.error("Error searching cars", error);
+    res.status(500).json({ message: "Failed to search cars", error: error.message });
+  }
+};
@@ -0,0 +1,71 @@
+// controllers/sessionController.js
+import ChatSession from "../models/chatSessionModel.js";
+import { sessionScope } from "../utils/chatHistory.js";
+import logger from "../utils/logger.js";
+
+// GET all chat sessions (most recent first, without message bodies)
+export const listSessions = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+
+    const sessions = await ChatSession.aggregate([
+      { $sort: { lastMessageAt: -1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      {
+        $project: {
+          title: 1,
+          createdAt: 1,
+          lastMessageAt: 1,
+          messageCount: { $size: "$messages" }
+        }
+      }
+    ]);
+
+    const total = await ChatSession.countDocuments();
+
+    res.json({
+      sessions,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    logger.error("Error fetching chat sessions", error);
+    res.status(500).json({ message: "Failed to fetch chat sessions", error: error.message });
+  }
+};
+
+// GET single chat session with its full message history (sessions of other keys are not found)
+export const getSessionById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const session = await ChatSession.findOne({ _id: id, ...sessionScope(req.apiKey) });
+    if (!session) {
+      return res.status(404).json({ message: "Chat session not found" });
+    }
+
+    res.json({ session });
+  } catch (error) {
+    logger.error("Error fetching chat session", error);
+    res.status(500).json({ message: "Failed to fetch chat session", error: error.message });
+  }
+};
+
+// DELETE chat session and its history (sessions of other keys are not found)
+export const deleteSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const session = await ChatSession.findOneAndDelete({ _id: id, ...sessionScope(req.apiKey) });
+    if (!session) {
+      return res.status(404).json({ message: "Chat session not found" });
+    }
+
+    logger.info("Chat session deleted", { sessionId: id });
+
+    res.json({ message: "Chat session deleted successfully", sessionId: id });
+  } catch (error) {
+    logger.error("Error deleting chat session", error);
+    res.status(500).json({ message: "Failed to delete chat session", error: error.message });
+  }
+};
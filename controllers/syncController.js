@@ -0,0 +1,210 @@
+// controllers/syncController.js
+import CarProduct from "../models/carModel.js";
+import EmbeddingDeadLetter from "../models/embeddingDeadLetterModel.js";
+import { buildDriftReport, isReconcileRunning, reconcileVectors } from "../utils/reconcile.js";
+import { getLatestReindexJob, getRunningReindexJob, startReindex } from "../utils/reindex.js";
+import {
+  countVectorsByVersion,
+  getActiveEmbeddingSpec,
+  getTargetEmbeddingSpec
+} from "../utils/embeddingVersion.js";
+import { getQueueStats, replayDeadLetters } from "../utils/embeddingQueue.js";
+import logger from "../utils/logger.js";
+
+// GET drift report between the car catalog and the vector collection
+export const getSyncStatus = async (req, res) => {
+  try {
+    const { sample = 20 } = req.query;
+    const report = await buildDriftReport({ sampleLimit: sample * 1 });
+
+    res.json({
+      ...report,
+      reconcileRunning: isReconcileRunning(),
+      message: "Vector sync status"
+    });
+  } catch (error) {
+    logger.error("Error building sync status", error);
+    res.status(500).json({ message: "Failed to get sync status", error: error.message });
+  }
+};
+
+// POST run a reconciliation pass (dry run unless { "dryRun": false })
+export const reconcile = async (req, res) => {
+  try {
+    const { dryRun = true, batchSize = 50 } = req.body || {};
+
+    if (isReconcileRunning()) {
+      return res.status(409).json({ message: "Reconciliation is already running" });
+    }
+
+    const outcome = await reconcileVectors({
+      dryRun: dryRun !== false && dryRun !== "false",
+      batchSize: Math.max(1, batchSize * 1 || 50)
+    });
+
+    res.json({
+      message: outcome.dryRun
+        ? "Dry run completed. No changes were made."
+        : "Reconciliation completed.",
+      ...outcome
+    });
+  } catch (error) {
+    logger.error("Error reconciling vectors", error);
+    if (error.message.includes("Run a re-index first")) {
+      return res.status(409).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Failed to reconcile vectors", error: error.message });
+  }
+};
+
+// GET embedding versions and progress of the latest re-index job
+export const getReindexStatus = async (req, res) => {
+  try {
+    const [active, byVersion, job] = await Promise.all([
+      getActiveEmbeddingSpec(),
+      countVectorsByVersion(),
+      getLatestReindexJob()
+    ]);
+    const target = getTargetEmbeddingSpec();
+
+    res.json({
+      activeVersion: active.version,
+      targetVersion: target.version,
+      reindexRequired: active.version !== target.version,
+      byVersion,
+      job: job && {
+        ...job,
+        percent: job.total ? Math.min(100, Math.round((job.processed / job.total) * 100)) : 100
+      }
+    });
+  } catch (error) {
+    logger.error("Error getting re-index status", error);
+    res.status(500).json({ message: "Failed to get re-index status", error: error.message });
+  }
+};
+
+// POST start a background re-index to the configured embedding version
+export const reindex = async (req, res) => {
+  try {
+    const { batchSize, batchDelayMs, force = false } = req.body || {};
+
+    const running = await getRunningReindexJob();
+    if (running) {
+      return res.status(409).json({ message: "A re-index is already running", job: running });
+    }
+
+    const job = await startReindex({
+      batchSize: batchSize ? Math.max(1, batchSize * 1) : undefined,
+      batchDelayMs: batchDelayMs !== undefined ? Math.max(0, batchDelayMs * 1) : undefined,
+      force: force === true || force === "true"
+    });
+
+    if (!job) {
+      return res.json({
+        message: "Configured embedding version is already active. Pass force: true to rebuild it anyway.",
+        activeVersion: getTargetEmbeddingSpec().version
+      });
+    }
+
+    res.status(202).json({
+      message: "Re-index started. Track progress with GET /api/v1/sync/reindex.",
+      job
+    });
+  } catch (error) {
+    // Another request started one since the check above
+    if (error.message === "A re-index is already running") {
+      return res.status(409).json({ message: error.message, job: await getRunningReindexJob() });
+    }
+    logger.error("Error starting re-index", error);
+    res.status(500).json({ message: "Failed to start re-index", error: error.message });
+  }
+};
+
+// GET embedding queue depth and settings
+export const getEmbeddingQueue = async (req, res) => {
+  try {
+    res.json(await getQueueStats());
+  } catch (error) {
+    logger.error("Error getting embedding queue stats", error);
+    res.status(500).json({ message: "Failed to get embedding queue stats", error: error.message });
+  }
+};
+
+// GET embedding jobs that used up their retries (most recent first)
+export const listDeadLetters = async (req, res) => {
+  try {
+    const { page, limit, includeReplayed } = req.query;
+    const filter = includeReplayed ? {} : { replayedAt: { $exists: false } };
+
+    const [deadLetters, total] = await Promise.all([
+      EmbeddingDeadLetter.find(filter)
+        .sort({ failedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      EmbeddingDeadLetter.countDocuments(filter)
+    ]);
+
+    // car is null when the car was deleted after its job failed
+    const cars = await CarProduct.find({ _id: { $in: deadLetters.map(letter => letter.carId) } })
+      .select("name brand")
+      .lean();
+    const carsById = new Map(cars.map(car => [car._id.toString(), car]));
+
+    res.json({
+      deadLetters: deadLetters.map(letter => ({ ...letter, car: carsById.get(letter.carId.toString()) || null })),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    logger.error("Error fetching dead letters", error);
+    res.status(500).json({ message: "Failed to fetch dead letters", error: error.message });
+  }
+};
+
+// POST queue the car of one dead letter again with fresh attempts
+export const replayDeadLetter = async (req, res) => {
+  try {
+    const deadLetter = await EmbeddingDeadLetter.findById(req.params.id).lean();
+    if (!deadLetter) {
+      return res.status(404).json({ message: "Dead letter not found" });
+    }
+    if (deadLetter.replayedAt) {
+      return res.status(409).json({ message: "Dead letter was already replayed", replayedAt: deadLetter.replayedAt });
+    }
+
+    const { replayed } = await replayDeadLetters([deadLetter]);
+    if (replayed.length === 0) {
+      return res.status(404).json({ message: "Car not found" });
+    }
+
+    res.status(202).json({ message: "Embedding job queued again", carId: deadLetter.carId });
+  } catch (error) {
+    logger.error("Error replaying dead letter", error);
+    res.status(500).json({ message: "Failed to replay dead letter", error: error.message });
+  }
+};
+
+// POST queue the cars of several dead letters again ({ "ids": [...] }, or all)
+export const replayAllDeadLetters = async (req, res) => {
+  try {
+    const { ids } = req.body;
+    const deadLetters = await EmbeddingDeadLetter.find({
+      ...(ids && { _id: { $in: ids } }),
+      replayedAt: { $exists: false }
+    }).lean();
+
+    const { replayed, carMissing } = await replayDeadLetters(deadLetters);
+
+    res.status(202).json({
+      message: `${replayed.length} embedding job(s) queued again`,
+      replayed: replayed.length,
+      // The car was deleted after the job failed: nothing left to embed
+      carMissing
+    });
+  } catch (error) {
+    logger.error("Error replaying dead letters", error);
+    res.status(500).json({ message: "Failed to replay dead letters", error: error.message });
+  }
+};
@@ -0,0 +1,65 @@
+// controllers/usageController.js
+import ApiUsage from "../models/apiUsageModel.js";
+import { usageDay } from "../utils/usage.js";
+import logger from "../utils/logger.js";
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_DAYS = 7;
+
+const round = (cost) => Number(cost.toFixed(6));
+
+// GET tokens and estimated cost per client, day and model (?from=YYYY-MM-DD&to=YYYY-MM-DD&clientId=)
+export const getUsageReport = async (req, res) => {
+  try {
+    const to = req.query.to || usageDay();
+    const from = req.query.from || usageDay(new Date(Date.now() - (DEFAULT_DAYS - 1) * 24 * 60 * 60 * 1000));
+
+    if (!DAY.test(from) || !DAY.test(to)) {
+      return res.status(400).json({ message: "from and to must be dates in YYYY-MM-DD format" });
+    }
+    if (from > to) {
+      return res.status(400).json({ message: "from must not be after to" });
+    }
+
+    const filter = { day: { $gte: from, $lte: to } };
+    if (req.query.clientId) filter.clientId = req.query.clientId;
+
+    const rows = await ApiUsage.find(filter)
+      .sort({ day: -1, clientId: 1, kind: 1, model: 1 })
+      .select("-_id -__v -createdAt -updatedAt")
+      .lean();
+
+    const clients = new Map();
+    for (const row of rows) {
+      const client = clients.get(row.clientId) || {
+        clientId: row.clientId,
+        clientName: row.clientName,
+        requests: 0,
+        chatTokens: 0,
+        embeddingTokens: 0,
+        totalTokens: 0,
+        estimatedCost: 0
+      };
+      client.requests += row.requests;
+      client[row.kind === "chat" ? "chatTokens" : "embeddingTokens"] += row.totalTokens;
+      client.totalTokens += row.totalTokens;
+      client.estimatedCost += row.estimatedCost;
+      clients.set(row.clientId, client);
+    }
+
+    const totals = [...clients.values()]
+      .map(client => ({ ...client, estimatedCost: round(client.estimatedCost) }))
+      .sort((a, b) => b.estimatedCost - a.estimatedCost || b.totalTokens - a.totalTokens);
+
+    res.json({
+      from,
+      to,
+      currency: "USD",
+      totals,
+      usage: rows.map(row => ({ ...row, estimatedCost: round(row.estimatedCost) }))
+    });
+  } catch (error) {
+    logger.error("Error fetching usage report", error);
+    res.status(500).json({ message: "Failed to fetch usage report", error: error.message });
+  }
+};
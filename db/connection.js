@@ -1,18 +1,18 @@
 import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
 
 async function connectDB() {
   const uri = process.env.MONGO_URI;
   if (!uri) {
-    console.log('MONGO_URI not set; skipping MongoDB connection');
-    return;
+    throw new Error('MONGO_URI is not set');
   }
 
   try {
     // Mongoose modern versions infer options; keep minimal config
     await mongoose.connect(uri);
-    console.log('MongoDB connected');
+    logger.info('MongoDB connected');
   } catch (err) {
-    console.error('MongoDB connection error:', err.message);
+    logger.error('MongoDB connection error', err);
     throw err;
   }
 }
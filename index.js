@@ -1,58 +1,97 @@
-import express from 'express';
-import cors from 'cors';
-import morgan from 'morgan';
+import mongoose from 'mongoose';
 import dotenv from 'dotenv';
+import app from './app.js';
 import connectDB from './db/connection.js';
-import carRouter from './routers/carRouter.js';
-import ragRouter from './routers/ragRoute.js';
-import { watchCarChanges } from './listeners/vectorSync.js';
+import { watchCarChanges, stopWatchingCarChanges } from './listeners/vectorSync.js';
+import { startReconcileSchedule, stopReconcileSchedule } from './utils/reconcile.js';
+import { resumeReindexJobs, stopReindexJobs } from './utils/reindex.js';
+import { failInterruptedImports, stopImportJobs } from './utils/catalogImport.js';
+import { failInterruptedEvalRuns, stopEvalRuns } from './utils/evaluation.js';
+import { startEmbeddingWorkers, stopEmbeddingWorkers } from './utils/embeddingQueue.js';
+import { closeCacheStores } from './utils/cache.js';
+import { isShuttingDown, markShuttingDown } from './utils/health.js';
 import mongoPool from './utils/mongoPool.js';
+import logger from './utils/logger.js';
 
 dotenv.config();
 
-const app = express();
-app.use(cors());
-app.use(express.json());
-app.use(morgan('dev'));
-
-app.get('/', (req, res) => res.json({ message: 'RAG Backend — running' }));
-
-// API routes
-app.use('/api/v1', carRouter);
-app.use('/api/v1/rag', ragRouter);
-
 const PORT = process.env.PORT || 3000;
+// How long in-flight requests (asks, streams, exports) get to finish on shutdown
+const shutdownDrainMs = () => Number(process.env.SHUTDOWN_DRAIN_MS) || 20000;
 
-// Attempt DB connect (if MONGO_URI provided). Start server regardless so this is easy to run.
+let server = null;
+
+// Serve traffic only once the database is up: without it every route fails
 connectDB()
   .then(() => {
-    console.log('DB init attempted');
     watchCarChanges();
+    startEmbeddingWorkers();
+    startReconcileSchedule();
+    resumeReindexJobs().catch(err => logger.error('Failed to resume re-index', err));
+    failInterruptedImports().catch(err => logger.error('Failed to check interrupted imports', err));
+    failInterruptedEvalRuns().catch(err => logger.error('Failed to check interrupted evaluation runs', err));
+
+    server = app.listen(PORT, () => logger.info(`Server running on port ${PORT}`, { port: Number(PORT) }));
   })
-  .catch(err => console.warn('DB init error:', err))
-  .finally(() => {
-    app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+  .catch(err => {
+    logger.error('DB init error, not starting the server', err);
+    process.exit(1);
   });
 
-// Graceful shutdown handling
-process.on('SIGINT', async () => {
-  console.log('\n🛑 Shutting down gracefully...');
-  try {
-    await mongoPool.closePool();
-    process.exit(0);
-  } catch (error) {
-    console.error('Error during shutdown:', error);
+// Stop accepting connections and wait for in-flight requests; after the drain
+// time, remaining connections (e.g. long SSE streams) are cut
+const closeServer = () => new Promise((resolve) => {
+  if (!server) return resolve();
+
+  const drainTimer = setTimeout(() => {
+    logger.warn('Drain time elapsed, closing remaining connections', { drainMs: shutdownDrainMs() });
+    server.closeAllConnections();
+  }, shutdownDrainMs());
+  // Keep-alive connections become idle as their last response ends
+  const idleSweep = setInterval(() => server.closeIdleConnections(), 250);
+
+  server.close(() => {
+    clearTimeout(drainTimer);
+    clearInterval(idleSweep);
+    resolve();
+  });
+  server.closeIdleConnections();
+});
+
+const shutdown = async (signal) => {
+  if (isShuttingDown()) {
+    logger.warn(`${signal} received again, exiting immediately`);
     process.exit(1);
   }
-});
+  markShuttingDown();
+  logger.info(`${signal} received, shutting down gracefully`);
 
-process.on('SIGTERM', async () => {
-  console.log('\n🛑 SIGTERM received, shutting down gracefully...');
   try {
+    await closeServer();
+    logger.info('HTTP server closed, in-flight requests drained');
+
+    // Nothing new gets queued once the stream is closed; jobs already being
+    // embedded finish, pending ones stay in Mongo for the next worker
+    stopReconcileSchedule();
+    await stopWatchingCarChanges();
+    await stopEmbeddingWorkers();
+
+    // Background jobs stop after their current batch or question: a re-index
+    // stays running and resumes on the next start, imports and evaluation
+    // runs are marked failed
+    await Promise.all([stopReindexJobs(), stopImportJobs(), stopEvalRuns()]);
+
+    await closeCacheStores();
+    await mongoose.disconnect();
     await mongoPool.closePool();
+
+    logger.info('Shutdown complete');
     process.exit(0);
   } catch (error) {
-    console.error('Error during shutdown:', error);
+    logger.error('Error during shutdown', error);
     process.exit(1);
   }
-});
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -1,121 +1,316 @@
+import crypto from "crypto";
 import CarProduct from "../models/carModel.js";
 import CarVector from "../models/vectorModel.js";
-import { embeddings } from "../utils/langchainEmbeddings.js";
+import SyncState from "../models/syncStateModel.js";
+import { TEXT_FIELDS, METADATA_FIELDS, embedCar } from "../utils/carDocuments.js";
+import { getTargetEmbeddingSpec } from "../utils/embeddingVersion.js";
+import { enqueueEmbedding, cancelEmbedding } from "../utils/embeddingQueue.js";
+import { answerCache } from "../utils/answerCache.js";
+import logger, { withLogContext } from "../utils/logger.js";
+import { changeStreamEvents, changeStreamLag } from "../utils/metrics.js";
 
 
+// Re-embed all chunks of a car from the shared document builder, for the
+// configured embedding version unless `spec` says otherwise.
+// Returns false if the embedding could not be generated or saved.
+export async function upsertEmbeddingForCar(car, spec = getTargetEmbeddingSpec()) {
+    const carId = car._id;
+
+    try{
+        const outcome = await embedCar(car, spec);
+        logger.info(outcome === "unchanged"
+            ? "Embedding text unchanged, refreshed metadata only"
+            : "Upserted embedding chunks", { carId });
+        return true;
+
+    }catch(error){
+        logger.error("Error generating embedding", { carId, error });
+        return false;
+    }
+
+}
+
 
-const TEXT_FIELDS = new Set([
-  "name",
-  "brand",
-  "description",
-  "category",
-  "fuelType",
-  "transmission",
-  "engineCapacity",
-  "mileage"
+const STREAM_NAME = "carproducts";
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60 * 1000;
+// updatedAt comes from the app servers' clocks, wallTime from the database's
+const CATCH_UP_MARGIN_MS = 60 * 1000;
+
+// Server error codes meaning the stored resume token can no longer be used
+const RESUME_TOKEN_LOST_CODES = new Set([
+    260, // InvalidResumeToken
+    280, // ChangeStreamFatalError ("resume token was not found")
+    286  // ChangeStreamHistoryLost (token fell off the oplog)
 ]);
 
+// Single live stream per process
+let changeStream = null;
+let reconnectTimer = null;
+let reconnectAttempts = 0;
+let stopped = false;
+// Events are applied one at a time, in order, so the saved token never skips ahead
+let processing = Promise.resolve();
 
-// Simple in-memory debounce map: carId -> timeoutId
-const debounceMap = new Map();
-const DEBOUNCE_MS = 3000; // 3 seconds; tune as needed
 
+const isResumeTokenLost = (error) =>
+    RESUME_TOKEN_LOST_CODES.has(error?.code) ||
+    /resume (point|token)[\s\S]*(no longer|not found)/i.test(error?.message || "");
 
-async function upsertEmbeddingForCar(car) {
-    const carId = car._id;
-    const text = `${car.name || ""} ${car.brand || ""} ${car.category || ""} ${car.description || ""} ${car.fuelType || ""} ${car.transmission || ""} ${car.engineCapacity || ""} ${car.mileage || ""}`.trim();
-    
-    try{
-        // Generate embedding for the car text
-        const vector = await embeddings.embedQuery(text);
-        // Upsert the CarVector document
-        await CarVector.findOneAndUpdate(
-            { carId },
-            { carId,
-                text,
-                embedding: vector,
-                metadata: {
-                    name: car.name,
-                    brand: car.brand,
-                    category: car.category,
-                    price: car.price,
-                    source: 'car_database'
-                }
-            },
-            { upsert: true, new: true }
-        );
-        console.log(`Upserted embedding for car ID: ${carId}`);
 
-    }catch(error){
-        console.error("Error generating embedding:", error);
+// A changed or deleted car invalidates the answers built from it. A new car can
+// belong in any answer ("cheapest hybrid"), so an insert clears the whole cache.
+async function evictCachedAnswers(op, carId) {
+    try {
+        if (op === "insert") {
+            await answerCache.clear();
+            return;
+        }
+        if (op === "update" || op === "replace" || op === "delete") {
+            const evicted = await answerCache.evictCar(carId);
+            if (evicted) logger.info("Evicted cached answers", { carId, evicted });
+        }
+    } catch (error) {
+        logger.error("Failed to evict cached answers", { carId, error });
+    }
+}
+
+// Errors propagate, so the caller does not advance the resume token past the event
+async function handleChange(change) {
+    const op = change.operationType;
+    const carId = change.documentKey._id;
+
+    // Cached answers must not outlive the data they quote
+    await evictCachedAnswers(op, carId);
+
+    // Cars written by an import are embedded by the import in batches (utils/catalogImport.js)
+    const importJobId = op === "insert"
+        ? change.fullDocument?.importJobId
+        : change.updateDescription?.updatedFields?.importJobId;
+    if (importJobId) {
+        logger.info("Car written by an import, skipping queued embedding", { carId, importJobId });
         return;
     }
 
+    // Embeddings are generated by the queue workers (utils/embeddingQueue.js),
+    // so a failing provider never holds up the stream
+    if (op === "insert" || op === "replace") {
+        if (change.fullDocument) await enqueueEmbedding(carId, { reason: op, delayMs: 0 });
+    }
+    else if (op === "update") {
+        const updatedFields = change.updateDescription?.updatedFields || {};
+        const touchedFields = [
+            ...Object.keys(updatedFields),
+            ...(change.updateDescription?.removedFields || [])
+        ];
+
+        if (touchedFields.some(field => TEXT_FIELDS.has(field))) {
+            // Bursts of edits share one pending job, run after the debounce delay
+            await enqueueEmbedding(carId, { reason: op });
+        } else {
+            logger.info("No relevant text fields updated, skipping re-embedding", { carId });
+            // Keep filterable metadata in sync on every chunk without re-embedding
+            const updatedMeta = {};
+            for (const field of METADATA_FIELDS) {
+                if (updatedFields[field] !== undefined) updatedMeta[`metadata.${field}`] = updatedFields[field];
+            }
+
+            if (Object.keys(updatedMeta).length) {
+                await CarVector.updateMany(
+                    { carId },
+                    { $set: updatedMeta }
+                );
+            }
+        }
+    }
+    else if (op === "delete") {
+        await cancelEmbedding(carId);
+        await CarVector.deleteMany({ carId });
+        logger.info("Deleted embeddings for removed car", { carId });
+    }
 }
 
 
-export const watchCarChanges = async()=>{
-    console.log("Watching for changes in CarProduct collection...");
-    const changeStream = CarProduct.watch([], { fullDocument: 'updateLookup' });
+// Every log line of an event - and of the embedding job it queues - carries its own ID
+const eventContext = (change) => ({
+    requestId: `change-${crypto.randomUUID()}`,
+    operation: change.operationType,
+    carId: change.documentKey?._id?.toString()
+});
+
+
+// When the event was written: wallTime, or clusterTime seconds on MongoDB < 6
+const eventWrittenAt = (change) =>
+    change.wallTime?.getTime() ?? (change.clusterTime ? change.clusterTime.t * 1000 : null);
 
-    changeStream.on("change", async (change) => {
-        try {
-            const op = change.operationType;
-            const carId = change.documentKey._id;
-            if (op === "insert" || op === "update") {
-                 const fulldoc = change.fullDocument;
-                 await upsertEmbeddingForCar(fulldoc);
-            }
-            else if (op === "update") {
-            const updatedFields = change.updateDescription?.updatedFields || {};
-            const touchedFields = Object.keys(updatedFields);
 
+// Lag = time from the write to processing
+function recordEventMetrics(change) {
+    changeStreamEvents.inc({ operation: change.operationType });
+    const writtenAt = eventWrittenAt(change);
+    if (writtenAt) changeStreamLag.set({}, Math.max(0, (Date.now() - writtenAt) / 1000));
+}
+
+
+// lastEventAt is the write time, so a catch-up from it covers every later write
+async function saveResumeToken(change) {
+    await SyncState.updateOne(
+        { _id: STREAM_NAME },
+        { $set: { resumeToken: change._id, lastEventAt: new Date(eventWrittenAt(change) ?? Date.now()) } },
+        { upsert: true }
+    );
+}
 
-            const shouldReembed = touchedFields.some(field => TEXT_FIELDS.has(field));
-            if (shouldReembed) {
 
-                // Debounce logic
-                if (debounceMap.has(carId.toString())) {
-            clearTimeout(debounceMap.get(carId.toString()));
-          }
-          const timeout = setTimeout(async () => {
+// Queue a re-embed of every car changed since `since` (all cars if unknown) and
+// drop vectors of cars that were deleted while nobody was listening.
+export async function catchUpSync(since) {
+    logger.info(since ? "Running catch-up sync for recent changes" : "Running catch-up sync over the full catalog", { since });
+    const startedAt = new Date();
+    let queued = 0;
+
+    const filter = since ? { updatedAt: { $gte: new Date(since.getTime() - CATCH_UP_MARGIN_MS) } } : {};
+    for await (const car of CarProduct.find(filter).select("_id").lean().cursor()) {
+        await enqueueEmbedding(car._id, { reason: "catch-up", delayMs: 0 });
+        queued++;
+    }
+
+    const vectorCarIds = await CarVector.distinct("carId");
+    const existing = await CarProduct.find({ _id: { $in: vectorCarIds } }).distinct("_id");
+    const existingSet = new Set(existing.map(id => id.toString()));
+    const orphaned = vectorCarIds.filter(id => id && !existingSet.has(id.toString()));
+    if (orphaned.length) {
+        await CarVector.deleteMany({ carId: { $in: orphaned } });
+    }
+
+    await SyncState.updateOne(
+        { _id: STREAM_NAME },
+        { $set: { lastCatchUpAt: startedAt } },
+        { upsert: true }
+    );
+    logger.info("Catch-up sync done", { queued, orphanedRemoved: orphaned.length });
+}
+
+
+function scheduleReconnect() {
+    if (stopped || reconnectTimer) return;
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** reconnectAttempts, RECONNECT_MAX_MS);
+    reconnectAttempts++;
+    logger.info("Reconnecting change stream", { delayMs: delay, attempt: reconnectAttempts });
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        openChangeStream().catch(error => {
+            logger.error("Failed to reopen change stream", error);
+            scheduleReconnect();
+        });
+    }, delay);
+}
+
+
+async function closeChangeStream() {
+    if (!changeStream) return;
+    const stream = changeStream;
+    changeStream = null;
+    stream.removeAllListeners();
+    // Keep a listener so a late error from the closing stream isn't unhandled
+    stream.on("error", () => {});
+    try {
+        await stream.close();
+    } catch (error) {
+        logger.error("Error closing change stream", error);
+    }
+}
+
+
+async function openChangeStream() {
+    await closeChangeStream();
+    if (stopped) return;
+
+    const state = await SyncState.findById(STREAM_NAME).lean();
+    const resumeAfter = state?.resumeToken;
+
+    logger.info(resumeAfter
+        ? "Watching for changes in CarProduct collection (resuming from last processed event)"
+        : "Watching for changes in CarProduct collection");
+
+    const stream = CarProduct.watch([], {
+        fullDocument: 'updateLookup',
+        ...(resumeAfter && { resumeAfter })
+    });
+    changeStream = stream;
+
+    stream.on("change", (change) => {
+        processing = processing
+            .then(() => withLogContext(eventContext(change), async () => {
+                // Events that arrived after a failed one are delivered again by the new stream
+                if (stream !== changeStream) return;
+                recordEventMetrics(change);
+                await handleChange(change);
+                await saveResumeToken(change);
+                reconnectAttempts = 0;
+            }))
+            .catch(async (error) => {
+                if (stream !== changeStream) return;
+                // The token was not saved: reopen from the last saved one so the event is retried
+                logger.error("Error processing change event, resuming from the last saved event", error);
+                await closeChangeStream();
+                scheduleReconnect();
+            });
+    });
+
+    stream.on("error", async (error) => {
+        if (stream !== changeStream) return;
+        logger.error("Change stream error", error);
+        await closeChangeStream();
+
+        if (isResumeTokenLost(error)) {
+            // Events between the stored token and now are gone: rebuild from the catalog
+            logger.warn("Resume token is no longer in the oplog, falling back to a catch-up scan");
             try {
-              const car = await CarProduct.findById(carId);
-              if (car) await upsertEmbeddingForCar(car);
-            } catch (err) {
-              console.error("Error in debounced upsert:", err);
-            } finally {
-              debounceMap.delete(carId.toString());
-            }
-          }, DEBOUNCE_MS);
-            debounceMap.set(carId.toString(), timeout);
-            }else{
-                console.log(`No relevant text fields updated for car ID: ${carId}, skipping re-embedding.`);
-                 const updatedMeta = {};
-          if (updatedFields.price !== undefined) updatedMeta.price = updatedFields.price;
-          if (updatedFields.available !== undefined) updatedMeta.available = updatedFields.available;
-
-          if (Object.keys(updatedMeta).length) {
-            await CarVector.findOneAndUpdate(
-              { carId },
-              { $set: { "metadata.price": updatedMeta.price, "metadata.available": updatedMeta.available } },
-              { upsert: false }
-            );
-          }
-            } 
-
-
-            }else if (op === "delete") {
-                await CarVector.findOneAndDelete({ carId });
-                console.log(`Deleted embedding for removed car ID: ${carId}`);
+                await processing;
+                const current = await SyncState.findById(STREAM_NAME).lean();
+                const since = current?.lastEventAt;
+                await SyncState.updateOne({ _id: STREAM_NAME }, { $unset: { resumeToken: 1 } });
+                // Open the new stream first so nothing changed during the scan is missed
+                await openChangeStream();
+                await catchUpSync(since);
+                return;
+            } catch (catchUpError) {
+                logger.error("Catch-up sync failed", catchUpError);
             }
-
-        }catch (error) {
-            console.error("Error processing change event:", error);
         }
+        scheduleReconnect();
     });
-    changeStream.on("error", (error) => {
-        console.error("Change stream error:", error);
-        setTimeout(() => watchCarChanges(), 5000); 
-    })
-}
\ No newline at end of file
+}
+
+
+export const watchCarChanges = async () => {
+    stopped = false;
+    if (changeStream || reconnectTimer) return;
+    try {
+        await openChangeStream();
+    } catch (error) {
+        logger.error("Failed to open change stream", error);
+        scheduleReconnect();
+    }
+};
+
+
+// For /readyz: the stream counts as alive while it is open, not while it waits to reconnect
+export const getChangeStreamStatus = () => ({
+    open: Boolean(changeStream && !changeStream.closed),
+    reconnecting: Boolean(reconnectTimer),
+    reconnectAttempts,
+    stopped
+});
+
+
+export const stopWatchingCarChanges = async () => {
+    stopped = true;
+    if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+    }
+    await closeChangeStream();
+    await processing;
+};
@@ -0,0 +1,64 @@
+// middleware/auth.js
+// API-key authentication. Keys are sent as `Authorization: Bearer <key>` or
+// `X-API-Key: <key>`. Roles:
+//   admin   everything, including catalog writes and maintenance endpoints
+//   public  the assistant and read endpoints (website / widget keys)
+// API_AUTH=off disables the check (local development only).
+import { findActiveApiKey } from "../utils/apiKeys.js";
+import { authBlockedFor, recordAuthFailure } from "./rateLimit.js";
+import logger from "../utils/logger.js";
+
+const presentedKey = (req) => {
+  const header = req.get("authorization");
+  if (header?.toLowerCase().startsWith("bearer ")) return header.slice(7).trim();
+  return req.get("x-api-key")?.trim() || null;
+};
+
+export const authEnabled = () => process.env.API_AUTH !== "off";
+
+export const authenticate = async (req, res, next) => {
+  if (!authEnabled()) return next();
+
+  // Too many failed attempts from this IP (see middleware/rateLimit.js)
+  const retryAfter = authBlockedFor(req);
+  if (retryAfter) {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({ message: "Too many failed authentication attempts", retryAfter });
+  }
+
+  try {
+    const key = presentedKey(req);
+    const apiKey = key && await findActiveApiKey(key);
+    if (!apiKey) {
+      await recordAuthFailure(req);
+      return res.status(401).json({ message: "Invalid or missing API key" });
+    }
+
+    req.apiKey = {
+      id: apiKey._id,
+      name: apiKey.name,
+      role: apiKey.role,
+      prefix: apiKey.prefix,
+      limits: {
+        rateLimitPerMinute: apiKey.rateLimitPerMinute,
+        dailyChatTokens: apiKey.dailyChatTokens,
+        dailyEmbeddingTokens: apiKey.dailyEmbeddingTokens
+      }
+    };
+    next();
+  } catch (error) {
+    logger.error("Error authenticating request", error);
+    res.status(500).json({ message: "Failed to authenticate request", error: error.message });
+  }
+};
+
+// Allow only keys with one of these roles (admin is always allowed)
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!authEnabled()) return next();
+
+  const role = req.apiKey?.role;
+  if (role === "admin" || roles.includes(role)) return next();
+  return res.status(403).json({ message: "This API key is not allowed to perform this action" });
+};
+
+export const requireAdmin = requireRole("admin");
@@ -0,0 +1,148 @@
+// middleware/rateLimit.js
+// Per-client request rate limit and daily token quotas:
+//   RATE_LIMIT_RPM               requests per minute (default 60)
+//   DAILY_CHAT_TOKEN_QUOTA       chat tokens per UTC day (default 200000)
+//   DAILY_EMBEDDING_TOKEN_QUOTA  embedding tokens per UTC day (default 1000000)
+//   AUTH_FAILURE_LIMIT           failed API key attempts per IP per minute (default 10)
+// 0 disables a limit. An API key can override each one (rateLimitPerMinute,
+// dailyChatTokens, dailyEmbeddingTokens). Over a limit the client gets 429
+// with Retry-After.
+import RateLimitWindow from "../models/rateLimitModel.js";
+import logger from "../utils/logger.js";
+import { clientOf, getDailyTokens } from "../utils/usage.js";
+
+const WINDOW_MS = 60 * 1000;
+const MAX_BLOCKED_IPS = 10000;
+
+const LIMITS = {
+  rpm: { keyField: "rateLimitPerMinute", env: "RATE_LIMIT_RPM", fallback: 60 },
+  chat: { keyField: "dailyChatTokens", env: "DAILY_CHAT_TOKEN_QUOTA", fallback: 200000 },
+  embedding: { keyField: "dailyEmbeddingTokens", env: "DAILY_EMBEDDING_TOKEN_QUOTA", fallback: 1000000 }
+};
+
+const limitFor = (req, name) => {
+  const { keyField, env, fallback } = LIMITS[name];
+  const override = req.apiKey?.limits?.[keyField];
+  if (typeof override === "number") return override;
+  return process.env[env] !== undefined ? Number(process.env[env]) : fallback;
+};
+
+const secondsUntilNextDay = () => {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+};
+
+// Fixed one-minute windows counted in Mongo, so the limit holds across instances.
+// If the counter cannot be updated the request is let through.
+export const rateLimit = async (req, res, next) => {
+  const limit = limitFor(req, "rpm");
+  if (!limit) return next();
+
+  try {
+    const client = clientOf(req);
+    const windowStart = Math.floor(Date.now() / WINDOW_MS) * WINDOW_MS;
+    const window = await RateLimitWindow.findOneAndUpdate(
+      { _id: `${client.id}:${windowStart}` },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowStart + 2 * WINDOW_MS) } },
+      { upsert: true, new: true, lean: true }
+    );
+
+    const retryAfter = Math.ceil((windowStart + WINDOW_MS - Date.now()) / 1000);
+    res.set("X-RateLimit-Limit", String(limit));
+    res.set("X-RateLimit-Remaining", String(Math.max(0, limit - window.count)));
+    res.set("X-RateLimit-Reset", String(retryAfter));
+
+    if (window.count > limit) {
+      logger.warn("Rate limit hit", { client: client.name, limitPerMinute: limit });
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ message: "Rate limit exceeded", limit, retryAfter });
+    }
+    next();
+  } catch (error) {
+    logger.error("Rate limit check failed", error);
+    next();
+  }
+};
+
+// IPs over the failed-authentication limit, until the end of their window.
+// Filled from the shared counters, so every instance blocks an IP once it
+// sees one more failure from it.
+const blockedIps = new Map();
+
+const authFailureLimit = () =>
+  process.env.AUTH_FAILURE_LIMIT !== undefined ? Number(process.env.AUTH_FAILURE_LIMIT) : 10;
+
+// Seconds an IP is still refused for, 0 when it is not
+export const authBlockedFor = (req) => {
+  const until = blockedIps.get(req.ip);
+  if (!until) return 0;
+  if (Date.now() >= until) {
+    blockedIps.delete(req.ip);
+    return 0;
+  }
+  return Math.ceil((until - Date.now()) / 1000);
+};
+
+/**
+ * Count a missing or invalid API key against the client IP. Once the IP
+ * reaches AUTH_FAILURE_LIMIT in a minute it is refused for the rest of that
+ * minute, even with a valid key, so keys cannot be guessed. Runs before the
+ * per-client rate limit, which only sees authenticated requests.
+ */
+export const recordAuthFailure = async (req) => {
+  const limit = authFailureLimit();
+  if (!limit) return;
+
+  try {
+    const windowStart = Math.floor(Date.now() / WINDOW_MS) * WINDOW_MS;
+    const window = await RateLimitWindow.findOneAndUpdate(
+      { _id: `auth-failures:${req.ip}:${windowStart}` },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowStart + 2 * WINDOW_MS) } },
+      { upsert: true, new: true, lean: true }
+    );
+    if (window.count < limit) return;
+
+    if (!blockedIps.has(req.ip)) logger.warn("Failed authentication limit hit", { ip: req.ip, limitPerMinute: limit });
+    blockedIps.delete(req.ip);
+    blockedIps.set(req.ip, windowStart + WINDOW_MS);
+    if (blockedIps.size > MAX_BLOCKED_IPS) blockedIps.delete(blockedIps.keys().next().value);
+  } catch (error) {
+    logger.error("Failed to count authentication failure", error);
+  }
+};
+
+/**
+ * Reject the request when the client has used up today's `kind` (chat or
+ * embedding) tokens. `estimate(req)` adds what this request is expected to
+ * use, e.g. the text of a bulk upload.
+ */
+export const requireQuota = (kind, estimate = () => 0) => async (req, res, next) => {
+  const quota = limitFor(req, kind);
+  if (!quota) return next();
+
+  try {
+    const client = clientOf(req);
+    const used = await getDailyTokens(client.id, kind);
+    const needed = estimate(req);
+
+    if (used >= quota || used + needed > quota) {
+      const retryAfter = secondsUntilNextDay();
+      logger.warn("Daily token quota hit", { client: client.name, kind, used, quota });
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        message: `Daily ${kind} token quota exceeded`,
+        quota,
+        used,
+        needed: needed || undefined,
+        retryAfter
+      });
+    }
+    next();
+  } catch (error) {
+    logger.error("Daily quota check failed", { kind, error });
+    next();
+  }
+};
+
+export const chatQuota = requireQuota("chat");
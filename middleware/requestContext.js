@@ -0,0 +1,43 @@
+// middleware/requestContext.js
+// Correlation ID and access log for every request. The ID is taken from an
+// incoming `X-Request-Id` header (e.g. set by the load balancer) or generated,
+// echoed back in the response header, and added to every log line written
+// while the request is handled (see utils/logger.js).
+import crypto from "crypto";
+import logger, { withLogContext } from "../utils/logger.js";
+import { httpRequestDuration } from "../utils/metrics.js";
+
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Route pattern rather than the URL, so IDs don't explode the metric's series
+const routeOf = (req) => req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+
+export const requestContext = (req, res, next) => {
+  const incoming = req.get("x-request-id");
+  const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const start = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+
+  // Emitted after the context has ended, so the ID is passed explicitly
+  res.on("close", () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = routeOf(req);
+    const status = res.writableFinished ? res.statusCode : "aborted";
+    httpRequestDuration.observe({ method: req.method, route, status }, seconds);
+
+    logger.info(res.writableFinished ? "Request completed" : "Request aborted by the client", {
+      requestId,
+      method: req.method,
+      url: req.originalUrl,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      contentLength: Number(res.get("content-length")) || undefined,
+      apiKey: req.apiKey ? `${req.apiKey.name} (${req.apiKey.prefix})` : undefined
+    });
+  });
+
+  withLogContext({ requestId }, next);
+};
@@ -0,0 +1,28 @@
+// middleware/upload.js
+// Single-file multipart uploads, kept in memory (req.file.buffer).
+import multer from "multer";
+
+export const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
+
+// Accept one file in `field`; upload problems become a 400 instead of the default error page
+export const uploadFile = (field) => {
+  const single = upload.single(field);
+  return (req, res, next) => single(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === "LIMIT_FILE_SIZE"
+        ? `File is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024}MB`
+        : error.message;
+      return res.status(400).json({ message: "Upload failed", errors: [{ location: "body", field: error.field || field, message }] });
+    }
+    if (error) return next(error);
+    if (!req.file) {
+      return res.status(400).json({ message: "Validation failed", errors: [{ location: "body", field, message: "Required" }] });
+    }
+    next();
+  });
+};
@@ -0,0 +1,63 @@
+// middleware/validate.js
+// Request validation against zod schemas (see schemas/). Each part of the
+// request - params, query, body - is parsed by its own schema; values are
+// coerced (e.g. "?limit=20" becomes 20) and unknown fields are rejected.
+// Failures come back as one 400 listing every invalid field:
+//   { "message": "Validation failed",
+//     "errors": [{ "location": "query", "field": "limit", "message": "..." }] }
+const LOCATIONS = ["params", "query", "body"];
+
+// A union branch whose type does not match the input at all ("expected object,
+// received array") says nothing useful about the fields
+const matchesType = (issues) => !issues.some(issue => issue.code === "invalid_type" && issue.path.length === 0);
+
+const toFieldErrors = (location, issues, basePath = []) => issues.flatMap(issue => {
+  const path = [...basePath, ...issue.path];
+
+  // One entry per unknown key, so clients see exactly which fields to drop
+  if (issue.code === "unrecognized_keys") {
+    return issue.keys.map(key => ({
+      location,
+      field: [...path, key].join("."),
+      message: "Unknown field"
+    }));
+  }
+  // Report the errors of the branch(es) of the input's own shape, e.g. one car vs. an array of cars
+  if (issue.code === "invalid_union") {
+    const branches = issue.errors.filter(matchesType);
+    if (branches.length > 0) return branches.flatMap(branch => toFieldErrors(location, branch, path));
+  }
+  return [{ location, field: path.join("."), message: issue.message }];
+});
+
+/**
+ * `schemas` maps request parts to zod schemas, e.g.
+ * `validate({ params: idParams, body: updateCarBody })`. Parts without a
+ * schema are left as they are.
+ */
+export const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+  const parsed = {};
+
+  for (const location of LOCATIONS) {
+    if (!schemas[location]) continue;
+    // Express leaves req.body undefined when no JSON body was sent
+    const result = schemas[location].safeParse(req[location] ?? {});
+    if (result.success) {
+      parsed[location] = result.data;
+    } else {
+      errors.push(...toFieldErrors(location, result.error.issues));
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({ message: "Validation failed", errors });
+  }
+
+  // Controllers read the coerced values; req.query is a getter in Express 5,
+  // so the parsed values are defined on the request itself
+  for (const [location, value] of Object.entries(parsed)) {
+    Object.defineProperty(req, location, { value, writable: true, configurable: true, enumerable: true });
+  }
+  next();
+};
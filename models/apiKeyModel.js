@@ -0,0 +1,25 @@
+// models/ApiKey.js
+import mongoose from "mongoose";
+
+export const API_KEY_ROLES = ["admin", "public"];
+
+// Only a SHA-256 hash of the key is stored; the key itself is shown once, on creation
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },                          // e.g. "dealer-site widget"
+    role: { type: String, enum: API_KEY_ROLES, required: true },
+    prefix: { type: String, required: true },                        // first characters, to recognise a key in lists and logs
+    keyHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date },                                       // set on rotation with a grace period
+    revokedAt: { type: Date },
+    lastUsedAt: { type: Date },
+    rotatedFrom: { type: mongoose.Schema.Types.ObjectId, ref: "ApiKey" },
+    // Per-key overrides of the RATE_LIMIT_RPM / DAILY_*_TOKEN_QUOTA defaults (0 = unlimited)
+    rateLimitPerMinute: { type: Number },
+    dailyChatTokens: { type: Number },
+    dailyEmbeddingTokens: { type: Number },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("ApiKey", apiKeySchema);
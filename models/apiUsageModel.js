@@ -0,0 +1,25 @@
+// models/ApiUsage.js
+import mongoose from "mongoose";
+
+// Token usage per client, per UTC day, per model; incremented after every model call
+const apiUsageSchema = new mongoose.Schema(
+  {
+    clientId: { type: String, required: true },                       // API key id, or "ip:<address>" without auth
+    clientName: { type: String },
+    day: { type: String, required: true },                            // "2025-01-31" (UTC)
+    kind: { type: String, enum: ["chat", "embedding"], required: true },
+    model: { type: String, required: true },
+    requests: { type: Number, default: 0 },
+    inputTokens: { type: Number, default: 0 },
+    outputTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 },
+    estimatedTokens: { type: Number, default: 0 },                    // part of totalTokens that was estimated, not reported
+    estimatedCost: { type: Number, default: 0 },                      // USD
+  },
+  { timestamps: true }
+);
+
+apiUsageSchema.index({ clientId: 1, day: 1, kind: 1, model: 1 }, { unique: true });
+apiUsageSchema.index({ day: 1 });
+
+export default mongoose.model("ApiUsage", apiUsageSchema);
@@ -14,6 +14,8 @@ const carProductSchema = new mongoose.Schema(
     engineCapacity: { type: String },                  // e.g. "1.8L"
     mileage: { type: String },                         // e.g. "15 km/l"
     available: { type: Boolean, default: true },       // true = in stock
+    externalId: { type: String, unique: true, sparse: true }, // dealer feed key; imports upsert on it
+    importJobId: { type: mongoose.Schema.Types.ObjectId },    // import that last wrote the car; it embeds the car itself
   },
   { timestamps: true }
 );
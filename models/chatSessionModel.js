@@ -0,0 +1,26 @@
+// models/ChatSession.js
+import mongoose from "mongoose";
+
+const chatMessageSchema = new mongoose.Schema(
+  {
+    role: { type: String, enum: ["user", "assistant"], required: true },
+    content: { type: String, required: true },
+    standaloneQuery: { type: String },                // rewritten follow-up used for retrieval
+    sources: { type: mongoose.Schema.Types.Mixed },   // assistant turns only
+    promptVersion: { type: Number },                  // prompt template that produced the answer (assistant turns only)
+  },
+  { _id: false, timestamps: { createdAt: true, updatedAt: false } }
+);
+
+const chatSessionSchema = new mongoose.Schema(
+  {
+    title: { type: String },                          // first question, truncated
+    apiKeyId: { type: mongoose.Schema.Types.ObjectId, ref: "ApiKey", index: true }, // key that started it (unset with API_AUTH=off)
+    messages: { type: [chatMessageSchema], default: [] },
+    promptVersion: { type: Number },                  // prompt version assigned to the session (A/B experiments)
+    lastMessageAt: { type: Date, default: Date.now, index: true },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("ChatSession", chatSessionSchema);
@@ -0,0 +1,18 @@
+// models/EmbeddingDeadLetter.js
+import mongoose from "mongoose";
+
+// An embedding job that used up its retries, kept until it is replayed
+const embeddingDeadLetterSchema = new mongoose.Schema(
+  {
+    carId: { type: mongoose.Schema.Types.ObjectId, ref: "CarProduct", required: true, index: true },
+    reason: { type: String },
+    attempts: { type: Number },
+    lastError: { type: String },
+    failures: { type: [mongoose.Schema.Types.Mixed], default: [] }, // { attempt, error, at }
+    failedAt: { type: Date, default: Date.now },
+    replayedAt: { type: Date, index: true },           // set when the car was queued again
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("EmbeddingDeadLetter", embeddingDeadLetterSchema);
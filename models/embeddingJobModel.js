@@ -0,0 +1,25 @@
+// models/EmbeddingJob.js
+import mongoose from "mongoose";
+
+// A pending or running re-embed of one car (see utils/embeddingQueue.js)
+const embeddingJobSchema = new mongoose.Schema(
+  {
+    carId: { type: mongoose.Schema.Types.ObjectId, ref: "CarProduct", required: true },
+    status: { type: String, enum: ["pending", "processing"], default: "pending" },
+    reason: { type: String },                          // insert, update, replace, catch-up, replay, import
+    attempts: { type: Number, default: 0 },            // attempts started so far
+    runAt: { type: Date, required: true },             // debounce / backoff: not claimed before this
+    lockedBy: { type: String },                        // worker holding the job
+    lockedUntil: { type: Date },                       // expired lock = worker died, job is claimed again
+    lastError: { type: String },
+    requestId: { type: String },                       // request / change event that queued it, for log correlation
+    failures: { type: [mongoose.Schema.Types.Mixed], default: [] }, // { attempt, error, at }
+  },
+  { timestamps: true }
+);
+
+// One pending job per car: new changes to a car only move its job's runAt
+embeddingJobSchema.index({ carId: 1 }, { unique: true, partialFilterExpression: { status: "pending" } });
+embeddingJobSchema.index({ status: 1, runAt: 1 });
+
+export default mongoose.model("EmbeddingJob", embeddingJobSchema);
@@ -0,0 +1,18 @@
+// models/EmbeddingState.js
+import mongoose from "mongoose";
+
+// Pointer to the embedding version retrieval currently queries (single document, _id "active")
+const embeddingStateSchema = new mongoose.Schema(
+  {
+    _id: { type: String },
+    version: { type: String, required: true },          // e.g. "openai:text-embedding-3-small:default:b1"
+    provider: { type: String },
+    model: { type: String },
+    dimensions: { type: Number },                       // configured size, if the model allows choosing it
+    builderVersion: { type: Number },                   // document template version
+    activatedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("EmbeddingState", embeddingStateSchema);
@@ -0,0 +1,35 @@
+// models/EvalRun.js
+import mongoose from "mongoose";
+
+const evalRunSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed"],
+      default: "running",
+      index: true
+    },
+    setName: { type: String, required: true, index: true },
+    setVersion: { type: Number, required: true },
+    k: { type: Number, required: true },              // cars counted by recall@k
+    promptVersion: { type: Number, required: true },  // prompt template the answers were built with
+    config: { type: mongoose.Schema.Types.Mixed, default: {} }, // providers, embedding version, prompt... at run time
+    total: { type: Number, default: 0 },              // questions in the set
+    processed: { type: Number, default: 0 },
+    metrics: { type: mongoose.Schema.Types.Mixed },   // aggregate scores, set when completed
+    results: { type: [mongoose.Schema.Types.Mixed], default: [] }, // one per question, in set order
+    previousRunId: { type: mongoose.Schema.Types.ObjectId, ref: "EvalRun" },
+    diff: { type: mongoose.Schema.Types.Mixed },      // against the previous completed run of the set
+    createdBy: {
+      clientId: { type: String },
+      name: { type: String }
+    },
+    heartbeatAt: { type: Date },                      // stale heartbeat = worker died
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date },
+    error: { type: String },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("EvalRun", evalRunSchema);
@@ -0,0 +1,46 @@
+// models/GoldenSet.js
+import mongoose from "mongoose";
+
+// A fact the answer must state, e.g. { type: "price", value: 32990 }
+const expectedFactSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ["price", "modelYear", "mention"], required: true },
+    value: { type: mongoose.Schema.Types.Mixed, required: true }
+  },
+  { _id: false }
+);
+
+const goldenQuestionSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },            // stable across versions, used to diff runs
+    question: { type: String, required: true },
+    expectedCarIds: {                                 // cars retrieval should rank first, best first
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: "CarProduct",
+      default: []
+    },
+    expectedFacts: { type: [expectedFactSchema], default: [] },
+    shouldRefuse: { type: Boolean, default: false }   // nothing in the catalog answers it
+  },
+  { _id: false }
+);
+
+// Versions are immutable: changing a set saves it as the next version
+const goldenSetSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    version: { type: Number, required: true },
+    description: { type: String },
+    questions: { type: [goldenQuestionSchema], default: [] },
+    checksum: { type: String, required: true },       // of the questions, to skip saving identical versions
+    createdBy: {
+      clientId: { type: String },
+      name: { type: String }
+    }
+  },
+  { timestamps: true }
+);
+
+goldenSetSchema.index({ name: 1, version: -1 }, { unique: true });
+
+export default mongoose.model("GoldenSet", goldenSetSchema);
@@ -0,0 +1,38 @@
+// models/ImportJob.js
+import mongoose from "mongoose";
+
+const importJobSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed"],
+      default: "running",
+      index: true
+    },
+    format: { type: String, enum: ["csv", "ndjson"], required: true },
+    fileName: { type: String },
+    mapping: { type: mongoose.Schema.Types.Mixed, default: {} }, // source column -> car field
+    ignoredColumns: { type: [String], default: [] },  // columns that fill no car field
+    externalKey: { type: String },                    // source column holding the feed's car id
+    batchSize: { type: Number, default: 50 },         // rows written and embedded together
+    total: { type: Number, default: 0 },              // data rows in the file
+    processed: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    embedded: { type: Number, default: 0 },           // cars whose text changed and were re-embedded
+    embeddingFailed: { type: Number, default: 0 },    // written but not embedded (the embedding queue retries them)
+    rowErrors: { type: [mongoose.Schema.Types.Mixed], default: [] }, // first errors: { line, externalId, stage, errors }
+    createdBy: {                                      // client charged for the embeddings
+      clientId: { type: String },
+      name: { type: String }
+    },
+    heartbeatAt: { type: Date },                      // stale heartbeat = worker died
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date },
+    error: { type: String },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("ImportJob", importJobSchema);
@@ -0,0 +1,32 @@
+// models/PromptState.js
+import mongoose from "mongoose";
+
+const variantSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true },
+    weight: { type: Number, required: true }          // relative share of new sessions
+  },
+  { _id: false }
+);
+
+// Pointer to the prompt version answers use (single document, _id "active")
+const promptStateSchema = new mongoose.Schema(
+  {
+    _id: { type: String },
+    activeVersion: { type: Number, required: true },
+    activatedAt: { type: Date, default: Date.now },
+    experiment: {                                     // A/B split of sessions; null when none is running
+      type: new mongoose.Schema(
+        {
+          variants: { type: [variantSchema], required: true },
+          startedAt: { type: Date, default: Date.now }
+        },
+        { _id: false }
+      ),
+      default: null
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("PromptState", promptStateSchema);
@@ -0,0 +1,19 @@
+// models/PromptVersion.js
+import mongoose from "mongoose";
+
+// Versions are immutable: editing a prompt saves the next version
+const promptVersionSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true, unique: true },
+    template: { type: String, required: true },       // system prompt, f-string syntax: {context}, {{ for a literal brace
+    variables: { type: [String], default: [] },       // variables the template uses
+    description: { type: String },                    // what changed, e.g. "friendlier tone"
+    createdBy: {
+      clientId: { type: String },
+      name: { type: String }
+    }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("PromptVersion", promptVersionSchema);
@@ -0,0 +1,12 @@
+// models/RateLimitWindow.js
+import mongoose from "mongoose";
+
+// Counter per client per one-minute window, shared by every instance.
+// Mongo's TTL monitor removes windows once they have expired.
+const rateLimitWindowSchema = new mongoose.Schema({
+  _id: { type: String },                          // "<counter>:<client>:<window start ms>"
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, expires: 0 },
+});
+
+export default mongoose.model("RateLimitWindow", rateLimitWindowSchema);
@@ -0,0 +1,32 @@
+// models/ReindexJob.js
+import mongoose from "mongoose";
+
+const reindexJobSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed"],
+      default: "running"
+    },
+    sourceVersion: { type: String },                    // version retrieval used when the job started
+    targetVersion: { type: String, required: true },
+    target: { type: mongoose.Schema.Types.Mixed },      // full embedding spec being migrated to
+    batchSize: { type: Number, default: 25 },           // cars per embedding batch
+    batchDelayMs: { type: Number, default: 1000 },      // pause between batches (rate limit)
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    failures: { type: [mongoose.Schema.Types.Mixed], default: [] }, // last few { carId, error }
+    lastCarId: { type: mongoose.Schema.Types.ObjectId }, // resume point after a crash
+    heartbeatAt: { type: Date },                         // stale heartbeat = worker died
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date },
+    error: { type: String },
+  },
+  { timestamps: true }
+);
+
+// One running job at a time: a second one fails to insert
+reindexJobSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: "running" } });
+
+export default mongoose.model("ReindexJob", reindexJobSchema);
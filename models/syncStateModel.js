@@ -0,0 +1,15 @@
+// models/SyncState.js
+import mongoose from "mongoose";
+
+// One document per change stream, so it can resume where it left off after a restart
+const syncStateSchema = new mongoose.Schema(
+  {
+    _id: { type: String },                              // stream name, e.g. "carproducts"
+    resumeToken: { type: mongoose.Schema.Types.Mixed }, // _id of the last processed change event
+    lastEventAt: { type: Date },                        // when that event was written
+    lastCatchUpAt: { type: Date },                      // last full catch-up scan
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("SyncState", syncStateSchema);
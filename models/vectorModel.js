@@ -3,7 +3,7 @@ import mongoose from "mongoose";
 
 const carVectorSchema = new mongoose.Schema(
   {
-    carId: { type: mongoose.Schema.Types.ObjectId, ref: "CarProduct" },
+    carId: { type: mongoose.Schema.Types.ObjectId, ref: "CarProduct", index: true },
     text: { type: String, required: true }, // combined text fields (brand, desc, etc.)
     embedding: {
       type: [Number],
@@ -13,7 +13,14 @@ const carVectorSchema = new mongoose.Schema(
     metadata: {
       type: mongoose.Schema.Types.Mixed, // Store LangChain document metadata
       default: {}
-    }
+    },
+    chunkIndex: { type: Number, default: 0 }, // position of this chunk within the car's document
+    chunkCount: { type: Number, default: 1 }, // total chunks stored for the car
+    // Which model / template produced `embedding` (vectors of different versions are not comparable)
+    embeddingVersion: { type: String, index: true },
+    embeddingModel: { type: String },
+    embeddingDimensions: { type: Number },
+    builderVersion: { type: Number }
   },
   { timestamps: true }
 );
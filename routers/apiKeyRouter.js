@@ -0,0 +1,13 @@
+import express from 'express';
+import { createKey, listKeys, revokeKey, rotateKey } from '../controllers/apiKeyController.js';
+
+const router = express.Router();
+
+router.route('/')
+  .get(listKeys)      // GET /api/v1/keys - List keys (?includeRevoked=true)
+  .post(createKey);   // POST /api/v1/keys - Create a key { name, role, rateLimitPerMinute?, dailyChatTokens?, dailyEmbeddingTokens? }
+
+router.route('/:id/revoke').post(revokeKey);  // POST /api/v1/keys/:id/revoke - Revoke immediately
+router.route('/:id/rotate').post(rotateKey);  // POST /api/v1/keys/:id/rotate - New key, old one expires after graceSeconds
+
+export default router;
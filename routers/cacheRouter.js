@@ -0,0 +1,11 @@
+import express from 'express';
+import { getCacheStats, clearCache, purgeCache } from '../controllers/cacheController.js';
+
+const router = express.Router();
+
+router.route('/')
+  .delete(clearCache);                      // DELETE /api/v1/cache - Clear all stores (?store=answers for one)
+router.route('/stats').get(getCacheStats);  // GET /api/v1/cache/stats - Entries, hits, misses, evictions
+router.route('/purge').post(purgeCache);    // POST /api/v1/cache/purge - Remove keys matching a pattern
+
+export default router;
@@ -3,28 +3,52 @@ import {
   addCarProduct, 
   getAllCars, 
   getCarById, 
+  getSimilarCars,
   updateCar, 
   deleteCar, 
   addSingleCar,
 } from '../controllers/carController.js';
+import { exportCars } from '../controllers/exportController.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { requireQuota } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import {
+  addCarsBody,
+  carBody,
+  exportCarsQuery,
+  idParams,
+  listCarsQuery,
+  similarCarsQuery,
+  updateCarBody,
+} from '../schemas/carSchemas.js';
+import { estimateTextTokens } from '../utils/usage.js';
 
 const router = express.Router();
 
-// Bulk operations
-router.route('/add').post(addCarProduct);
+// Writes need an admin API key; reads are open to public keys too (see middleware/auth.js)
+// Every route validates its params, query and body first (see schemas/carSchemas.js)
+
+// Bulk operations - the upload is embedded, so its size is checked against the embedding quota
+const embeddingQuota = requireQuota('embedding', req => estimateTextTokens(JSON.stringify(req.body)));
+router.route('/add').post(requireAdmin, validate({ body: addCarsBody }), embeddingQuota, addCarProduct);
+
+const validateId = validate({ params: idParams });
 
 // CRUD operations for testing change stream
 router.route('/cars')
-  .get(getAllCars)     // GET /api/v1/cars - Get all cars with filtering
-  .post(addSingleCar); // POST /api/v1/cars - Add single car
+  .get(validate({ query: listCarsQuery }), getAllCars)             // GET /api/v1/cars - Get all cars with filtering
+  .post(requireAdmin, validate({ body: carBody }), addSingleCar);  // POST /api/v1/cars - Add single car
+
+// Declared before /cars/:id so "export" is not taken for an ID
+router.route('/cars/export')
+  .get(requireAdmin, validate({ query: exportCarsQuery }), exportCars); // GET /api/v1/cars/export - Stream the catalog (?format=csv|ndjson|json)
 
 router.route('/cars/:id')
-  .get(getCarById)     // GET /api/v1/cars/:id - Get car by ID
-  .put(updateCar)      // PUT /api/v1/cars/:id - Update car (triggers change stream)
-  .delete(deleteCar);  // DELETE /api/v1/cars/:id - Delete car (triggers change stream)
+  .get(validateId, getCarById)                                                    // GET /api/v1/cars/:id - Get car by ID
+  .put(requireAdmin, validate({ params: idParams, body: updateCarBody }), updateCar) // PUT /api/v1/cars/:id - Update car (triggers change stream)
+  .delete(requireAdmin, validateId, deleteCar);                                   // DELETE /api/v1/cars/:id - Delete car (triggers change stream)
 
-// Testing route
-// router.route('/stats').get(getVectorStats); // GET /api/v1/stats - Get sync statistics
+router.route('/cars/:id/similar')
+  .get(validate({ params: idParams, query: similarCarsQuery }), getSimilarCars); // GET /api/v1/cars/:id/similar - "You may also like" from stored embeddings
 
 export default router;
-
@@ -0,0 +1,36 @@
+import express from 'express';
+import {
+  createGoldenSet,
+  listGoldenSets,
+  getGoldenSetByName,
+  createEvaluationRun,
+  listEvaluationRuns,
+  getEvaluationRun
+} from '../controllers/evalController.js';
+import { validate } from '../middleware/validate.js';
+import {
+  createEvalRunBody,
+  goldenSetBody,
+  goldenSetParams,
+  goldenSetQuery,
+  idParams,
+  listEvalRunsQuery
+} from '../schemas/evalSchemas.js';
+
+const router = express.Router();
+
+router.route('/sets')
+  .get(listGoldenSets)                                       // GET /api/v1/eval/sets - Latest version of each golden set
+  .post(validate({ body: goldenSetBody }), createGoldenSet); // POST /api/v1/eval/sets - Save the next version of a set
+
+router.route('/sets/:name')
+  .get(validate({ params: goldenSetParams, query: goldenSetQuery }), getGoldenSetByName); // GET /api/v1/eval/sets/:name - Questions of a set (?version=)
+
+router.route('/runs')
+  .get(validate({ query: listEvalRunsQuery }), listEvaluationRuns)      // GET /api/v1/eval/runs - Recent runs and their scores
+  .post(validate({ body: createEvalRunBody }), createEvaluationRun);    // POST /api/v1/eval/runs - Evaluate a set in the background
+
+router.route('/runs/:id')
+  .get(validate({ params: idParams }), getEvaluationRun);  // GET /api/v1/eval/runs/:id - Per-question results and diff with the previous run
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import { createImport, getImportJob, listImportJobs } from '../controllers/importController.js';
+import { requireQuota } from '../middleware/rateLimit.js';
+import { uploadFile } from '../middleware/upload.js';
+import { validate } from '../middleware/validate.js';
+import { importBody, importJobParams } from '../schemas/importSchemas.js';
+import { estimateTextTokens } from '../utils/usage.js';
+
+const router = express.Router();
+
+// The whole feed may be embedded, so its size is checked against the embedding quota
+const embeddingQuota = requireQuota('embedding', req => estimateTextTokens(req.file.buffer.toString('utf8')));
+
+router.route('/')
+  .get(listImportJobs)                                                                    // GET /api/v1/imports - Recent import jobs
+  .post(uploadFile('file'), validate({ body: importBody }), embeddingQuota, createImport); // POST /api/v1/imports - Upload a CSV / NDJSON feed (multipart "file")
+
+router.route('/:jobId')
+  .get(validate({ params: importJobParams }), getImportJob);  // GET /api/v1/imports/:jobId - Progress and per-row errors
+
+export default router;
@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  listPromptVersions,
+  getPromptVersionById,
+  createPrompt,
+  activatePromptVersion,
+  startExperiment,
+  stopExperiment
+} from '../controllers/promptController.js';
+import { validate } from '../middleware/validate.js';
+import { createPromptBody, experimentBody, promptVersionParams } from '../schemas/promptSchemas.js';
+
+const router = express.Router();
+
+router.route('/')
+  .get(listPromptVersions)                                    // GET /api/v1/prompts - Versions, active version and experiment
+  .post(validate({ body: createPromptBody }), createPrompt);  // POST /api/v1/prompts - Save a template as the next version
+
+router.route('/experiment')
+  .put(validate({ body: experimentBody }), startExperiment)   // PUT /api/v1/prompts/experiment - Split sessions between versions by weight
+  .delete(stopExperiment);                                    // DELETE /api/v1/prompts/experiment - Back to the active version
+
+router.route('/:version')
+  .get(validate({ params: promptVersionParams }), getPromptVersionById);  // GET /api/v1/prompts/:version - One version
+
+router.route('/:version/activate')
+  .post(validate({ params: promptVersionParams }), activatePromptVersion);  // POST /api/v1/prompts/:version/activate - Make it the active version
+
+export default router;
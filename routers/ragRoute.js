@@ -1,9 +1,27 @@
 // routes/ragRoutes.js
 import express from "express";
-import { askCarAssistant } from "../controllers/ragController.js";
+import { askCarAssistant, streamCarAssistant } from "../controllers/ragController.js";
+import { compareCars } from "../controllers/compareController.js";
+import { searchCars } from "../controllers/searchController.js";
+import { listSessions, getSessionById, deleteSession } from "../controllers/sessionController.js";
+import { requireAdmin } from "../middleware/auth.js";
+import { chatQuota, requireQuota } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import { askBody, compareBody, idParams, listSessionsQuery, searchQuery } from "../schemas/ragSchemas.js";
 
 const router = express.Router();
 
-router.post("/ask", askCarAssistant);
+// Requests are validated first (see schemas/ragSchemas.js); LLM routes count
+// against the daily chat token quota, search against the embedding one
+router.post("/ask", validate({ body: askBody }), chatQuota, askCarAssistant);
+router.post("/ask/stream", validate({ body: askBody }), chatQuota, streamCarAssistant); // Server-Sent Events
+router.post("/compare", validate({ body: compareBody }), chatQuota, compareCars); // Side-by-side comparison of 2-4 cars
+router.get("/search", validate({ query: searchQuery }), requireQuota("embedding"), searchCars); // Semantic search, no LLM call
+
+// Conversation history - listing every session is admin only; other keys reach only the sessions they started
+router.get("/sessions", requireAdmin, validate({ query: listSessionsQuery }), listSessions);
+router.route("/sessions/:id")
+  .get(validate({ params: idParams }), getSessionById)
+  .delete(validate({ params: idParams }), deleteSession);
 
 export default router;
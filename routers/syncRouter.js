@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  getSyncStatus,
+  reconcile,
+  getReindexStatus,
+  reindex,
+  getEmbeddingQueue,
+  listDeadLetters,
+  replayDeadLetter,
+  replayAllDeadLetters
+} from '../controllers/syncController.js';
+import { validate } from '../middleware/validate.js';
+import { idParams, listDeadLettersQuery, replayDeadLettersBody } from '../schemas/syncSchemas.js';
+
+const router = express.Router();
+
+router.route('/status').get(getSyncStatus);     // GET /api/v1/sync/status - Drift report
+router.route('/reconcile').post(reconcile);     // POST /api/v1/sync/reconcile - Repair drift (dry run by default)
+
+router.route('/reindex')
+  .get(getReindexStatus)   // GET /api/v1/sync/reindex - Embedding versions and re-index progress
+  .post(reindex);          // POST /api/v1/sync/reindex - Re-embed the catalog for the configured version
+
+router.route('/queue').get(getEmbeddingQueue);  // GET /api/v1/sync/queue - Pending / running embedding jobs
+
+router.route('/dead-letters')
+  .get(validate({ query: listDeadLettersQuery }), listDeadLetters);  // GET /api/v1/sync/dead-letters - Jobs that used up their retries
+
+router.route('/dead-letters/replay')
+  .post(validate({ body: replayDeadLettersBody }), replayAllDeadLetters);  // POST /api/v1/sync/dead-letters/replay - Queue all (or { ids }) again
+
+router.route('/dead-letters/:id/replay')
+  .post(validate({ params: idParams }), replayDeadLetter);  // POST /api/v1/sync/dead-letters/:id/replay - Queue one again
+
+export default router;
@@ -0,0 +1,8 @@
+import express from 'express';
+import { getUsageReport } from '../controllers/usageController.js';
+
+const router = express.Router();
+
+router.route('/').get(getUsageReport);  // GET /api/v1/usage - Tokens and estimated cost per client/day/model (?from&to&clientId)
+
+export default router;
@@ -0,0 +1,85 @@
+// schemas/carSchemas.js
+// Schemas for routers/carRouter.js
+import { z } from "zod";
+import { EXPORT_FORMATS } from "../utils/catalogExport.js";
+import { boolean, numeric, pagination, text } from "./common.js";
+
+// Cars per POST /add request; each one is embedded in the same request
+export const MAX_BATCH_SIZE = 100;
+
+const MAX_YEAR = new Date().getFullYear() + 2;
+
+// Writable CarProduct fields (models/carModel.js); _id and timestamps are not writable
+export const carFields = {
+  name: text(200),
+  brand: text(100),
+  modelYear: numeric(z.number().int().min(1886).max(MAX_YEAR)),
+  category: text(100),
+  description: z.string().trim().max(10000),
+  price: numeric(z.number().min(0)),
+  fuelType: text(50),
+  transmission: text(50),
+  engineCapacity: text(50),
+  mileage: text(50),
+  available: boolean(),
+  externalId: text(200)
+};
+
+const optionalFields = Object.fromEntries(
+  Object.entries(carFields)
+    .filter(([field]) => field !== "name" && field !== "brand")
+    .map(([field, schema]) => [field, schema.optional()])
+);
+
+export const carBody = z.strictObject({
+  name: carFields.name,
+  brand: carFields.brand,
+  ...optionalFields
+});
+
+// Optional fields can be cleared with null; name and brand cannot
+export const updateCarBody = z
+  .strictObject({
+    name: carFields.name.optional(),
+    brand: carFields.brand.optional(),
+    ...Object.fromEntries(Object.entries(optionalFields).map(([field, schema]) => [field, schema.nullable()]))
+  })
+  .refine(update => Object.keys(update).length > 0, "Provide at least one field to update");
+
+// One car, or an array of up to MAX_BATCH_SIZE cars
+export const addCarsBody = z.union(
+  [
+    carBody,
+    z.array(carBody)
+      .min(1, "No car data provided")
+      .max(MAX_BATCH_SIZE, `At most ${MAX_BATCH_SIZE} cars per request`)
+  ],
+  { error: "Provide a car object or an array of cars" }
+);
+
+export const carFilters = {
+  brand: text(100).optional(),
+  category: text(100).optional(),
+  fuelType: text(50).optional()
+};
+
+export const listCarsQuery = z.strictObject({
+  ...pagination(),
+  ...carFilters
+});
+
+export const exportCarsQuery = z.strictObject({
+  format: z.enum(Object.keys(EXPORT_FORMATS)).default("json"),
+  ...carFilters,
+  includeSyncStatus: boolean().default(false)
+});
+
+export const similarCarsQuery = z.strictObject({
+  limit: numeric(z.number().int().min(1).max(20)).default(5),
+  excludeSameBrand: boolean().default(false),
+  // Percentage around the car's price, e.g. 20 -> +/-20%
+  priceBand: numeric(z.number().gt(0).max(100)).optional(),
+  availableOnly: boolean().default(false)
+});
+
+export { idParams } from "./common.js";
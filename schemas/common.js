@@ -0,0 +1,31 @@
+// schemas/common.js
+// Building blocks shared by the route schemas
+import { z } from "zod";
+
+// 24 hex characters - mongoose.isValidObjectId also accepts any 12-character string
+export const objectId = z.string().regex(/^[0-9a-fA-F]{24}$/, "Must be a valid ID");
+
+export const idParams = z.strictObject({ id: objectId });
+
+// Numbers may arrive as strings (query strings, form-style JSON); "", "abc" and null stay invalid
+export const numeric = (schema) => z.preprocess(
+  value => typeof value === "string" && value.trim() !== "" && !Number.isNaN(Number(value)) ? Number(value) : value,
+  schema
+);
+
+// Booleans may arrive as "true" / "false"
+export const boolean = () => z.preprocess(
+  value => value === "true" ? true : value === "false" ? false : value,
+  z.boolean()
+);
+
+export const text = (max) => z
+  .string({ error: issue => issue.input === undefined ? "Required" : "Must be a string" })
+  .trim()
+  .min(1, "Must not be empty")
+  .max(max);
+
+export const pagination = ({ limit = 10, maxLimit = 100 } = {}) => ({
+  page: numeric(z.number().int().min(1)).default(1),
+  limit: numeric(z.number().int().min(1).max(maxLimit)).default(limit)
+});
@@ -0,0 +1,61 @@
+// schemas/evalSchemas.js
+// Schemas for routers/evalRouter.js. scripts/evaluate.js checks golden set
+// files against goldenSetBody too.
+import { z } from "zod";
+import { MAX_QUERY_LENGTH } from "./ragSchemas.js";
+import { idParams, numeric, objectId, pagination, text } from "./common.js";
+
+const setName = z.string().trim().regex(/^[\w.-]{1,64}$/, "Use 1-64 letters, digits, '.', '_' or '-'");
+
+const expectedFact = z.discriminatedUnion("type", [
+  z.strictObject({ type: z.literal("price"), value: z.number().positive() }),
+  z.strictObject({ type: z.literal("modelYear"), value: z.number().int().min(1900).max(2100) }),
+  z.strictObject({ type: z.literal("mention"), value: text(200) })
+]);
+
+const goldenQuestion = z.strictObject({
+  key: text(100),
+  question: text(MAX_QUERY_LENGTH),
+  expectedCarIds: z.array(objectId).max(20).default([]),
+  expectedFacts: z.array(expectedFact).max(20).default([]),
+  shouldRefuse: z.boolean().default(false)
+}).refine(question => !(question.shouldRefuse && question.expectedCarIds.length), {
+  message: "A question that should be refused cannot expect cars",
+  path: ["expectedCarIds"]
+});
+
+export const goldenSetBody = z.strictObject({
+  name: setName,
+  description: text(500).optional(),
+  questions: z.array(goldenQuestion).min(1).max(500)
+}).superRefine(({ questions }, ctx) => {
+  // Runs are diffed question by question on the key
+  const seen = new Set();
+  questions.forEach(({ key }, index) => {
+    if (seen.has(key)) {
+      ctx.addIssue({ code: "custom", path: ["questions", index, "key"], message: `Duplicate key "${key}"` });
+    }
+    seen.add(key);
+  });
+});
+
+export const goldenSetParams = z.strictObject({ name: setName });
+
+export const goldenSetQuery = z.strictObject({
+  version: numeric(z.number().int().min(1)).optional()
+});
+
+// Without a version the latest version of the set is run, with the active prompt version
+export const createEvalRunBody = z.strictObject({
+  set: setName,
+  version: numeric(z.number().int().min(1)).optional(),
+  k: numeric(z.number().int().min(1).max(20)).optional(),
+  promptVersion: numeric(z.number().int().min(1)).optional()
+});
+
+export const listEvalRunsQuery = z.strictObject({
+  set: setName.optional(),
+  ...pagination({ limit: 20 })
+});
+
+export { idParams };
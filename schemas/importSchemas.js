@@ -0,0 +1,31 @@
+// schemas/importSchemas.js
+// Schemas for routers/importRouter.js. Multipart form fields arrive as
+// strings, so `mapping` is JSON text: { "Stock No": null, "Make": "brand" }.
+import { z } from "zod";
+import { IMPORT_FORMATS } from "../utils/catalogImport.js";
+import { carFields } from "./carSchemas.js";
+import { numeric, objectId, text } from "./common.js";
+
+const mappingObject = z.record(
+  z.string(),
+  z.enum(Object.keys(carFields)).nullable()
+);
+
+export const importBody = z.strictObject({
+  format: z.enum(IMPORT_FORMATS).optional(),
+  mapping: z.preprocess(
+    value => {
+      if (typeof value !== "string") return value;
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    },
+    mappingObject
+  ).optional(),
+  externalKey: text(200).optional(),
+  batchSize: numeric(z.number().int().min(1).max(500)).optional()
+});
+
+export const importJobParams = z.strictObject({ jobId: objectId });
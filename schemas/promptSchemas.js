@@ -0,0 +1,25 @@
+// schemas/promptSchemas.js
+// Schemas for routers/promptRouter.js. Template variables are checked by
+// utils/promptTemplates.js validateTemplate.
+import { z } from "zod";
+import { boolean, numeric, text } from "./common.js";
+
+const version = numeric(z.number().int().min(1));
+
+export const promptVersionParams = z.strictObject({ version });
+
+export const createPromptBody = z.strictObject({
+  template: text(20000),
+  description: text(500).optional(),
+  activate: boolean().default(false)
+});
+
+export const experimentBody = z.strictObject({
+  variants: z.array(z.strictObject({
+    version,
+    weight: numeric(z.number().int().min(1).max(1000))
+  })).min(2, "Provide at least 2 variants").max(5, "Provide at most 5 variants")
+}).refine(({ variants }) => new Set(variants.map(variant => variant.version)).size === variants.length, {
+  message: "Each version can only be one variant",
+  path: ["variants"]
+});
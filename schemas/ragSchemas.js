@@ -0,0 +1,27 @@
+// schemas/ragSchemas.js
+// Schemas for routers/ragRoute.js
+import { z } from "zod";
+import { carFilters } from "./carSchemas.js";
+import { objectId, pagination, text } from "./common.js";
+
+// Longer questions are rejected before anything is embedded or sent to the model
+export const MAX_QUERY_LENGTH = 500;
+
+export const askBody = z.strictObject({
+  query: text(MAX_QUERY_LENGTH),
+  sessionId: objectId.optional()
+});
+
+export const compareBody = z.strictObject({
+  cars: z.array(text(200)).min(2, "Provide at least 2 cars").max(4, "Provide at most 4 cars")
+});
+
+export const searchQuery = z.strictObject({
+  q: text(MAX_QUERY_LENGTH),
+  ...pagination({ maxLimit: 50 }),
+  ...carFilters
+});
+
+export const listSessionsQuery = z.strictObject(pagination({ limit: 20 }));
+
+export { idParams } from "./common.js";
@@ -0,0 +1,17 @@
+// schemas/syncSchemas.js
+// Schemas for the embedding queue routes of routers/syncRouter.js
+import { z } from "zod";
+import { boolean, idParams, objectId, pagination } from "./common.js";
+
+export const listDeadLettersQuery = z.strictObject({
+  ...pagination({ limit: 20 }),
+  // Replayed dead letters are kept for the record but hidden by default
+  includeReplayed: boolean().default(false)
+});
+
+// Without ids every dead letter that has not been replayed yet is queued again
+export const replayDeadLettersBody = z.strictObject({
+  ids: z.array(objectId).min(1).max(500).optional()
+});
+
+export { idParams };
@@ -0,0 +1,42 @@
+// scripts/createApiKey.js
+// Create an API key from the command line, e.g. the first admin key.
+//   npm run create-key -- --name=ops --role=admin
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../db/connection.js';
+import { API_KEY_ROLES } from '../models/apiKeyModel.js';
+import { createApiKey } from '../utils/apiKeys.js';
+
+dotenv.config();
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map(arg => {
+    const [key, value = 'true'] = arg.replace(/^--/, '').split('=');
+    return [key, value];
+  })
+);
+
+const main = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI must be set');
+  }
+  if (!args.name) {
+    throw new Error('Usage: npm run create-key -- --name=<name> [--role=admin|public]');
+  }
+  const role = args.role || 'admin';
+  if (!API_KEY_ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${API_KEY_ROLES.join(', ')}`);
+  }
+
+  await connectDB();
+  const { key, apiKey } = await createApiKey({ name: args.name, role });
+  console.log(`Created ${apiKey.role} key "${apiKey.name}" (${apiKey._id})`);
+  console.log(`Key (shown once): ${key}`);
+};
+
+main()
+  .catch(error => {
+    console.error('Failed to create API key:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
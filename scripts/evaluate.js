@@ -0,0 +1,140 @@
+// scripts/evaluate.js
+// Evaluate retrieval and answers against a golden set and print the scores
+// with the change since the previous run.
+//   npm run evaluate -- --set=<name> [--version=2] [--k=3] [--prompt-version=4] [--file=golden.json] [--json] [--fail-on-regression]
+// --file saves the file as the set's next version first (unless unchanged).
+// Offline: AI_PROVIDER=builtin VECTOR_STORE=local npm run evaluate -- --set=<name>
+import fs from 'fs/promises';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../db/connection.js';
+import EvalRun from '../models/evalRunModel.js';
+import { goldenSetBody } from '../schemas/evalSchemas.js';
+import { createEvalRun, getGoldenSet, getRunningEvalRun, runEvaluation, saveGoldenSet } from '../utils/evaluation.js';
+
+dotenv.config();
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map(arg => {
+    const [key, value = 'true'] = arg.replace(/^--/, '').split('=');
+    return [key, value];
+  })
+);
+
+const CREATED_BY = { clientId: 'script:evaluate', name: 'npm run evaluate' };
+
+const METRIC_LABELS = {
+  recallAtK: k => `recall@${k}`,
+  mrr: () => 'MRR',
+  priceAccuracy: () => 'price accuracy',
+  factAccuracy: () => 'fact accuracy',
+  refusalRate: () => 'refused when it should',
+  falseRefusalRate: () => 'refused when it should not',
+  groundedRate: () => 'fully grounded',
+  avgDurationMs: () => 'avg duration (ms)'
+};
+
+const importSetFile = async (file) => {
+  const json = JSON.parse(await fs.readFile(file, 'utf8'));
+  const parsed = goldenSetBody.safeParse({ ...json, name: args.set || json.name });
+  if (!parsed.success) {
+    const details = parsed.error.issues.map(issue => `  ${issue.path.join('.') || '(file)'}: ${issue.message}`);
+    throw new Error(`${file} is not a valid golden set:\n${details.join('\n')}`);
+  }
+
+  const outcome = await saveGoldenSet(parsed.data, CREATED_BY);
+  if (outcome.errors) {
+    throw new Error(`${file} cannot be saved:\n${outcome.errors.map(error => `  ${error.field}: ${error.message}`).join('\n')}`);
+  }
+  console.log(outcome.created
+    ? `Saved ${file} as version ${outcome.set.version} of "${outcome.set.name}"`
+    : `"${outcome.set.name}" version ${outcome.set.version} already has these questions`);
+  return outcome.set;
+};
+
+const formatValue = (value) => value === null || value === undefined ? 'n/a' : String(value);
+
+const printReport = (run) => {
+  console.log(`\nEvaluation ${run._id} of "${run.setName}" v${run.setVersion}: ${run.status}`);
+  if (run.status !== 'completed') {
+    console.log(`  ${run.error}`);
+    return;
+  }
+
+  const { counts } = run.metrics;
+  console.log(`  ${counts.questions} questions, k=${run.k}, prompt v${run.promptVersion}, ${counts.errors} errors`);
+  for (const [metric, label] of Object.entries(METRIC_LABELS)) {
+    const change = run.diff?.metrics[metric];
+    const delta = change && change.delta !== null && change.direction !== 'same'
+      ? `  (${change.delta > 0 ? '+' : ''}${change.delta}, ${change.direction})`
+      : '';
+    console.log(`  ${label(run.k).padEnd(28)} ${formatValue(run.metrics[metric]).padStart(8)}${delta}`);
+  }
+
+  for (const result of run.results.filter(result => result.error)) {
+    console.log(`  ! ${result.key}: ${result.error}`);
+  }
+
+  if (!run.diff) {
+    console.log('\nNo previous run of this set to compare with.');
+    return;
+  }
+  const { diff } = run;
+  console.log(`\nCompared with run ${diff.previousRunId} (set v${diff.previousSetVersion})`);
+  for (const { key, previous, current } of diff.config) {
+    console.log(`  config ${key}: ${formatValue(previous)} -> ${formatValue(current)}`);
+  }
+  for (const question of diff.questions) {
+    const changes = question.changes.map(change => `${change.field} ${change.previous} -> ${change.current} (${change.direction})`);
+    console.log(`  ${question.key}: ${changes.join(', ')}`);
+  }
+  if (diff.addedQuestions.length) console.log(`  added: ${diff.addedQuestions.join(', ')}`);
+  if (diff.removedQuestions.length) console.log(`  removed: ${diff.removedQuestions.join(', ')}`);
+  console.log(`  ${diff.regressed.length} regressed, ${diff.improved.length} improved`);
+};
+
+const main = async () => {
+  if (!args.set && !args.file) {
+    throw new Error('Pass --set=<name> (and/or --file=<golden set JSON>)');
+  }
+  await connectDB();
+
+  const set = args.file
+    ? await importSetFile(args.file)
+    : await getGoldenSet(args.set, args.version ? Number(args.version) : undefined);
+  if (!set) {
+    throw new Error(`Golden set "${args.set}"${args.version ? ` version ${args.version}` : ''} not found`);
+  }
+
+  const running = await getRunningEvalRun();
+  if (running) {
+    throw new Error(`Evaluation run ${running._id} is already running`);
+  }
+
+  const created = await createEvalRun(set, {
+    k: args.k ? Number(args.k) : undefined,
+    promptVersion: args['prompt-version'] ? Number(args['prompt-version']) : undefined,
+    createdBy: CREATED_BY
+  });
+  await runEvaluation(created._id);
+
+  const run = await EvalRun.findById(created._id).lean();
+  if (args.json === 'true') {
+    console.log(JSON.stringify(run, null, 2));
+  } else {
+    printReport(run);
+  }
+
+  if (run.status !== 'completed') process.exitCode = 1;
+  // For CI: a worse score or question fails the command (timing is too noisy to count)
+  const worse = Object.entries(run.diff?.metrics || {})
+    .some(([metric, change]) => metric !== 'avgDurationMs' && change.direction === 'worse');
+  if (args['fail-on-regression'] === 'true' && (worse || run.diff?.regressed.length)) process.exitCode = 1;
+};
+
+main()
+  .catch(error => {
+    console.error('Evaluation failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
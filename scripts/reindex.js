@@ -0,0 +1,59 @@
+// scripts/reindex.js
+// Re-embed the catalog for the configured embedding version and wait for it to finish.
+//   npm run reindex -- [--batch-size=25] [--delay-ms=1000] [--force]
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../db/connection.js';
+import ReindexJob from '../models/reindexJobModel.js';
+import { claimStaleReindexJob, getRunningReindexJob, runReindexJob, startReindex } from '../utils/reindex.js';
+
+dotenv.config();
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map(arg => {
+    const [key, value = 'true'] = arg.replace(/^--/, '').split('=');
+    return [key, value];
+  })
+);
+
+const main = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI must be set');
+  }
+  await connectDB();
+
+  // Continue a job that is marked running only if its worker died (e.g. its server crashed)
+  let job = await getRunningReindexJob();
+  if (job) {
+    if (!await claimStaleReindexJob(job)) {
+      console.log(`Re-index ${job._id} is still running in another process (last heartbeat ${job.heartbeatAt?.toISOString()}). Follow it with GET /api/v1/sync/reindex.`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`Found interrupted re-index ${job._id}, continuing it`);
+    await runReindexJob(job._id);
+  } else {
+    job = await startReindex({
+      batchSize: args['batch-size'] ? Number(args['batch-size']) : undefined,
+      batchDelayMs: args['delay-ms'] !== undefined ? Number(args['delay-ms']) : undefined,
+      force: args.force === 'true',
+      background: false
+    });
+    if (!job) {
+      console.log('Configured embedding version is already active. Use --force to rebuild it anyway.');
+      return;
+    }
+    await runReindexJob(job._id);
+  }
+
+  const finished = await ReindexJob.findById(job._id).lean();
+  console.log(`Re-index ${finished._id} ${finished.status}: ${finished.processed}/${finished.total} processed, ${finished.failed} failed`);
+  if (finished.status !== 'completed') process.exitCode = 1;
+};
+
+main()
+  .catch(error => {
+    console.error('Re-index failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,83 @@
+// tests/builtinProvider.test.js
+// The offline provider: hash embeddings and templated answers, without a
+// database or network access.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { HashEmbeddings, TemplateChatModel } from "../utils/builtinProvider.js";
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+const PICKUP = `Car: Ford F-150 Lightning
+Brand: Ford
+Model Year: 2024
+Category: Pickup
+Fuel Type: Electric
+Price: $54995
+Description: Full-size electric pickup truck with a large towing capacity and a frunk.`;
+
+const SEDAN = `Car: Toyota Corolla Hybrid
+Brand: Toyota
+Model Year: 2023
+Category: Sedan
+Fuel Type: Hybrid
+Price: $27500
+Description: Compact hybrid sedan with excellent fuel economy for city commuting.`;
+
+const prompt = (context, question) => [
+  { role: "system", content: `Answer from the context.\n\nContext:\n${context}` },
+  { role: "user", content: question }
+];
+
+describe("HashEmbeddings", () => {
+  const embeddings = new HashEmbeddings({ dimensions: 256 });
+
+  test("returns the same unit vector for the same text", async () => {
+    const [first, second] = await embeddings.embedDocuments([PICKUP, PICKUP]);
+
+    assert.equal(first.length, 256);
+    assert.deepEqual(first, second);
+    assert.ok(Math.abs(cosine(first, first) - 1) < 1e-9);
+  });
+
+  test("ranks the car sharing the question's words first", async () => {
+    const [pickup, sedan] = await embeddings.embedDocuments([PICKUP, SEDAN]);
+    const query = await embeddings.embedQuery("Do you have an electric pickup truck?");
+
+    assert.ok(cosine(query, pickup) > cosine(query, sedan));
+  });
+});
+
+describe("TemplateChatModel", () => {
+  const llm = new TemplateChatModel();
+
+  test("answers from the context, citing each car with its current price", async () => {
+    const context = `[Car 1]\n${PICKUP}\nCURRENT PRICE: $49995\n\n---\n\n[Car 2]\n${SEDAN}`;
+    const response = await llm.invoke(prompt(context, "Which cars do you have?"));
+
+    assert.match(response.content, /Ford F-150 Lightning by Ford \(2024\) priced at \$49995 \[Car 1\]/);
+    assert.match(response.content, /Toyota Corolla Hybrid by Toyota \(2023\) priced at \$27500 \[Car 2\]/);
+    assert.ok(response.usage_metadata.total_tokens > 0);
+  });
+
+  test("declines when nothing was retrieved", async () => {
+    const response = await llm.invoke(prompt("", "Do you have a boat?"));
+
+    assert.match(response.content, /don't have information/);
+  });
+
+  test("streams the same answer it returns", async () => {
+    const messages = prompt(`[Car 1]\n${PICKUP}`, "Any pickups?");
+    let streamed = "";
+    for await (const chunk of await llm.stream(messages)) streamed += chunk.content;
+
+    assert.equal(streamed, (await llm.invoke(messages)).content);
+  });
+
+  test("passes follow-up questions through as standalone questions", async () => {
+    const response = await llm.invoke([
+      { role: "user", content: "Conversation:\nCustomer: Any pickups?\n\nFollow-up question: How much is it?\n\nStandalone question:" }
+    ]);
+
+    assert.equal(response.content, "How much is it?");
+  });
+});
@@ -0,0 +1,74 @@
+// tests/evaluation.test.js
+// A golden set evaluated end to end with the builtin provider and the local
+// vector store: seed the catalog, save the set, run it and check the scores.
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { SAMPLE_CARS, connectTestDatabase, disconnectTestDatabase, startTestServer } from "./helpers.js";
+import { goldenSetBody } from "../schemas/evalSchemas.js";
+import { createEvalRun, runEvaluation, saveGoldenSet } from "../utils/evaluation.js";
+import EvalRun from "../models/evalRunModel.js";
+
+const skip = await connectTestDatabase("evaluation");
+
+describe("offline evaluation run", { skip }, () => {
+  let server;
+  let set;
+  let firstRun;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server?.close();
+    await disconnectTestDatabase();
+  });
+
+  test("saves a golden set for the seeded catalog", async () => {
+    const { status, body } = await server.request("POST", "/api/v1/add", SAMPLE_CARS);
+    assert.equal(status, 201);
+    const pickup = body.results.find(result => result.car.name === "Ford F-150 Lightning").car;
+
+    const saved = await saveGoldenSet(goldenSetBody.parse({
+      name: "offline",
+      questions: [
+        {
+          key: "electric-pickup",
+          question: "Do you have an electric pickup truck?",
+          expectedCarIds: [pickup._id],
+          expectedFacts: [{ type: "price", value: 54995 }]
+        },
+        { key: "too-cheap", question: "Do you have any car under $10000?", shouldRefuse: true }
+      ]
+    }));
+
+    assert.equal(saved.created, true);
+    set = saved.set;
+  });
+
+  test("scores retrieval, facts and refusals", async () => {
+    const created = await createEvalRun(set, { k: 1 });
+    await runEvaluation(created._id);
+    firstRun = await EvalRun.findById(created._id).lean();
+
+    assert.equal(firstRun.status, "completed");
+    assert.equal(firstRun.k, 1);
+    assert.equal(firstRun.processed, 2);
+    assert.equal(firstRun.metrics.counts.errors, 0);
+    assert.equal(firstRun.metrics.recallAtK, 1);
+    assert.equal(firstRun.metrics.mrr, 1);
+    assert.equal(firstRun.metrics.priceAccuracy, 1);
+    assert.equal(firstRun.metrics.refusalRate, 1);
+    assert.equal(firstRun.metrics.falseRefusalRate, 0);
+  });
+
+  test("a second run is diffed against the first", async () => {
+    const created = await createEvalRun(set, { k: 1 });
+    await runEvaluation(created._id);
+    const run = await EvalRun.findById(created._id).lean();
+
+    assert.equal(run.status, "completed");
+    assert.equal(run.previousRunId.toString(), firstRun._id.toString());
+    assert.deepEqual(run.diff.regressed, []);
+  });
+});
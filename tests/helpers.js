@@ -0,0 +1,122 @@
+// tests/helpers.js
+// Shared setup for the offline tests: the builtin provider, the local vector
+// store and the in-memory cache, against throwaway databases.
+//   TEST_MONGO_URI  server the tests may create and drop rag_test_* databases on
+//                   (default: an in-memory single-node replica set started by
+//                   mongodb-memory-server, which downloads mongod on first use)
+// Each test file gets its own database, since files run in parallel. Suites
+// that need MongoDB are skipped when no server can be started or reached.
+import mongoose from "mongoose";
+import { MongoMemoryReplSet } from "mongodb-memory-server";
+
+Object.assign(process.env, {
+  AI_PROVIDER: "builtin",
+  VECTOR_STORE: "local",
+  CACHE_STORE: "memory",
+  API_AUTH: "off",
+  LOG_LEVEL: process.env.LOG_LEVEL || "error"
+});
+delete process.env.EMBEDDING_PROVIDER;
+delete process.env.CHAT_PROVIDER;
+delete process.env.EMBEDDING_MODEL;
+delete process.env.CHAT_MODEL;
+
+let memoryServer = null;
+
+// A replica set, since car vectors are written in transactions
+const startMemoryServer = async () => {
+  memoryServer = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: "wiredTiger" } });
+  return memoryServer.getUri();
+};
+
+/**
+ * Connect to an empty `rag_test_<name>` database. Returns null when
+ * connected, or the reason to skip the suite.
+ */
+export const connectTestDatabase = async (name) => {
+  let uri = process.env.TEST_MONGO_URI;
+  try {
+    uri ??= await startMemoryServer();
+  } catch (error) {
+    return `No TEST_MONGO_URI and the in-memory MongoDB could not start (${error.message.split("\n")[0]})`;
+  }
+  try {
+    await mongoose.connect(uri, { dbName: `rag_test_${name}`, serverSelectionTimeoutMS: 2000 });
+  } catch (error) {
+    await memoryServer?.stop();
+    return `MongoDB is not reachable at ${uri} (${error.message})`;
+  }
+  await mongoose.connection.dropDatabase();
+  return null;
+};
+
+export const disconnectTestDatabase = async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  }
+  await memoryServer?.stop();
+  memoryServer = null;
+};
+
+/**
+ * Serve the app on a free port. Returns `{ request, close }`, where
+ * `request(method, path, body)` resolves to `{ status, body }`.
+ */
+export const startTestServer = async () => {
+  const { default: app } = await import("../app.js");
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, body) => {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: body === undefined ? {} : { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const close = () => new Promise(resolve => {
+    server.close(() => resolve());
+    server.closeAllConnections();
+  });
+
+  return { request, close };
+};
+
+// A small catalog, different enough for the hash embeddings to tell apart
+export const SAMPLE_CARS = [
+  {
+    name: "Toyota Corolla Hybrid",
+    brand: "Toyota",
+    modelYear: 2023,
+    category: "Sedan",
+    fuelType: "Hybrid",
+    transmission: "Automatic",
+    price: 27500,
+    description: "Compact hybrid sedan with excellent fuel economy for city commuting."
+  },
+  {
+    name: "Ford F-150 Lightning",
+    brand: "Ford",
+    modelYear: 2024,
+    category: "Pickup",
+    fuelType: "Electric",
+    transmission: "Automatic",
+    price: 54995,
+    description: "Full-size electric pickup truck with a large towing capacity and a frunk."
+  },
+  {
+    name: "Land Rover Defender",
+    brand: "Land Rover",
+    modelYear: 2022,
+    category: "SUV",
+    fuelType: "Diesel",
+    transmission: "Automatic",
+    price: 68900,
+    description: "Rugged off-road SUV with permanent four wheel drive and air suspension."
+  }
+];
@@ -0,0 +1,73 @@
+// tests/offlineFlow.test.js
+// Ingest -> sync -> ask through the HTTP API with the builtin provider and the
+// local vector store: no network, only a local mongod.
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { SAMPLE_CARS, connectTestDatabase, disconnectTestDatabase, startTestServer } from "./helpers.js";
+
+const skip = await connectTestDatabase("offline_flow");
+
+describe("offline ingest, sync and ask", { skip }, () => {
+  let server;
+  let pickup;
+  let sessionId;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server?.close();
+    await disconnectTestDatabase();
+  });
+
+  test("ingests a catalog and embeds every car", async () => {
+    const { status, body } = await server.request("POST", "/api/v1/add", SAMPLE_CARS);
+
+    assert.equal(status, 201);
+    assert.equal(body.successful, SAMPLE_CARS.length);
+    pickup = body.results.find(result => result.car.name === "Ford F-150 Lightning").car;
+  });
+
+  test("answers from the retrieved car, citing it", async () => {
+    const { status, body } = await server.request("POST", "/api/v1/rag/ask", {
+      query: "Do you have an electric pickup truck?"
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.sources[0].name, "Ford F-150 Lightning");
+    assert.match(body.answer, /Ford F-150 Lightning.*\$54995.*\[Car 1\]/);
+    assert.equal(body.promptVersion, 1);
+    sessionId = body.sessionId;
+  });
+
+  test("reconciliation syncs an edited car into the vectors", async () => {
+    const update = await server.request("PUT", `/api/v1/cars/${pickup._id}`, {
+      price: 49995,
+      description: "Full-size electric pickup truck with extended range battery and a frunk."
+    });
+    assert.equal(update.status, 200);
+
+    const { status, body } = await server.request("POST", "/api/v1/sync/reconcile", { dryRun: false });
+    assert.equal(status, 200);
+    assert.equal(body.result.reembedded, 1);
+
+    const drift = await server.request("GET", "/api/v1/sync/status");
+    assert.equal(drift.status, 200);
+    assert.equal(drift.body.syncStatus, "synced");
+  });
+
+  test("a follow-up in the session sees the new price", async () => {
+    const { status, body } = await server.request("POST", "/api/v1/rag/ask", {
+      query: "How much is the electric pickup truck now?",
+      sessionId
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.sessionId, sessionId);
+    assert.match(body.answer, /\$49995/);
+
+    const session = await server.request("GET", `/api/v1/rag/sessions/${sessionId}`);
+    assert.equal(session.body.session.messages.length, 4);
+  });
+});
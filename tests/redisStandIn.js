@@ -0,0 +1,205 @@
+// tests/redisStandIn.js
+// A local stand-in for a Redis server: speaks RESP2 over TCP and implements
+// the commands RedisStore (utils/cache.js) uses, with key expiry. Keys and
+// sorted-set members are compared as JavaScript strings, which matches
+// Redis' byte order for the ASCII keys the tests use.
+import net from "net";
+
+const OK = "+OK\r\n";
+const bulk = (value) => value === null || value === undefined
+  ? "$-1\r\n"
+  : `$${Buffer.byteLength(String(value))}\r\n${value}\r\n`;
+const integer = (value) => `:${value}\r\n`;
+const array = (items) => `*${items.length}\r\n${items.join("")}`;
+const error = (message) => `-ERR ${message}\r\n`;
+
+// Parse complete RESP arrays of bulk strings; returns [commands, rest]
+const parseCommands = (buffer) => {
+  const commands = [];
+  let offset = 0;
+  for (;;) {
+    const start = offset;
+    const header = buffer.indexOf("\r\n", offset);
+    if (header === -1 || buffer[offset] !== 0x2a) break; // "*"
+    const count = Number(buffer.toString("utf8", offset + 1, header));
+    offset = header + 2;
+
+    const args = [];
+    for (let i = 0; i < count; i++) {
+      const lengthEnd = buffer.indexOf("\r\n", offset);
+      if (lengthEnd === -1) break;
+      const length = Number(buffer.toString("utf8", offset + 1, lengthEnd));
+      if (buffer.length < lengthEnd + 2 + length + 2) break;
+      args.push(buffer.toString("utf8", lengthEnd + 2, lengthEnd + 2 + length));
+      offset = lengthEnd + 2 + length + 2;
+    }
+    if (args.length < count) {
+      offset = start;
+      break;
+    }
+    commands.push(args);
+  }
+  return [commands, buffer.subarray(offset)];
+};
+
+// "[abc" / "(abc" / "-" / "+" bounds of ZRANGEBYLEX
+const lexBound = (bound, member, isMin) => {
+  if (bound === "-") return true;
+  if (bound === "+") return true;
+  const value = bound.slice(1);
+  const inclusive = bound[0] === "[";
+  if (isMin) return inclusive ? member >= value : member > value;
+  return inclusive ? member <= value : member < value;
+};
+
+const scoreBound = (bound) => {
+  if (bound === "-inf") return -Infinity;
+  if (bound === "+inf") return Infinity;
+  return Number(bound);
+};
+
+export class RedisStandIn {
+  constructor() {
+    this.strings = new Map();
+    this.sortedSets = new Map();
+    this.expiresAt = new Map();
+    this.expiredKeys = 0;
+    this.commands = [];
+    this.sockets = new Set();
+    this.server = net.createServer(socket => this.serve(socket));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, "127.0.0.1", resolve));
+    return `redis://127.0.0.1:${this.server.address().port}`;
+  }
+
+  async stop() {
+    await new Promise(resolve => {
+      this.server.close(() => resolve());
+      for (const socket of this.sockets) socket.destroy();
+    });
+  }
+
+  serve(socket) {
+    this.sockets.add(socket);
+    socket.on("close", () => this.sockets.delete(socket));
+
+    let pending = Buffer.alloc(0);
+    let transaction = null;
+    socket.on("data", (data) => {
+      const [commands, rest] = parseCommands(Buffer.concat([pending, data]));
+      pending = rest;
+      for (const args of commands) {
+        const name = args[0].toUpperCase();
+        if (name === "MULTI") {
+          transaction = [];
+          socket.write(OK);
+        } else if (name === "EXEC") {
+          const replies = (transaction || []).map(queued => this.run(queued));
+          transaction = null;
+          socket.write(array(replies));
+        } else if (transaction) {
+          transaction.push(args);
+          socket.write("+QUEUED\r\n");
+        } else {
+          socket.write(this.run(args));
+        }
+      }
+    });
+  }
+
+  exists(key) {
+    const expiresAt = this.expiresAt.get(key);
+    if (expiresAt !== undefined && Date.now() >= expiresAt) {
+      this.strings.delete(key);
+      this.sortedSets.delete(key);
+      this.expiresAt.delete(key);
+      this.expiredKeys++;
+    }
+    return this.strings.has(key) || this.sortedSets.has(key);
+  }
+
+  sortedSet(key) {
+    this.exists(key);
+    if (!this.sortedSets.has(key)) this.sortedSets.set(key, new Map());
+    return this.sortedSets.get(key);
+  }
+
+  // Members ordered by score, then by member
+  sortedMembers(key) {
+    if (!this.exists(key)) return [];
+    return [...this.sortedSets.get(key)]
+      .sort(([a, scoreA], [b, scoreB]) => scoreA - scoreB || (a < b ? -1 : a > b ? 1 : 0));
+  }
+
+  run(args) {
+    const [rawName, ...rest] = args;
+    const name = rawName.toUpperCase();
+    this.commands.push(name);
+
+    switch (name) {
+      case "PING":
+        return "+PONG\r\n";
+      case "CLIENT":
+      case "QUIT":
+        return OK;
+      case "INFO":
+        return bulk(`# Stats\r\nexpired_keys:${this.expiredKeys}\r\nevicted_keys:0\r\n`);
+      case "GET":
+        return bulk(this.exists(rest[0]) ? this.strings.get(rest[0]) : null);
+      case "MGET":
+        return array(rest.map(key => bulk(this.exists(key) ? this.strings.get(key) : null)));
+      case "SET": {
+        const [key, value, ...options] = rest;
+        this.strings.set(key, value);
+        this.expiresAt.delete(key);
+        const px = options.findIndex(option => option.toUpperCase() === "PX");
+        if (px !== -1) this.expiresAt.set(key, Date.now() + Number(options[px + 1]));
+        return OK;
+      }
+      case "DEL":
+        return integer(rest.filter(key => {
+          const existed = this.exists(key);
+          this.strings.delete(key);
+          this.sortedSets.delete(key);
+          this.expiresAt.delete(key);
+          return existed;
+        }).length);
+      case "ZADD": {
+        const set = this.sortedSet(rest[0]);
+        let added = 0;
+        for (let i = 1; i < rest.length; i += 2) {
+          if (!set.has(rest[i + 1])) added++;
+          set.set(rest[i + 1], Number(rest[i]));
+        }
+        return integer(added);
+      }
+      case "ZREM": {
+        if (!this.exists(rest[0])) return integer(0);
+        const set = this.sortedSets.get(rest[0]);
+        const removed = rest.slice(1).filter(member => set.delete(member)).length;
+        if (set.size === 0) this.sortedSets.delete(rest[0]);
+        return integer(removed);
+      }
+      case "ZCARD":
+        return integer(this.exists(rest[0]) ? this.sortedSets.get(rest[0]).size : 0);
+      case "ZRANGEBYLEX": {
+        const [key, min, max] = rest;
+        const members = this.sortedMembers(key)
+          .map(([member]) => member)
+          .filter(member => lexBound(min, member, true) && lexBound(max, member, false));
+        return array(members.map(bulk));
+      }
+      case "ZRANGEBYSCORE": {
+        const [key, min, max] = rest;
+        const members = this.sortedMembers(key)
+          .filter(([, score]) => score >= scoreBound(min) && score <= scoreBound(max))
+          .map(([member]) => member);
+        return array(members.map(bulk));
+      }
+      default:
+        return error(`unknown command '${rawName}'`);
+    }
+  }
+}
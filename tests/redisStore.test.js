@@ -0,0 +1,82 @@
+// tests/redisStore.test.js
+// RedisStore against a local stand-in server (tests/redisStandIn.js).
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { RedisStore, escapeGlob } from "../utils/cache.js";
+import { RedisStandIn } from "./redisStandIn.js";
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe("RedisStore", () => {
+  let server;
+  let store;
+  let other;
+
+  before(async () => {
+    server = new RedisStandIn();
+    const url = await server.start();
+    store = new RedisStore("answers", { url });
+    other = new RedisStore("other", { url });
+  });
+
+  after(async () => {
+    await store.close();
+    await other.close();
+    await server.stop();
+  });
+
+  test("reads back values and counts hits and misses", async () => {
+    await store.set("v1|abc|p1|one|car1", { answer: "first" }, 60000);
+
+    assert.deepEqual(await store.get("v1|abc|p1|one|car1"), { answer: "first" });
+    assert.equal(await store.get("v1|abc|p1|missing"), null);
+
+    const stats = await store.stats();
+    assert.equal(stats.backend, "redis");
+    assert.equal(stats.entries, 1);
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.misses, 1);
+  });
+
+  test("finds keys by prefix through the index, without scanning the keyspace", async () => {
+    await store.set("v1|abc|p2|two|car2", { answer: "second" }, 60000);
+    await store.set("v1|xyz|p1|three|car1", { answer: "third" }, 60000);
+    await other.set("v1|abc|p1|four|car1", { answer: "other store" }, 60000);
+
+    const matches = await store.scan("v1|abc|p1|*");
+    assert.deepEqual(matches, [["v1|abc|p1|one|car1", { answer: "first" }]]);
+    assert.ok(!server.commands.includes("SCAN") && !server.commands.includes("KEYS"));
+  });
+
+  test("honours escaped wildcards in the literal prefix", async () => {
+    await store.set("v*2|abc|p1|five|car3", { answer: "starred" }, 60000);
+
+    const matches = await store.scan(`${escapeGlob("v*2")}|*`);
+    assert.deepEqual(matches.map(([key]) => key), ["v*2|abc|p1|five|car3"]);
+  });
+
+  test("purges by pattern, including patterns that start with a wildcard", async () => {
+    const purged = await store.purge("*|*car1*");
+
+    assert.equal(purged, 2);
+    assert.equal(await store.get("v1|abc|p1|one|car1"), null);
+    assert.deepEqual(await store.get("v1|abc|p2|two|car2"), { answer: "second" });
+    // Other stores on the same server keep their keys
+    assert.deepEqual(await other.get("v1|abc|p1|four|car1"), { answer: "other store" });
+    assert.equal((await store.stats()).entries, 2);
+  });
+
+  test("expired keys leave the index", async () => {
+    await store.set("v1|abc|p3|short|car4", { answer: "brief" }, 20);
+    await sleep(50);
+
+    assert.deepEqual(await store.scan("v1|abc|p3|*"), []);
+    assert.equal((await store.stats()).entries, 2);
+  });
+
+  test("clear removes only this store's keys", async () => {
+    assert.equal(await store.clear(), 2);
+    assert.equal((await store.stats()).entries, 0);
+    assert.equal((await other.stats()).entries, 1);
+  });
+});
@@ -0,0 +1,140 @@
+// utils/answerCache.js
+// Semantic cache for /ask answers. A question hits when its embedding is close
+// enough to a cached question's (ANSWER_CACHE_SIMILARITY, cosine) and the same
+// constraints were extracted from both, so "cheapest hybrid" and "what's the
+// cheapest hybrid car?" share an answer but "cheapest diesel" does not.
+// Entries remember the cars they were built from; the change stream evicts
+// them when one of those cars changes. Answers of different prompt versions
+// are kept apart, so an A/B variant never serves the other variant's answers.
+//   ANSWER_CACHE_SIMILARITY   minimum cosine similarity for a hit (default 0.9)
+//   ANSWER_CACHE_TTL_SECONDS  entry lifetime (default 180)
+//   ANSWER_CACHE_MAX_ENTRIES  in-memory store: entries kept before LRU eviction (default 500)
+//   ANSWER_CACHE_MAX_BYTES    in-memory store: approximate size limit (default 50MB)
+import crypto from "crypto";
+import { getEmbeddings } from "./providers.js";
+import { getActiveEmbeddingSpec } from "./embeddingVersion.js";
+import { createCacheStore, escapeGlob } from "./cache.js";
+import logger from "./logger.js";
+
+const STORE_NAME = "answers";
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dot / ((Math.sqrt(normA) * Math.sqrt(normB)) || 1);
+};
+
+// Constraints are compared as a hash of canonical JSON (array order does not matter)
+const filtersHash = (filters = {}) => crypto
+  .createHash("sha1")
+  .update(JSON.stringify(
+    Object.keys(filters).sort().map(field => [
+      field,
+      Array.isArray(filters[field]) ? [...filters[field]].sort() : filters[field]
+    ])
+  ))
+  .digest("hex")
+  .slice(0, 16);
+
+// Read at call time so values loaded by dotenv after import are honoured
+const envSettings = () => ({
+  threshold: Number(process.env.ANSWER_CACHE_SIMILARITY) || 0.9,
+  ttlMs: (Number(process.env.ANSWER_CACHE_TTL_SECONDS) || 180) * 1000,
+  maxEntries: Number(process.env.ANSWER_CACHE_MAX_ENTRIES) || 500,
+  maxBytes: Number(process.env.ANSWER_CACHE_MAX_BYTES) || 50 * 1024 * 1024
+});
+
+/**
+ * Entries live in a cache store (utils/cache.js) under keys of the form
+ *   <embedding version>|<constraints hash>|p<prompt version>|<entry id>|<carId>,<carId>...
+ * so a lookup only scans entries it can match, and evicting a car is a purge
+ * by key pattern that works the same on the in-memory and the shared store.
+ */
+export class SemanticAnswerCache {
+  // `settings` returns { threshold, ttlMs, maxEntries, maxBytes }
+  constructor(settings = envSettings) {
+    this.settings = settings;
+  }
+
+  get store() {
+    const { maxEntries, maxBytes } = this.settings();
+    return createCacheStore(STORE_NAME, { maxEntries, maxBytes });
+  }
+
+  /**
+   * Embed the question with the active embedding model and look for a cached
+   * answer of the same prompt version. Always returns the lookup key; pass it to `set` on a miss (and
+   * its embedding to the vector search, so the question is embedded once).
+   */
+  async lookup(query, filters, promptVersion) {
+    const spec = await getActiveEmbeddingSpec();
+    const embedding = await getEmbeddings(spec).embedQuery(query);
+    const key = { query, embedding, version: spec.version, filters: filtersHash(filters), prompt: `p${promptVersion}` };
+
+    const { threshold } = this.settings();
+    let candidates;
+    try {
+      // Embeddings of different versions are not comparable
+      candidates = await this.store.scan(`${escapeGlob(key.version)}|${key.filters}|${key.prompt}|*`);
+    } catch (error) {
+      // An unreachable cache store must not fail the question
+      logger.error("Answer cache lookup failed", error);
+      return { key, hit: null };
+    }
+
+    let best = null;
+    for (const [entryKey, entry] of candidates) {
+      const similarity = cosine(embedding, entry.embedding);
+      if (similarity >= threshold && (!best || similarity > best.similarity)) {
+        best = { entryKey, similarity };
+      }
+    }
+
+    if (!best) {
+      this.store.countMiss();
+      return { key, hit: null };
+    }
+
+    // Read it again so the hit is counted and the entry becomes most recently used
+    const entry = await this.store.get(best.entryKey).catch(() => null);
+    return {
+      key,
+      hit: entry && {
+        ...entry.value,
+        matchedQuery: entry.query,
+        similarity: Number(best.similarity.toFixed(4))
+      }
+    };
+  }
+
+  async set(key, value, carIds = []) {
+    const ids = [...new Set(carIds.filter(Boolean).map(String))];
+    const entryKey = [key.version, key.filters, key.prompt, crypto.randomUUID(), ids.join(",")].join("|");
+    try {
+      await this.store.set(
+        entryKey,
+        { query: key.query, embedding: key.embedding, value },
+        this.settings().ttlMs
+      );
+    } catch (error) {
+      logger.error("Failed to cache answer", error);
+    }
+  }
+
+  // Drop every answer built from this car; returns how many were evicted
+  async evictCar(carId) {
+    return this.store.purge(`*|*${escapeGlob(carId)}*`);
+  }
+
+  async clear() {
+    return this.store.clear();
+  }
+}
+
+export const answerCache = new SemanticAnswerCache();
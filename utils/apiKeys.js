@@ -0,0 +1,91 @@
+// utils/apiKeys.js
+// API key generation, hashing and lookup. Keys are 32 random bytes, so a plain
+// SHA-256 is enough to store them (no salt / slow hash needed as for passwords).
+import crypto from "crypto";
+import ApiKey from "../models/apiKeyModel.js";
+import logger from "./logger.js";
+
+const KEY_PREFIX = "rag_";
+const PREFIX_LENGTH = 12;
+// Lookups of existing keys are cached briefly; a revoked key stops working
+// everywhere within this time. Unknown keys are never cached, so random keys
+// cannot grow the cache, and the cache holds at most MAX_CACHED_LOOKUPS keys.
+const LOOKUP_TTL_MS = 30 * 1000;
+const MAX_CACHED_LOOKUPS = 1000;
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const lookups = new Map();
+
+export const hashApiKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+// Fields safe to return from the API
+export const describeApiKey = (doc) => ({
+  _id: doc._id,
+  name: doc.name,
+  role: doc.role,
+  prefix: doc.prefix,
+  expiresAt: doc.expiresAt,
+  revokedAt: doc.revokedAt,
+  lastUsedAt: doc.lastUsedAt,
+  rotatedFrom: doc.rotatedFrom,
+  rateLimitPerMinute: doc.rateLimitPerMinute,
+  dailyChatTokens: doc.dailyChatTokens,
+  dailyEmbeddingTokens: doc.dailyEmbeddingTokens,
+  createdAt: doc.createdAt
+});
+
+/**
+ * Create a key and return it in plain text together with its record. The
+ * plain key cannot be recovered later.
+ */
+export const createApiKey = async ({ name, role, rotatedFrom, limits = {} }) => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  const doc = await ApiKey.create({
+    name,
+    role,
+    prefix: key.slice(0, PREFIX_LENGTH),
+    keyHash: hashApiKey(key),
+    rotatedFrom,
+    ...limits
+  });
+  return { key, apiKey: describeApiKey(doc) };
+};
+
+// Drop cached lookups of a key, e.g. right after it was revoked
+export const forgetApiKey = (keyHash) => {
+  lookups.delete(keyHash);
+};
+
+const isActive = (doc) =>
+  doc && !doc.revokedAt && (!doc.expiresAt || doc.expiresAt > new Date());
+
+/**
+ * The active key record for a presented key, or null. Updates `lastUsedAt`
+ * at most once a minute per key.
+ */
+export const findActiveApiKey = async (key) => {
+  const keyHash = hashApiKey(key);
+  const cached = lookups.get(keyHash);
+
+  let doc;
+  if (cached && Date.now() < cached.expiresAt) {
+    doc = cached.doc;
+  } else {
+    lookups.delete(keyHash);
+    doc = await ApiKey.findOne({ keyHash }).lean();
+    if (doc) {
+      lookups.set(keyHash, { doc, expiresAt: Date.now() + LOOKUP_TTL_MS });
+      // Oldest first: Map keeps insertion order
+      if (lookups.size > MAX_CACHED_LOOKUPS) lookups.delete(lookups.keys().next().value);
+    }
+  }
+
+  if (!isActive(doc)) return null;
+
+  if (!doc.lastUsedAt || Date.now() - new Date(doc.lastUsedAt).getTime() > LAST_USED_INTERVAL_MS) {
+    doc.lastUsedAt = new Date();
+    ApiKey.updateOne({ _id: doc._id }, { $set: { lastUsedAt: doc.lastUsedAt } })
+      .catch(error => logger.error("Failed to record API key use", error));
+  }
+  return doc;
+};
@@ -0,0 +1,159 @@
+// utils/builtinProvider.js
+// Deterministic, network-free embedding and chat models. Used in tests and on
+// dev laptops (AI_PROVIDER=builtin) so ingest -> sync -> ask runs offline.
+import { Embeddings } from "@langchain/core/embeddings";
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessage, AIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+
+// FNV-1a 32-bit hash
+const hash = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+const tokenize = (text) => (text.toLowerCase().match(/[a-z0-9$.]+/g) || []);
+
+/**
+ * Feature-hashing embeddings: words and word bigrams are hashed into a fixed
+ * number of dimensions and the result is L2-normalized, so texts sharing
+ * vocabulary get a high cosine similarity. Same input -> same vector.
+ */
+export class HashEmbeddings extends Embeddings {
+  constructor({ dimensions = 1536, ...rest } = {}) {
+    super(rest);
+    this.dimensions = dimensions;
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = tokenize(text);
+    const features = [
+      ...tokens,
+      ...tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`)
+    ];
+
+    for (const feature of features) {
+      const h = hash(feature);
+      // One bit picks the sign so collisions tend to cancel out
+      vector[h % this.dimensions] += (h & 0x80000000) ? -1 : 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map(v => v / norm);
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  async embedQuery(text) {
+    return this.embedText(text);
+  }
+}
+
+const messageText = (message) =>
+  typeof message.content === "string" ? message.content : "";
+
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Parse "[Car n]" blocks out of the RAG context into label/field maps
+const parseContext = (context) =>
+  context
+    .split(/\n\s*---\s*\n/)
+    .map(block => {
+      const label = block.match(/\[Car \d+\]/)?.[0];
+      const fields = {};
+      for (const line of block.split("\n")) {
+        const match = line.match(/^([A-Za-z ]+):\s*(.+)$/);
+        if (match) fields[match[1].trim().toLowerCase()] = match[2].trim();
+      }
+      return label ? { label, fields } : null;
+    })
+    .filter(Boolean);
+
+/**
+ * Templated answers built only from the context the prompt carries, so the
+ * output is deterministic and always grounded in retrieved records.
+ */
+export class TemplateChatModel extends BaseChatModel {
+  constructor({ model = "builtin-template", ...rest } = {}) {
+    super(rest);
+    this.model = model;
+  }
+
+  _llmType() {
+    return "builtin-template";
+  }
+
+  respond(messages) {
+    const prompt = messages.map(messageText).join("\n");
+    const lastMessage = messageText(messages[messages.length - 1] || {});
+
+    // Follow-up rewriting: the question is used as-is
+    const followUp = lastMessage.match(/Follow-up question:\s*([\s\S]*?)\n\s*\nStandalone question:/);
+    if (followUp) return followUp[1].trim();
+
+    const contextMatch = prompt.match(/Context:\n([\s\S]*)/);
+    const cars = contextMatch ? parseContext(contextMatch[1]) : [];
+    if (cars.length === 0) {
+      return "I don't have information about that in our current inventory.";
+    }
+
+    const lines = cars.map(({ label, fields }) => {
+      const name = fields.car || fields.name || "Unknown car";
+      const details = [
+        fields.brand && `by ${fields.brand}`,
+        fields["model year"] && fields["model year"] !== "N/A" && `(${fields["model year"]})`,
+        (fields["current price"] || (fields.price && fields.price !== "N/A" && fields.price)) &&
+          `priced at ${fields["current price"] || fields.price}`
+      ].filter(Boolean);
+      return `- ${name} ${details.join(" ")} ${label}`.replace(/\s+/g, " ").trim();
+    });
+
+    return `Here is what I found in our inventory:\n${lines.join("\n")}`;
+  }
+
+  usage(messages, text) {
+    const input = messages.reduce((sum, m) => sum + estimateTokens(messageText(m)), 0);
+    const output = estimateTokens(text);
+    return { input_tokens: input, output_tokens: output, total_tokens: input + output };
+  }
+
+  async _generate(messages) {
+    const text = this.respond(messages);
+    const usage = this.usage(messages, text);
+    return {
+      generations: [{ text, message: new AIMessage({ content: text, usage_metadata: usage }) }],
+      llmOutput: {
+        tokenUsage: {
+          promptTokens: usage.input_tokens,
+          completionTokens: usage.output_tokens,
+          totalTokens: usage.total_tokens
+        }
+      }
+    };
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    const text = this.respond(messages);
+    const pieces = text.match(/\S+\s*|\s+/g) || [];
+    for (const piece of pieces) {
+      if (options?.signal?.aborted) return;
+      const chunk = new ChatGenerationChunk({
+        message: new AIMessageChunk({ content: piece }),
+        text: piece
+      });
+      yield chunk;
+      await runManager?.handleLLMNewToken(piece, undefined, undefined, undefined, undefined, { chunk });
+    }
+    yield new ChatGenerationChunk({
+      message: new AIMessageChunk({ content: "", usage_metadata: this.usage(messages, text) }),
+      text: ""
+    });
+  }
+}
@@ -1,58 +1,350 @@
 // utils/cache.js
-class SimpleCache {
-  constructor(ttlMs = 5 * 60 * 1000) { // 5 minutes default TTL
-    this.cache = new Map();
-    this.ttl = ttlMs;
+// Pluggable cache stores, selected by configuration:
+//   CACHE_STORE  memory (default) | redis
+//   REDIS_URL    Redis-protocol server for the shared store (default redis://localhost:6379)
+//
+// Every store implements the same async interface:
+//   get(key)                 -> value or null (counts a hit or miss)
+//   set(key, value, ttlMs)
+//   delete(keys)             -> number of keys removed
+//   scan(pattern)            -> [key, value] pairs whose key matches a glob pattern
+//   purge(pattern)           -> number of keys removed
+//   clear()                  -> number of keys removed
+//   stats()                  -> entries, hit/miss/eviction counters...
+//   close()
+// Patterns use Redis glob syntax: `*` any characters, `?` one character.
+import { createClient } from "redis";
+import logger from "./logger.js";
+
+const byteSize = (value) => Buffer.byteLength(JSON.stringify(value));
+
+// Escape glob special characters in a literal key part
+export const escapeGlob = (value) => String(value).replace(/[*?[\]\\]/g, "\\$&");
+
+const globToRegExp = (pattern) => new RegExp(
+  `^${pattern.replace(/\\(.)|([*?])|([.+^${}()|[\]\\])/g, (match, escaped, wildcard, special) => {
+    if (escaped) return escaped.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    if (wildcard) return wildcard === "*" ? "[\\s\\S]*" : "[\\s\\S]";
+    return `\\${special}`;
+  })}$`
+);
+
+class CacheStore {
+  constructor(name) {
+    this.name = name;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
   }
 
-  set(key, value) {
-    const expiresAt = Date.now() + this.ttl;
-    this.cache.set(key, {
-      value,
-      expiresAt
-    });
+  countHit() {
+    this.hits++;
   }
 
-  get(key) {
-    const item = this.cache.get(key);
-    
-    if (!item) {
+  countMiss() {
+    this.misses++;
+  }
+
+  counters() {
+    const lookups = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      hitRatio: lookups ? Number((this.hits / lookups).toFixed(4)) : 0
+    };
+  }
+
+  async close() {}
+}
+
+/**
+ * In-process store bounded by entry count and approximate size (JSON bytes).
+ * Reads move an entry to the back of the Map; when a limit is exceeded the
+ * least recently used entries are evicted from the front. Expired entries are
+ * dropped when read, scanned or pushed out - no background timer.
+ */
+export class MemoryLRUStore extends CacheStore {
+  constructor(name, { maxEntries = 500, maxBytes = 50 * 1024 * 1024 } = {}) {
+    super(name);
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+    return true;
+  }
+
+  live(key) {
+    const entry = this.entries.get(key);
+    if (entry && Date.now() > entry.expiresAt) {
+      this.remove(key);
       return null;
     }
-    
-    if (Date.now() > item.expiresAt) {
-      this.cache.delete(key);
+    return entry || null;
+  }
+
+  async get(key) {
+    const entry = this.live(key);
+    if (!entry) {
+      this.countMiss();
       return null;
     }
-    
-    return item.value;
+    // Most recently used goes to the back
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.countHit();
+    return entry.value;
   }
 
-  clear() {
-    this.cache.clear();
+  async set(key, value, ttlMs) {
+    this.remove(key);
+    const entry = { value, bytes: byteSize(value) + key.length, expiresAt: Date.now() + ttlMs };
+    if (entry.bytes > this.maxBytes) return;
+
+    this.entries.set(key, entry);
+    this.bytes += entry.bytes;
+
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+      this.remove(oldest);
+      this.evictions++;
+    }
   }
 
-  size() {
-    return this.cache.size;
+  async delete(keys) {
+    return [].concat(keys).filter(key => this.remove(key)).length;
   }
 
-  // Clean expired entries
-  cleanup() {
-    const now = Date.now();
-    for (const [key, item] of this.cache.entries()) {
-      if (now > item.expiresAt) {
-        this.cache.delete(key);
-      }
+  async scan(pattern) {
+    const regex = globToRegExp(pattern);
+    const matches = [];
+    for (const key of [...this.entries.keys()]) {
+      if (!regex.test(key)) continue;
+      const entry = this.live(key);
+      if (entry) matches.push([key, entry.value]);
     }
+    return matches;
+  }
+
+  async purge(pattern) {
+    const regex = globToRegExp(pattern);
+    return [...this.entries.keys()].filter(key => regex.test(key) && this.remove(key)).length;
+  }
+
+  async clear() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    this.bytes = 0;
+    return removed;
+  }
+
+  async stats() {
+    return {
+      name: this.name,
+      backend: "memory",
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ...this.counters()
+    };
   }
 }
 
-// Create a cache instance for RAG responses
-export const ragCache = new SimpleCache(3 * 60 * 1000); // 3 minutes TTL
+const DELETE_BATCH = 100;
+const MGET_BATCH = 100;
+
+// Highest code point: sorts after any key sharing a prefix in ZRANGEBYLEX
+const LEX_MAX = "\u{10FFFF}";
+
+// Literal text before the first wildcard of a pattern ("" for "*abc")
+const literalPrefix = (pattern) => {
+  let prefix = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\" && i + 1 < pattern.length) {
+      prefix += pattern[++i];
+      continue;
+    }
+    if (char === "*" || char === "?" || char === "[") break;
+    prefix += char;
+  }
+  return prefix;
+};
+
+/**
+ * Store shared by every process behind the load balancer, on any server that
+ * speaks the Redis protocol (Redis, Valkey, KeyDB, Dragonfly...). Keys are
+ * prefixed with the store name; size limits and LRU eviction are the server's
+ * job (maxmemory / maxmemory-policy allkeys-lru), so `evictions` comes from
+ * the server's own counter. Hit/miss counters are per process.
+ *
+ * The store's keys are also kept in two sorted sets: by name, so a pattern
+ * with a literal prefix is a ZRANGEBYLEX instead of a SCAN of the whole
+ * keyspace, and by expiry time, so expired names are dropped from the index
+ * (Redis deletes a sorted set once it is empty). A key the server evicted
+ * early stays listed until its expiry time; reads skip it, and `entries` may
+ * count it.
+ */
+export class RedisStore extends CacheStore {
+  constructor(name, { url = process.env.REDIS_URL || "redis://localhost:6379" } = {}) {
+    super(name);
+    this.prefix = `rag:${name}:`;
+    // Outside the key prefix, so patterns never match them
+    this.keyIndex = `rag:${name}~keys`;
+    this.expiryIndex = `rag:${name}~expiry`;
+    this.client = createClient({ url });
+    this.client.on("error", (error) => logger.error("Cache store Redis error", { store: name, error }));
+    this.connecting = null;
+  }
+
+  async ready() {
+    if (!this.connecting) {
+      this.connecting = this.client.connect().catch(error => {
+        this.connecting = null;
+        throw error;
+      });
+    }
+    await this.connecting;
+    return this.client;
+  }
+
+  async get(key) {
+    const raw = await (await this.ready()).get(this.prefix + key);
+    if (raw === null) {
+      this.countMiss();
+      return null;
+    }
+    this.countHit();
+    return JSON.parse(raw);
+  }
+
+  async set(key, value, ttlMs) {
+    const client = await this.ready();
+    await client.multi()
+      .set(this.prefix + key, JSON.stringify(value), { PX: ttlMs })
+      .zAdd(this.keyIndex, { score: 0, value: key })
+      .zAdd(this.expiryIndex, { score: Date.now() + ttlMs, value: key })
+      .exec();
+  }
+
+  async delete(keys) {
+    const list = [].concat(keys);
+    if (list.length === 0) return 0;
+    const [removed] = await (await this.ready()).multi()
+      .del(list.map(key => this.prefix + key))
+      .zRem(this.keyIndex, list)
+      .zRem(this.expiryIndex, list)
+      .exec();
+    return removed;
+  }
+
+  // Drop expired keys from the indexes
+  async pruneIndex() {
+    const client = await this.ready();
+    const expired = await client.zRangeByScore(this.expiryIndex, "-inf", Date.now());
+    for (let i = 0; i < expired.length; i += DELETE_BATCH) {
+      const batch = expired.slice(i, i + DELETE_BATCH);
+      await client.multi().zRem(this.keyIndex, batch).zRem(this.expiryIndex, batch).exec();
+    }
+  }
+
+  // Keys (without the store prefix) matching a pattern
+  async matchingKeys(pattern) {
+    const client = await this.ready();
+    await this.pruneIndex();
+    const prefix = literalPrefix(pattern);
+    const candidates = prefix
+      ? await client.zRangeByLex(this.keyIndex, `[${prefix}`, `[${prefix}${LEX_MAX}`)
+      : await client.zRangeByLex(this.keyIndex, "-", "+");
+    const regex = globToRegExp(pattern);
+    return candidates.filter(key => regex.test(key));
+  }
+
+  async scan(pattern) {
+    const client = await this.ready();
+    const keys = await this.matchingKeys(pattern);
+    const matches = [];
+    for (let i = 0; i < keys.length; i += MGET_BATCH) {
+      const batch = keys.slice(i, i + MGET_BATCH);
+      const values = await client.mGet(batch.map(key => this.prefix + key));
+      batch.forEach((key, j) => {
+        // Keys can expire (or be evicted) before they leave the index
+        if (values[j] !== null) matches.push([key, JSON.parse(values[j])]);
+      });
+    }
+    return matches;
+  }
+
+  async purge(pattern) {
+    const keys = await this.matchingKeys(pattern);
+    let removed = 0;
+    for (let i = 0; i < keys.length; i += DELETE_BATCH) {
+      removed += await this.delete(keys.slice(i, i + DELETE_BATCH));
+    }
+    return removed;
+  }
+
+  // Only this store's keys - the server may be shared with other data
+  async clear() {
+    return this.purge("*");
+  }
+
+  async stats() {
+    const client = await this.ready();
+    await this.pruneIndex();
+    const info = await client.info("stats");
+    const serverStat = (field) => Number(info.match(new RegExp(`^${field}:(\\d+)`, "m"))?.[1] || 0);
+    const counters = this.counters();
+
+    return {
+      name: this.name,
+      backend: "redis",
+      entries: await client.zCard(this.keyIndex),
+      ...counters,
+      // Server-wide: evictions and expirations across all keys on the server
+      evictions: serverStat("evicted_keys"),
+      expirations: serverStat("expired_keys")
+    };
+  }
+
+  async close() {
+    if (this.connecting) {
+      await this.client.quit().catch(() => {});
+      this.connecting = null;
+    }
+  }
+}
+
+const stores = new Map();
+
+/**
+ * Get (or create) the named store for the configured backend. `options`
+ * ({ maxEntries, maxBytes }) bound the in-memory store.
+ */
+export const createCacheStore = (name, options = {}) => {
+  if (!stores.has(name)) {
+    const backend = process.env.CACHE_STORE || "memory";
+    if (backend === "memory") {
+      stores.set(name, new MemoryLRUStore(name, options));
+    } else if (backend === "redis") {
+      stores.set(name, new RedisStore(name));
+    } else {
+      throw new Error(`Unknown CACHE_STORE "${backend}". Use memory or redis.`);
+    }
+  }
+  return stores.get(name);
+};
+
+export const getCacheStores = () => [...stores.values()];
 
-// Auto cleanup every 5 minutes
-setInterval(() => {
-  ragCache.cleanup();
-}, 5 * 60 * 1000);
+export const getCacheStore = (name) => stores.get(name) || null;
 
-export default SimpleCache;
\ No newline at end of file
+export const closeCacheStores = () => Promise.all(getCacheStores().map(store => store.close()));
@@ -0,0 +1,142 @@
+// utils/carDocuments.js
+// The one place that turns a car into embeddable documents. Bulk ingest and
+// change-stream re-embedding both go through here, so a car always gets the
+// same text (and the same vectors) no matter which path touched it last.
+import mongoose from "mongoose";
+import { Document } from "@langchain/core/documents";
+import { RecursiveCharacterTextSplitter } from "@langchain/textsplitters";
+import CarVector from "../models/vectorModel.js";
+import { getEmbeddings } from "./providers.js";
+
+// Bump whenever the document template or splitter settings change: vectors built
+// by an older version no longer match and have to be re-indexed
+export const BUILDER_VERSION = 1;
+
+// Create a text splitter for consistent document processing
+const textSplitter = new RecursiveCharacterTextSplitter({
+  chunkSize: 1000,
+  chunkOverlap: 200,
+});
+
+// Fields that appear in the embedded text; changing one of them requires a re-embed.
+// Price and availability change often, so they live only in metadata and are
+// added to the prompt context at query time.
+export const TEXT_FIELDS = new Set([
+  "name",
+  "brand",
+  "modelYear",
+  "category",
+  "description",
+  "fuelType",
+  "transmission",
+  "engineCapacity",
+  "mileage"
+]);
+
+// Car fields copied onto every chunk's metadata (used for pre-filters and sources)
+export const METADATA_FIELDS = ["name", "brand", "category", "price", "fuelType", "modelYear", "available"];
+
+export const carVectorMetadata = (car) => ({
+  carId: car._id,
+  ...Object.fromEntries(METADATA_FIELDS.map(field => [field, car[field]])),
+  source: 'car_database'
+});
+
+// Transform car data into a structured document format
+export const transformCarToDocument = (car) => {
+  const content = `Car: ${car.name}
+Brand: ${car.brand}
+Model Year: ${car.modelYear || 'N/A'}
+Category: ${car.category || 'N/A'}
+Description: ${car.description || 'N/A'}
+Fuel Type: ${car.fuelType || 'N/A'}
+Transmission: ${car.transmission || 'N/A'}
+Engine Capacity: ${car.engineCapacity || 'N/A'}
+Mileage: ${car.mileage || 'N/A'}`;
+
+  return new Document({
+    pageContent: content,
+    metadata: carVectorMetadata(car)
+  });
+};
+
+// Split a car into chunk documents (long descriptions produce several chunks)
+export const buildCarDocuments = async (car) => {
+  const chunks = await textSplitter.splitDocuments([transformCarToDocument(car)]);
+  return chunks.map((chunk, chunkIndex) => ({
+    text: chunk.pageContent,
+    metadata: carVectorMetadata(car),
+    chunkIndex,
+    chunkCount: chunks.length
+  }));
+};
+
+const transactionsUnsupported = (error) =>
+  error?.code === 20 || /Transaction numbers are only allowed/i.test(error?.message || "");
+
+/**
+ * Replace every chunk of a car for one embedding version (see
+ * utils/embeddingVersion.js) with freshly embedded ones; chunks of other
+ * versions are left alone so a running re-index never removes what retrieval
+ * is still serving. Runs in a transaction so readers never see a mix of old
+ * and new chunks. On a standalone mongod (no transactions) the new chunks are
+ * inserted before the old ones are removed, so the car is never missing.
+ */
+export const replaceCarVectors = async (carId, chunks, vectors, spec) => {
+  const docs = chunks.map((chunk, i) => ({
+    carId,
+    text: chunk.text,
+    embedding: vectors[i],
+    metadata: chunk.metadata,
+    chunkIndex: chunk.chunkIndex,
+    chunkCount: chunk.chunkCount,
+    embeddingVersion: spec.version,
+    embeddingModel: spec.model,
+    embeddingDimensions: vectors[i].length,
+    builderVersion: spec.builderVersion
+  }));
+
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      await CarVector.deleteMany({ carId, embeddingVersion: spec.version }, { session });
+      await CarVector.insertMany(docs, { session });
+    });
+  } catch (error) {
+    if (!transactionsUnsupported(error)) throw error;
+    const inserted = await CarVector.insertMany(docs);
+    await CarVector.deleteMany({
+      carId,
+      embeddingVersion: spec.version,
+      _id: { $nin: inserted.map(doc => doc._id) }
+    });
+  }
+
+  return docs.length;
+};
+
+/**
+ * Re-embed all chunks of a car for one embedding version (`spec`). When the
+ * stored chunks already have this exact text (e.g. the insert event for a car
+ * the bulk pipeline has just embedded) only their metadata is refreshed.
+ * Resolves to "embedded" or "unchanged"; throws when the embedding cannot be
+ * generated or saved.
+ */
+export const embedCar = async (car, spec) => {
+  const carId = car._id;
+  const chunks = await buildCarDocuments(car);
+
+  const existing = await CarVector.find({ carId, embeddingVersion: spec.version }, { text: 1 })
+    .sort({ chunkIndex: 1 })
+    .lean();
+  const unchanged = existing.length === chunks.length &&
+    existing.every((doc, i) => doc.text === chunks[i].text);
+  if (unchanged) {
+    await CarVector.updateMany({ carId }, { $set: { metadata: carVectorMetadata(car) } });
+    return "unchanged";
+  }
+
+  // Generate embeddings for every chunk and swap them in atomically
+  const vectors = await getEmbeddings(spec).embedDocuments(chunks.map(chunk => chunk.text));
+  await replaceCarVectors(carId, chunks, vectors, spec);
+  return "embedded";
+};
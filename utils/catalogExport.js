@@ -0,0 +1,84 @@
+// utils/catalogExport.js
+// Serializers for the catalog export. Cars are written one at a time as the
+// cursor yields them, so the catalog is never held in memory. CSV columns are
+// named after car fields, so an exported file can be imported again as is.
+import CarVector from "../models/vectorModel.js";
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson", extension: "ndjson" },
+  json: { contentType: "application/json", extension: "json" }
+};
+
+const CAR_COLUMNS = [
+  "_id", "externalId", "name", "brand", "modelYear", "category", "price", "fuelType",
+  "transmission", "engineCapacity", "mileage", "available", "description", "createdAt", "updatedAt"
+];
+const SYNC_COLUMNS = ["embedded", "embeddingVersion", "chunks", "lastSyncedAt"];
+
+const csvValue = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * `{ start, item(car, index), end }` text pieces for a format. With
+ * `includeSyncStatus`, each car's `sync` object becomes extra CSV columns.
+ */
+export const createSerializer = (format, { includeSyncStatus = false } = {}) => {
+  if (format === "csv") {
+    const columns = includeSyncStatus ? [...CAR_COLUMNS, ...SYNC_COLUMNS] : CAR_COLUMNS;
+    return {
+      start: `${columns.join(",")}\n`,
+      item: (car) => `${[
+        ...CAR_COLUMNS.map(column => csvValue(car[column])),
+        ...(includeSyncStatus ? SYNC_COLUMNS.map(column => csvValue(car.sync?.[column])) : [])
+      ].join(",")}\n`,
+      end: ""
+    };
+  }
+  if (format === "ndjson") {
+    return { start: "", item: (car) => `${JSON.stringify(car)}\n`, end: "" };
+  }
+  return {
+    start: "[",
+    item: (car, index) => `${index > 0 ? "," : ""}\n${JSON.stringify(car)}`,
+    end: "\n]\n"
+  };
+};
+
+/**
+ * Vector sync status of a batch of cars: whether it has chunks for the
+ * active embedding version, which version its newest chunks belong to, and
+ * when they were last written. Returns a Map keyed by car id.
+ */
+export const loadSyncStatus = async (cars, activeVersion) => {
+  const groups = await CarVector.aggregate([
+    { $match: { carId: { $in: cars.map(car => car._id) } } },
+    {
+      $group: {
+        _id: { carId: "$carId", version: "$embeddingVersion" },
+        chunks: { $sum: 1 },
+        lastSyncedAt: { $max: "$updatedAt" }
+      }
+    }
+  ]);
+
+  const status = new Map();
+  for (const car of cars) {
+    const versions = groups
+      .filter(group => group._id.carId?.toString() === car._id.toString())
+      .sort((a, b) => b.lastSyncedAt - a.lastSyncedAt);
+    const active = versions.find(group => group._id.version === activeVersion);
+    const current = active || versions[0];
+
+    status.set(car._id.toString(), {
+      embedded: Boolean(active),
+      embeddingVersion: current?._id.version || null,
+      chunks: current?.chunks || 0,
+      lastSyncedAt: current?.lastSyncedAt || null
+    });
+  }
+  return status;
+};
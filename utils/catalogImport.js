@@ -0,0 +1,492 @@
+// utils/catalogImport.js
+// Background catalog import from a CSV or NDJSON dealer feed. The file is
+// parsed, mapped to car fields and validated up front, so an unreadable file
+// is rejected before a job exists. Rows are then written in batches - upserted
+// on `externalId` when the feed has a key column, so re-importing a feed
+// updates its cars - and the cars of each batch whose text changed are
+// embedded with a single embedding call. Written cars carry the job id, so the
+// change stream does not queue a second embedding of them; cars whose
+// embedding fails go to the embedding queue instead. Progress and per-row
+// errors live in the ImportJob document. Rows are only held in memory: a job
+// interrupted by a restart is marked failed, and importing the file again
+// picks up where it left off (keyed rows are updated, not duplicated).
+//   IMPORT_BATCH_SIZE  rows written and embedded together (default 50)
+import CarProduct from "../models/carModel.js";
+import CarVector from "../models/vectorModel.js";
+import ImportJob from "../models/importJobModel.js";
+import { carBody, carFields } from "../schemas/carSchemas.js";
+import { getEmbeddings } from "./providers.js";
+import { buildCarDocuments, carVectorMetadata, replaceCarVectors } from "./carDocuments.js";
+import { getTargetEmbeddingSpec } from "./embeddingVersion.js";
+import { enqueueEmbedding } from "./embeddingQueue.js";
+import { recordEmbeddingUsage } from "./usage.js";
+import logger from "./logger.js";
+
+export const IMPORT_FORMATS = ["csv", "ndjson"];
+
+const HEARTBEAT_STALE_MS = 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const MAX_RECORDED_ROW_ERRORS = 500;
+
+const CAR_FIELDS = Object.keys(carFields);
+
+const INTERRUPTED = "Interrupted by a restart. Import the file again: rows with an external key are updated, not duplicated.";
+
+// Jobs this process is currently running, by id
+const runningHere = new Map();
+let stopping = false;
+
+// "Model Year", "model_year" and "modelYear" all name the modelYear field
+const normalizeColumn = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, "");
+const FIELD_BY_COLUMN = new Map(CAR_FIELDS.map(field => [normalizeColumn(field), field]));
+
+export const getImportBatchSize = () => Number(process.env.IMPORT_BATCH_SIZE) || 50;
+
+export const getRunningImportJob = () => ImportJob.findOne({ status: "running" }).lean();
+
+/**
+ * RFC 4180 CSV: quoted fields may contain commas, newlines and doubled quotes.
+ * Returns `{ line, values }` per record, `line` being where the record starts.
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let values = [];
+  let value = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    values.push(value);
+    // Blank lines are skipped
+    if (values.length > 1 || values[0] !== "") records.push({ line: recordLine, values });
+    values = [];
+    value = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        value += char;
+      }
+    } else if (char === '"' && value === "") {
+      quoted = true;
+    } else if (char === ",") {
+      values.push(value);
+      value = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted) throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  if (value !== "" || values.length > 0) endRecord();
+  return records;
+};
+
+// One JSON object per line; returns `{ line, record }` or `{ line, error }` per non-empty line
+const parseNdjson = (text) => text
+  .split(/\r?\n/)
+  .map((content, index) => ({ line: index + 1, content: content.trim() }))
+  .filter(({ content }) => content)
+  .map(({ line, content }) => {
+    try {
+      const record = JSON.parse(content);
+      if (!record || typeof record !== "object" || Array.isArray(record)) {
+        return { line, error: "Line is not a JSON object" };
+      }
+      return { line, record };
+    } catch (error) {
+      return { line, error: `Invalid JSON: ${error.message}` };
+    }
+  });
+
+/**
+ * Resolve which car field each source column fills. `mapping` ({ column:
+ * field }, field null to skip a column) wins; other columns are matched to
+ * car fields by name. `externalKey` names the column holding the feed's own
+ * car id. Returns { fieldByColumn, ignoredColumns, errors }.
+ */
+const resolveMapping = (columns, mapping = {}, externalKey) => {
+  const errors = [];
+  const fieldByColumn = new Map();
+
+  for (const [column, field] of Object.entries(mapping)) {
+    if (!columns.includes(column)) {
+      errors.push({ field: `mapping.${column}`, message: "Column not found in the file" });
+    } else if (field !== null && !CAR_FIELDS.includes(field)) {
+      errors.push({ field: `mapping.${column}`, message: `Unknown car field. Use one of: ${CAR_FIELDS.join(", ")}` });
+    }
+  }
+  if (externalKey && !columns.includes(externalKey)) {
+    errors.push({ field: "externalKey", message: "Column not found in the file" });
+  }
+
+  for (const column of columns) {
+    const field = column === externalKey
+      ? "externalId"
+      : column in mapping ? mapping[column] : FIELD_BY_COLUMN.get(normalizeColumn(column));
+    if (field) fieldByColumn.set(column, field);
+  }
+
+  const fields = [...fieldByColumn.values()];
+  const duplicated = fields.filter((field, index) => fields.indexOf(field) !== index);
+  for (const field of new Set(duplicated)) {
+    errors.push({ field: "mapping", message: `Several columns map to ${field}` });
+  }
+  for (const required of ["name", "brand"]) {
+    if (!fields.includes(required)) {
+      errors.push({ field: "mapping", message: `No column maps to ${required}` });
+    }
+  }
+
+  return {
+    fieldByColumn,
+    ignoredColumns: columns.filter(column => !fieldByColumn.has(column)),
+    errors
+  };
+};
+
+// Map one source record to car fields and validate it like POST /cars
+const toCarRow = (line, record, fieldByColumn) => {
+  const car = {};
+  for (const [column, field] of fieldByColumn) {
+    const value = record[column];
+    // Empty cells leave the field unset
+    if (value === undefined || value === null || value === "") continue;
+    car[field] = value;
+  }
+
+  const result = carBody.safeParse(car);
+  if (result.success) return { line, car: result.data };
+
+  const columnByField = new Map([...fieldByColumn].map(([column, field]) => [field, column]));
+  return {
+    line,
+    externalId: typeof car.externalId === "string" ? car.externalId : undefined,
+    errors: result.error.issues.map(issue => ({
+      field: issue.path.join("."),
+      column: columnByField.get(issue.path[0]),
+      message: issue.message
+    }))
+  };
+};
+
+/**
+ * Parse and map an uploaded feed. Returns { rows, columns, ignoredColumns }
+ * where each row is { line, car } or { line, errors }, or { errors } when the
+ * file as a whole cannot be imported (bad format, unknown mapping columns...).
+ */
+export const prepareImport = (buffer, { format, mapping, externalKey }) => {
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+
+  let records;
+  let columns;
+  if (format === "csv") {
+    let csv;
+    try {
+      csv = parseCsv(text);
+    } catch (error) {
+      return { errors: [{ field: "file", message: error.message }] };
+    }
+    if (csv.length < 2) {
+      return { errors: [{ field: "file", message: "The file needs a header row and at least one data row" }] };
+    }
+    columns = csv[0].values.map(column => column.trim());
+    records = csv.slice(1).map(({ line, values }) => ({
+      line,
+      record: Object.fromEntries(columns.map((column, i) => [column, values[i]?.trim()]))
+    }));
+  } else {
+    records = parseNdjson(text);
+    if (records.length === 0) {
+      return { errors: [{ field: "file", message: "The file has no records" }] };
+    }
+    columns = [...new Set(records.flatMap(({ record }) => record ? Object.keys(record) : []))];
+  }
+
+  const { fieldByColumn, ignoredColumns, errors } = resolveMapping(columns, mapping, externalKey);
+  if (errors.length > 0) return { errors };
+
+  const rows = records.map(({ line, record, error }) => error
+    ? { line, errors: [{ field: "line", message: error }] }
+    : toCarRow(line, record, fieldByColumn));
+
+  return { rows, columns, ignoredColumns };
+};
+
+/**
+ * Write one batch of valid rows: keyed rows are upserted on externalId, the
+ * rest inserted. Every write stamps the job id (see listeners/vectorSync.js).
+ * Returns the written cars by row index and the rows that failed.
+ */
+const writeBatch = async (job, rows) => {
+  const operations = rows.map(({ car }) => {
+    const document = { ...car, importJobId: job._id };
+    return car.externalId
+      ? { updateOne: { filter: { externalId: car.externalId }, update: { $set: document }, upsert: true } }
+      : { insertOne: { document } };
+  });
+
+  let result;
+  let writeErrors = [];
+  try {
+    result = await CarProduct.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    // Unordered: the other operations went through
+    if (!error.writeErrors && !error.result) throw error;
+    result = error.result;
+    writeErrors = [].concat(error.writeErrors || []);
+  }
+
+  const failedIndexes = new Set(writeErrors.map(writeError => writeError.index));
+  const failures = writeErrors.map(writeError => ({
+    line: rows[writeError.index].line,
+    externalId: rows[writeError.index].car.externalId,
+    stage: "write",
+    errors: [{ message: writeError.errmsg || writeError.message }]
+  }));
+
+  const upserted = new Set(Object.keys(result?.upsertedIds || {}).map(Number));
+  const insertedIds = result?.insertedIds || {};
+  const keyed = rows.map(row => row.car.externalId).filter(Boolean);
+  const keyedCars = await CarProduct.find({ externalId: { $in: keyed } }).lean();
+  const keyedById = new Map(keyedCars.map(car => [car.externalId, car]));
+  const inserted = await CarProduct.find({
+    _id: { $in: Object.entries(insertedIds).filter(([index]) => !failedIndexes.has(Number(index))).map(([, id]) => id) }
+  }).lean();
+  const insertedById = new Map(inserted.map(car => [car._id.toString(), car]));
+
+  const written = [];
+  let created = 0;
+  let updated = 0;
+  rows.forEach((row, index) => {
+    if (failedIndexes.has(index)) return;
+    const car = row.car.externalId
+      ? keyedById.get(row.car.externalId)
+      : insertedById.get(insertedIds[index]?.toString());
+    if (!car) return;
+    written.push({ row, car });
+    if (row.car.externalId && !upserted.has(index)) updated++;
+    else created++;
+  });
+
+  return { written, failures, created, updated };
+};
+
+/**
+ * Embed the cars of a batch whose chunk text differs from their stored
+ * vectors, with one embedding call; unchanged cars only get fresh metadata.
+ * Returns the cars that were re-embedded and the ones that failed.
+ */
+const embedBatch = async (job, written) => {
+  const spec = getTargetEmbeddingSpec();
+  const cars = [...new Map(written.map(({ car }) => [car._id.toString(), car])).values()];
+
+  const chunksPerCar = await Promise.all(cars.map(buildCarDocuments));
+  const existing = await CarVector.find(
+    { carId: { $in: cars.map(car => car._id) }, embeddingVersion: spec.version },
+    { carId: 1, text: 1, chunkIndex: 1 }
+  ).lean();
+
+  const changed = [];
+  for (let i = 0; i < cars.length; i++) {
+    const stored = existing
+      .filter(doc => doc.carId.toString() === cars[i]._id.toString())
+      .sort((a, b) => a.chunkIndex - b.chunkIndex);
+    const unchanged = stored.length === chunksPerCar[i].length &&
+      stored.every((doc, j) => doc.text === chunksPerCar[i][j].text);
+    if (unchanged) {
+      await CarVector.updateMany({ carId: cars[i]._id }, { $set: { metadata: carVectorMetadata(cars[i]) } });
+    } else {
+      changed.push({ car: cars[i], chunks: chunksPerCar[i] });
+    }
+  }
+  if (changed.length === 0) return { embedded: 0, failures: [] };
+
+  const texts = changed.flatMap(({ chunks }) => chunks.map(chunk => chunk.text));
+  const vectors = await getEmbeddings(spec).embedDocuments(texts);
+  recordEmbeddingUsage({ id: job.createdBy?.clientId, name: job.createdBy?.name }, texts, spec.model);
+
+  const failures = [];
+  let offset = 0;
+  for (const { car, chunks } of changed) {
+    const carVectors = vectors.slice(offset, offset + chunks.length);
+    offset += chunks.length;
+    try {
+      await replaceCarVectors(car._id, chunks, carVectors, spec);
+    } catch (error) {
+      failures.push({ carId: car._id, error: error.message });
+    }
+  }
+  return { embedded: changed.length - failures.length, failures };
+};
+
+const processBatch = async (job, rows) => {
+  const invalid = rows
+    .filter(row => row.errors)
+    .map(row => ({ line: row.line, externalId: row.externalId, stage: "validation", errors: row.errors }));
+  const valid = rows.filter(row => row.car);
+
+  const { written, failures, created, updated } = valid.length
+    ? await writeBatch(job, valid)
+    : { written: [], failures: [], created: 0, updated: 0 };
+
+  // Written cars that could not be embedded are still in the catalog; the
+  // embedding queue retries them
+  let embedded = 0;
+  const embeddingFailures = [];
+  const failedCars = [];
+  if (written.length) {
+    try {
+      const outcome = await embedBatch(job, written);
+      embedded = outcome.embedded;
+      for (const failure of outcome.failures) {
+        const { row, car } = written.find(({ car }) => car._id.toString() === failure.carId.toString());
+        embeddingFailures.push({ line: row.line, externalId: row.car.externalId, stage: "embedding", errors: [{ message: failure.error }] });
+        failedCars.push(car._id);
+      }
+    } catch (error) {
+      logger.error("Import embedding batch failed", { jobId: job._id, error });
+      embeddingFailures.push(...written.map(({ row }) => ({
+        line: row.line,
+        externalId: row.car.externalId,
+        stage: "embedding",
+        errors: [{ message: error.message }]
+      })));
+      failedCars.push(...written.map(({ car }) => car._id));
+    }
+  }
+  for (const carId of new Set(failedCars)) {
+    await enqueueEmbedding(carId, { reason: "import" });
+  }
+
+  return {
+    created,
+    updated,
+    embedded,
+    rowErrors: [...invalid, ...failures, ...embeddingFailures],
+    failed: invalid.length + failures.length,
+    embeddingFailed: embeddingFailures.length
+  };
+};
+
+const runJob = async (id, rows) => {
+  // A slow embedding call must not leave the heartbeat stale, or another
+  // process marks the job interrupted while it still runs here
+  const heartbeat = setInterval(() => {
+    ImportJob.updateOne({ _id: id, status: "running" }, { $set: { heartbeatAt: new Date() } })
+      .catch(error => logger.error("Failed to refresh import heartbeat", { jobId: id, error }));
+  }, HEARTBEAT_INTERVAL_MS).unref();
+  try {
+    let job = await ImportJob.findById(id).lean();
+    logger.info("Import starting", { jobId: id, rows: rows.length, source: job.fileName || job.format });
+
+    for (let start = 0; start < rows.length; start += job.batchSize) {
+      // The rows are lost with the process, so the job cannot resume
+      if (stopping) {
+        await ImportJob.updateOne(
+          { _id: id, status: "running" },
+          { $set: { status: "failed", error: INTERRUPTED, finishedAt: new Date() } }
+        );
+        logger.warn("Import stopped for shutdown", { jobId: id, processed: job.processed, total: job.total });
+        return;
+      }
+
+      const batch = rows.slice(start, start + job.batchSize);
+      const outcome = await processBatch(job, batch);
+
+      // Only while still running: another process may have marked the job failed
+      job = await ImportJob.findOneAndUpdate(
+        { _id: id, status: "running" },
+        {
+          $inc: {
+            processed: batch.length,
+            created: outcome.created,
+            updated: outcome.updated,
+            failed: outcome.failed,
+            embedded: outcome.embedded,
+            embeddingFailed: outcome.embeddingFailed
+          },
+          $set: { heartbeatAt: new Date() },
+          $push: { rowErrors: { $each: outcome.rowErrors, $slice: MAX_RECORDED_ROW_ERRORS } }
+        },
+        { new: true, lean: true }
+      );
+      if (!job) {
+        logger.warn("Import is no longer running, stopping", { jobId: id });
+        return;
+      }
+      logger.info("Import progress", { jobId: id, processed: job.processed, total: job.total, failed: job.failed });
+    }
+
+    const { matchedCount } = await ImportJob.updateOne(
+      { _id: id, status: "running" },
+      { $set: { status: "completed", finishedAt: new Date(), heartbeatAt: new Date() } }
+    );
+    if (!matchedCount) {
+      logger.warn("Import finished after it stopped running, status left unchanged", { jobId: id });
+      return;
+    }
+    logger.info("Import completed", { jobId: id, created: job.created, updated: job.updated, failed: job.failed });
+  } catch (error) {
+    logger.error("Import failed", { jobId: id, error });
+    await ImportJob.updateOne(
+      { _id: id, status: "running" },
+      { $set: { status: "failed", error: error.message, finishedAt: new Date() } }
+    );
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Import prepared rows batch by batch, recording progress on the job. Runs in
+ * the background; a failure that stops the whole job marks it "failed".
+ */
+export const runImportJob = (jobId, rows) => {
+  const id = jobId.toString();
+  const run = runJob(id, rows).finally(() => runningHere.delete(id));
+  runningHere.set(id, run);
+  return run;
+};
+
+// Stop after the current batch and wait; stopped jobs are marked failed
+export const stopImportJobs = async () => {
+  stopping = true;
+  await Promise.allSettled(runningHere.values());
+};
+
+/**
+ * Jobs still "running" with a stale heartbeat lost their rows when their
+ * process stopped. Called on startup; checks again later while another
+ * process might still be working on one.
+ */
+export const failInterruptedImports = async () => {
+  const { modifiedCount } = await ImportJob.updateMany(
+    { status: "running", heartbeatAt: { $lt: new Date(Date.now() - HEARTBEAT_STALE_MS) } },
+    {
+      $set: { status: "failed", error: INTERRUPTED, finishedAt: new Date() }
+    }
+  );
+  if (modifiedCount) logger.warn("Marked interrupted import jobs as failed", { jobs: modifiedCount });
+
+  const running = await getRunningImportJob();
+  if (running && !runningHere.has(running._id.toString())) {
+    setTimeout(() => {
+      failInterruptedImports().catch(error => logger.error("Failed to check interrupted imports", error));
+    }, HEARTBEAT_STALE_MS).unref();
+  }
+};
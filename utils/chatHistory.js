@@ -0,0 +1,93 @@
+// utils/chatHistory.js
+import { RunnableSequence } from "@langchain/core/runnables";
+import { PromptTemplate } from "@langchain/core/prompts";
+import { StringOutputParser } from "@langchain/core/output_parsers";
+import mongoose from "mongoose";
+import ChatSession from "../models/chatSessionModel.js";
+
+// Prior turns included in the prompt are capped to this many (estimated) tokens.
+// Read at call time so values loaded by dotenv after import are honoured
+const getHistoryTokenBudget = () => Number(process.env.CHAT_HISTORY_TOKEN_BUDGET) || 1000;
+
+// Rough token estimate (~4 characters per token for English text)
+export const estimateTokens = (text = "") => Math.ceil(text.length / 4);
+
+// Keep the most recent messages that fit in the budget, oldest first
+export const trimHistoryToBudget = (messages, budget = getHistoryTokenBudget()) => {
+  const kept = [];
+  let used = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(messages[i].content);
+    if (used + cost > budget) break;
+    kept.unshift(messages[i]);
+    used += cost;
+  }
+  return kept;
+};
+
+// Prior turns as plain text, for prompts that embed the conversation
+export const formatHistory = (messages) =>
+  messages
+    .map(m => `${m.role === "user" ? "Customer" : "Assistant"}: ${m.content}`)
+    .join("\n");
+
+const condensePrompt = PromptTemplate.fromTemplate(`
+Given the conversation below between a customer and a car dealership assistant, rewrite the customer's follow-up question as a standalone question that can be understood without the conversation. Resolve references like "it", "that one" or "the cheaper one" to the specific cars, brands or prices mentioned. If the question is already standalone, return it unchanged.
+
+Conversation:
+{history}
+
+Follow-up question: {question}
+
+Standalone question:`);
+
+// Rewrite a follow-up into a standalone query suitable for similarity search
+export const condenseQuestion = async (llm, history, question) => {
+  if (history.length === 0) return question;
+
+  const chain = RunnableSequence.from([condensePrompt, llm, new StringOutputParser()]);
+  const standalone = await chain.invoke({
+    history: formatHistory(history),
+    question
+  });
+  return standalone.trim() || question;
+};
+
+// Sessions belong to the API key that started them. Admin keys, and every
+// request when API_AUTH=off, reach all sessions.
+export const sessionScope = (apiKey) =>
+  !apiKey || apiKey.role === "admin" ? {} : { apiKeyId: apiKey.id };
+
+// Load the session for a request, or start a new one. A new session is only
+// saved with its first turn (see appendTurn), so a failed or aborted first
+// question leaves nothing behind. Returns null if the id is unknown or belongs
+// to another key.
+export const loadSession = async (sessionId, query, apiKey) => {
+  if (!sessionId) {
+    return new ChatSession({ title: query.trim().slice(0, 80), apiKeyId: apiKey?.id });
+  }
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+  return ChatSession.findOne({ _id: sessionId, ...sessionScope(apiKey) });
+};
+
+export const appendTurn = async (session, { query, standaloneQuery, answer, sources, promptVersion }) => {
+  const messages = [
+    { role: "user", content: query, standaloneQuery },
+    { role: "assistant", content: answer, sources, promptVersion }
+  ];
+
+  if (session.isNew) {
+    session.messages.push(...messages);
+    session.lastMessageAt = new Date();
+    await session.save();
+    return;
+  }
+
+  await ChatSession.updateOne(
+    { _id: session._id },
+    {
+      $push: { messages: { $each: messages } },
+      $set: { lastMessageAt: new Date() }
+    }
+  );
+};
@@ -0,0 +1,266 @@
+// utils/embeddingQueue.js
+// Durable queue of car re-embeds. The change stream enqueues a job per changed
+// car; workers in every app process claim due jobs from MongoDB, so pending
+// work survives restarts and is shared across instances. A failed attempt is
+// retried with exponential backoff; a job that runs out of attempts moves to
+// the dead-letter collection until someone replays it.
+//   EMBEDDING_QUEUE_CONCURRENCY   jobs processed at once per process (default 2)
+//   EMBEDDING_QUEUE_MAX_ATTEMPTS  attempts before a job is dead-lettered (default 5)
+//   EMBEDDING_QUEUE_BACKOFF_MS    delay before the first retry, doubled each time (default 2000)
+//   EMBEDDING_QUEUE_DEBOUNCE_MS   wait after a change so bursts of edits embed once (default 3000)
+import crypto from "crypto";
+import CarProduct from "../models/carModel.js";
+import EmbeddingJob from "../models/embeddingJobModel.js";
+import EmbeddingDeadLetter from "../models/embeddingDeadLetterModel.js";
+import { embedCar } from "./carDocuments.js";
+import { getTargetEmbeddingSpec } from "./embeddingVersion.js";
+import logger, { getRequestId, withLogContext } from "./logger.js";
+
+const POLL_MS = 1000;
+const LOCK_MS = 5 * 60 * 1000;
+const LOCK_RENEW_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+const MAX_RECORDED_FAILURES = 10;
+
+const workerId = `${process.pid}-${crypto.randomBytes(4).toString("hex")}`;
+
+let workers = [];
+let stopping = false;
+const inFlight = new Set();
+// Idle workers waiting for the next poll, woken early on stop
+const sleepers = new Set();
+
+// Read at call time so values loaded by dotenv after import are honoured
+const envNumber = (name, fallback) =>
+  process.env[name] !== undefined && process.env[name] !== "" ? Number(process.env[name]) : fallback;
+
+export const getQueueSettings = () => ({
+  concurrency: Math.max(1, envNumber("EMBEDDING_QUEUE_CONCURRENCY", 2)),
+  maxAttempts: Math.max(1, envNumber("EMBEDDING_QUEUE_MAX_ATTEMPTS", 5)),
+  backoffMs: envNumber("EMBEDDING_QUEUE_BACKOFF_MS", 2000),
+  debounceMs: envNumber("EMBEDDING_QUEUE_DEBOUNCE_MS", 3000)
+});
+
+const sleep = (ms) => new Promise(resolve => {
+  const wake = () => {
+    clearTimeout(timer);
+    sleepers.delete(wake);
+    resolve();
+  };
+  const timer = setTimeout(wake, ms);
+  sleepers.add(wake);
+});
+
+// 2s, 4s, 8s... capped, with +/-20% jitter so retries of a batch spread out
+const backoffDelay = (attempt, baseMs) => {
+  const delay = Math.min(baseMs * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+/**
+ * Queue a re-embed of a car. A car already waiting keeps its single pending
+ * job, whose run time moves to `delayMs` from now (debounce).
+ */
+export const enqueueEmbedding = async (carId, { reason, delayMs = getQueueSettings().debounceMs } = {}) => {
+  const update = {
+    $set: { runAt: new Date(Date.now() + delayMs), requestId: getRequestId() },
+    $setOnInsert: { reason, attempts: 0 }
+  };
+  try {
+    await EmbeddingJob.updateOne({ carId, status: "pending" }, update, { upsert: true });
+  } catch (error) {
+    // Two processes inserted the car's pending job at once: the other one won, update it
+    if (error.code !== 11000) throw error;
+    await EmbeddingJob.updateOne({ carId, status: "pending" }, update);
+  }
+};
+
+// Drop the pending job of a deleted car
+export const cancelEmbedding = (carId) => EmbeddingJob.deleteMany({ carId, status: "pending" });
+
+/**
+ * Claim the next due job: a pending one whose runAt has passed, or a
+ * processing one whose worker stopped renewing its lock.
+ */
+const claimNextJob = async () => {
+  const now = new Date();
+  const job = await EmbeddingJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", runAt: { $lte: now } },
+        { status: "processing", lockedUntil: { $lt: now } }
+      ]
+    },
+    {
+      $set: { status: "processing", lockedBy: workerId, lockedUntil: new Date(now.getTime() + LOCK_MS) },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true, lean: true }
+  );
+  if (!job) return null;
+
+  // Another worker is still embedding this car: let it finish first
+  const busy = await EmbeddingJob.exists({
+    _id: { $ne: job._id },
+    carId: job.carId,
+    status: "processing",
+    lockedUntil: { $gte: now }
+  });
+  if (busy) {
+    await releaseJob(job, { attempts: job.attempts - 1, delayMs: getQueueSettings().debounceMs });
+    return null;
+  }
+  return job;
+};
+
+// Put a claimed job back as pending. If a newer pending job for the car exists
+// (changed again meanwhile) that one already covers the work.
+const releaseJob = async (job, { attempts, delayMs, failure }) => {
+  try {
+    await EmbeddingJob.updateOne(
+      { _id: job._id },
+      {
+        $set: { status: "pending", attempts, runAt: new Date(Date.now() + delayMs), ...(failure && { lastError: failure.error }) },
+        $unset: { lockedBy: 1, lockedUntil: 1 },
+        ...(failure && { $push: { failures: { $each: [failure], $slice: -MAX_RECORDED_FAILURES } } })
+      }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    await EmbeddingJob.deleteOne({ _id: job._id });
+  }
+};
+
+const deadLetter = async (job, failure) => {
+  await EmbeddingDeadLetter.create({
+    carId: job.carId,
+    reason: job.reason,
+    attempts: job.attempts,
+    lastError: failure.error,
+    failures: [...(job.failures || []), failure].slice(-MAX_RECORDED_FAILURES)
+  });
+  await EmbeddingJob.deleteOne({ _id: job._id });
+  logger.error("Embedding job dead-lettered", { carId: job.carId, attempts: job.attempts, lastError: failure.error });
+};
+
+// Extend the lock while a job runs, so a slow embedding is not claimed twice
+const keepLock = (job) => setInterval(() => {
+  EmbeddingJob.updateOne(
+    { _id: job._id, status: "processing", lockedBy: workerId },
+    { $set: { lockedUntil: new Date(Date.now() + LOCK_MS) } }
+  ).catch(error => logger.error("Failed to renew embedding job lock", { carId: job.carId, error }));
+}, LOCK_RENEW_MS).unref();
+
+const processJob = async (job) => {
+  const renewal = keepLock(job);
+  try {
+    const car = await CarProduct.findById(job.carId).lean();
+    // Deleted meanwhile: the delete event removes its vectors
+    if (car) {
+      const outcome = await embedCar(car, getTargetEmbeddingSpec());
+      logger.info(outcome === "unchanged"
+        ? "Embedding text unchanged, refreshed metadata only"
+        : "Upserted embedding chunks", { carId: job.carId });
+    }
+    await EmbeddingJob.deleteOne({ _id: job._id });
+  } catch (error) {
+    const failure = { attempt: job.attempts, error: error.message, at: new Date() };
+    const { maxAttempts, backoffMs } = getQueueSettings();
+
+    try {
+      if (job.attempts >= maxAttempts) {
+        await deadLetter(job, failure);
+      } else {
+        const delayMs = backoffDelay(job.attempts, backoffMs);
+        logger.warn("Embedding attempt failed, retrying", { carId: job.carId, attempt: job.attempts, maxAttempts, retryInMs: delayMs, error });
+        await releaseJob(job, { attempts: job.attempts, delayMs, failure });
+      }
+    } catch (queueError) {
+      // The lock expires and another worker picks the job up again
+      logger.error("Failed to record embedding failure", { carId: job.carId, error: queueError });
+    }
+  } finally {
+    clearInterval(renewal);
+  }
+};
+
+const runWorker = async () => {
+  while (!stopping) {
+    let job = null;
+    try {
+      job = await claimNextJob();
+    } catch (error) {
+      logger.error("Embedding queue claim failed", error);
+    }
+
+    if (!job) {
+      await sleep(POLL_MS);
+      continue;
+    }
+
+    // Logs of the job carry the ID of the request or change event that queued it
+    const run = withLogContext({ requestId: job.requestId, jobId: job._id.toString() }, () => processJob(job));
+    inFlight.add(run);
+    await run;
+    inFlight.delete(run);
+  }
+};
+
+export const startEmbeddingWorkers = () => {
+  if (workers.length > 0) return;
+  stopping = false;
+  const { concurrency } = getQueueSettings();
+  workers = Array.from({ length: concurrency }, () => runWorker());
+  logger.info("Embedding queue workers started", { concurrency, workerId });
+};
+
+// Stop claiming jobs and wait for the ones being processed
+export const stopEmbeddingWorkers = async () => {
+  stopping = true;
+  for (const wake of sleepers) wake();
+  await Promise.all([...inFlight, ...workers]);
+  workers = [];
+};
+
+export const getQueueStats = async () => {
+  const now = new Date();
+  const [pending, due, processing, deadLetters, oldest] = await Promise.all([
+    EmbeddingJob.countDocuments({ status: "pending" }),
+    EmbeddingJob.countDocuments({ status: "pending", runAt: { $lte: now } }),
+    EmbeddingJob.countDocuments({ status: "processing" }),
+    EmbeddingDeadLetter.countDocuments({ replayedAt: { $exists: false } }),
+    EmbeddingJob.findOne({ status: "pending" }).sort({ createdAt: 1 }).select("createdAt").lean()
+  ]);
+
+  return {
+    pending,
+    due,
+    processing,
+    deadLetters,
+    oldestPendingAt: oldest?.createdAt || null,
+    inFlightHere: inFlight.size,
+    settings: getQueueSettings()
+  };
+};
+
+/**
+ * Queue the cars of dead-lettered jobs again with fresh attempts. Returns the
+ * replayed dead letters and the ones whose car no longer exists.
+ */
+export const replayDeadLetters = async (deadLetters) => {
+  const existing = await CarProduct.find({ _id: { $in: deadLetters.map(letter => letter.carId) } }).distinct("_id");
+  const existingIds = new Set(existing.map(id => id.toString()));
+
+  const replayed = [];
+  const carMissing = [];
+  for (const letter of deadLetters) {
+    if (!existingIds.has(letter.carId.toString())) {
+      carMissing.push(letter._id);
+      continue;
+    }
+    await enqueueEmbedding(letter.carId, { reason: "replay", delayMs: 0 });
+    await EmbeddingDeadLetter.updateOne({ _id: letter._id }, { $set: { replayedAt: new Date() } });
+    replayed.push(letter._id);
+  }
+  return { replayed, carMissing };
+};
@@ -0,0 +1,103 @@
+// utils/embeddingVersion.js
+// Every CarVector is stamped with the embedding version that produced it:
+// provider, model, dimensions and document builder version. Retrieval only
+// queries the *active* version (stored in Mongo); new writes use the *target*
+// version from configuration. They differ while a re-index is migrating the
+// catalog from one to the other (see utils/reindex.js).
+import EmbeddingState from "../models/embeddingStateModel.js";
+import CarVector from "../models/vectorModel.js";
+import { getProviderConfig } from "./providers.js";
+import { BUILDER_VERSION } from "./carDocuments.js";
+import logger from "./logger.js";
+
+const ACTIVE_ID = "active";
+// How long a process keeps using the active version it read last
+export const ACTIVE_CACHE_MS = 30 * 1000;
+
+export const versionKey = ({ provider, model, dimensions, builderVersion }) =>
+  `${provider}:${model}:${dimensions || "default"}:b${builderVersion}`;
+
+// Version produced by the current configuration
+export const getTargetEmbeddingSpec = () => {
+  const { embedding } = getProviderConfig();
+  const spec = {
+    provider: embedding.provider,
+    model: embedding.model,
+    dimensions: embedding.dimensions,
+    builderVersion: BUILDER_VERSION
+  };
+  return { ...spec, version: versionKey(spec) };
+};
+
+let activeSpec = null;
+let activeLoadedAt = 0;
+
+const toSpec = (state) => ({
+  version: state.version,
+  provider: state.provider,
+  model: state.model,
+  dimensions: state.dimensions || undefined,
+  builderVersion: state.builderVersion
+});
+
+/**
+ * Version retrieval should query. The first time this runs there is no pointer
+ * yet: the configured version becomes active and vectors written before
+ * versioning existed are adopted into it (they could only have come from the
+ * configured model); reconciliation re-embeds any whose text is out of date.
+ */
+export const getActiveEmbeddingSpec = async () => {
+  if (activeSpec && Date.now() - activeLoadedAt < ACTIVE_CACHE_MS) {
+    return activeSpec;
+  }
+
+  let state = await EmbeddingState.findById(ACTIVE_ID).lean();
+  if (!state) {
+    const target = getTargetEmbeddingSpec();
+    state = await EmbeddingState.findOneAndUpdate(
+      { _id: ACTIVE_ID },
+      { $setOnInsert: { ...target, activatedAt: new Date() } },
+      { upsert: true, new: true, lean: true }
+    );
+    const adopted = await CarVector.updateMany(
+      { embeddingVersion: { $exists: false } },
+      { $set: { embeddingVersion: state.version, embeddingModel: state.model } }
+    );
+    if (adopted.modifiedCount) {
+      logger.info("Adopted unversioned vectors", { adopted: adopted.modifiedCount, version: state.version });
+    }
+  }
+
+  activeSpec = toSpec(state);
+  activeLoadedAt = Date.now();
+  return activeSpec;
+};
+
+export const setActiveEmbeddingSpec = async (spec) => {
+  await EmbeddingState.updateOne(
+    { _id: ACTIVE_ID },
+    {
+      $set: {
+        version: spec.version,
+        provider: spec.provider,
+        model: spec.model,
+        dimensions: spec.dimensions,
+        builderVersion: spec.builderVersion,
+        activatedAt: new Date()
+      }
+    },
+    { upsert: true }
+  );
+  activeSpec = { ...spec };
+  activeLoadedAt = Date.now();
+  logger.info("Active embedding version changed", { version: spec.version });
+};
+
+// Vector counts per stored version, for status reports
+export const countVectorsByVersion = async () => {
+  const groups = await CarVector.aggregate([
+    { $group: { _id: "$embeddingVersion", vectors: { $sum: 1 } } },
+    { $sort: { vectors: -1 } }
+  ]);
+  return groups.map(g => ({ version: g._id ?? "unversioned", vectors: g.vectors }));
+};
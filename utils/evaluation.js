@@ -0,0 +1,381 @@
+// utils/evaluation.js
+// Offline evaluation of retrieval and answers against a golden set: versioned
+// questions with the cars retrieval should find, facts the answer must state
+// and whether the assistant should decline. Each question goes through the
+// same pipeline as POST /api/v1/rag/ask (utils/ragPipeline.js), without the
+// answer cache or a chat session, so changes to chunking, the document
+// template, k or the prompt show up in the scores; a prompt version can be
+// evaluated before it is activated. A run is compared with the previous
+// completed run of the same set. With AI_PROVIDER=builtin and
+// VECTOR_STORE=local nothing leaves the machine.
+import crypto from "crypto";
+import CarProduct from "../models/carModel.js";
+import GoldenSet from "../models/goldenSetModel.js";
+import EvalRun from "../models/evalRunModel.js";
+import { extractConstraints, toVectorFilter } from "./queryFilters.js";
+import { getGroundingPolicy, statesPrice } from "./grounding.js";
+import { bestHitPerCar, searchByVector } from "./vectorStore.js";
+import { getActiveEmbeddingSpec } from "./embeddingVersion.js";
+import { getChatModel, getEmbeddings, getProviderConfig } from "./providers.js";
+import { buildMessages, getRetrievalK, groundAnswer, retrieveContext } from "./ragPipeline.js";
+import { getPromptState, getPromptVersion } from "./promptTemplates.js";
+import { recordEmbeddingUsage, UsageCallbackHandler } from "./usage.js";
+import logger from "./logger.js";
+
+const HEARTBEAT_STALE_MS = 60 * 1000;
+// Cars ranked per question: MRR looks past k, up to this depth
+const RANKING_DEPTH = 20;
+
+const INTERRUPTED = "Interrupted by a restart. Start a new run.";
+
+// Runs this process is currently evaluating, by id
+const runningHere = new Map();
+let stopping = false;
+
+// Phrases the prompt and the grounding check use when the catalog has no answer
+const REFUSAL = /\b(?:don't|do not|couldn't|could not|can't|cannot|unable to)\b.{0,40}\b(?:have|find|verify|help|information|inventory)|\bno (?:information|matching|cars?)\b|\bnot (?:in|available in|part of) our\b/i;
+
+export const isRefusal = (answer) => REFUSAL.test(answer);
+
+// Identical question lists are not saved twice
+const checksumOf = (questions) => crypto.createHash("sha256").update(JSON.stringify(questions)).digest("hex");
+
+export const getGoldenSet = (name, version) => {
+  const query = GoldenSet.findOne(version ? { name, version } : { name });
+  return query.sort({ version: -1 }).lean();
+};
+
+/**
+ * Save a golden set (validated with schemas/evalSchemas.js goldenSetBody) as
+ * the next version of its name. Returns `{ set, created }` - `created` is false
+ * when the latest version already has the same questions - or `{ errors }`
+ * when it expects cars that are not in the catalog.
+ */
+export const saveGoldenSet = async ({ name, description, questions }, createdBy) => {
+  const expectedIds = [...new Set(questions.flatMap(question => question.expectedCarIds))];
+  const existing = await CarProduct.find({ _id: { $in: expectedIds } }).distinct("_id");
+  const existingIds = new Set(existing.map(id => id.toString()));
+
+  const errors = questions.flatMap((question, index) => question.expectedCarIds
+    .filter(carId => !existingIds.has(carId))
+    .map(carId => ({ field: `questions.${index}.expectedCarIds`, message: `Car ${carId} is not in the catalog` })));
+  if (errors.length > 0) return { errors };
+
+  const checksum = checksumOf(questions);
+  const latest = await getGoldenSet(name);
+  if (latest?.checksum === checksum && (description === undefined || description === latest.description)) {
+    return { set: latest, created: false };
+  }
+
+  try {
+    const set = await GoldenSet.create({
+      name,
+      version: (latest?.version || 0) + 1,
+      description: description ?? latest?.description,
+      questions,
+      checksum,
+      createdBy
+    });
+    logger.info("Golden set version saved", { set: name, version: set.version, questions: questions.length });
+    return { set: set.toObject(), created: true };
+  } catch (error) {
+    // Two saves of the same set raced for the version number
+    if (error.code === 11000) throw new Error(`Golden set "${name}" was changed concurrently, save it again`);
+    throw error;
+  }
+};
+
+export const getRunningEvalRun = () => EvalRun.findOne({ status: "running" }).lean();
+
+// What the scores depend on besides the golden set, so a diff can explain itself
+const currentConfig = async (promptVersion) => {
+  const { chat } = getProviderConfig();
+  const embedding = await getActiveEmbeddingSpec();
+  return {
+    chatProvider: chat.provider,
+    chatModel: chat.model,
+    embeddingVersion: embedding.version,
+    retrievalK: getRetrievalK(),
+    groundingPolicy: getGroundingPolicy(),
+    promptVersion
+  };
+};
+
+// Without a prompt version the active one is evaluated
+export const createEvalRun = async (set, { k = getRetrievalK(), promptVersion, createdBy } = {}) => {
+  const version = promptVersion ?? (await getPromptState()).activeVersion;
+  return (await EvalRun.create({
+    setName: set.name,
+    setVersion: set.version,
+    k,
+    promptVersion: version,
+    config: await currentConfig(version),
+    total: set.questions.length,
+    createdBy,
+    heartbeatAt: new Date()
+  })).toObject();
+};
+
+// The answer states the fact: a matching price, the year, or the text (any case)
+const factStated = (answer, { type, value }) => {
+  if (type === "price") return statesPrice(answer, value);
+  if (type === "modelYear") return new RegExp(`\\b${value}\\b`).test(answer);
+  return answer.toLowerCase().includes(String(value).toLowerCase());
+};
+
+const round = (value) => value === null ? null : Number(value.toFixed(4));
+
+const mean = (values) => values.length ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+
+// Retrieval is scored on the ranking the pipeline's search produces, one entry per car
+const scoreRetrieval = (ranked, expectedCarIds, k) => {
+  if (expectedCarIds.length === 0) return { recallAtK: null, reciprocalRank: null, firstRelevantRank: null };
+  const expected = new Set(expectedCarIds);
+  const found = ranked.slice(0, k).filter(carId => expected.has(carId)).length;
+  const firstIndex = ranked.findIndex(carId => expected.has(carId));
+  return {
+    recallAtK: round(found / expected.size),
+    reciprocalRank: firstIndex >= 0 ? round(1 / (firstIndex + 1)) : 0,
+    firstRelevantRank: firstIndex >= 0 ? firstIndex + 1 : null
+  };
+};
+
+const evaluateQuestion = async (question, { k, prompt, llm, client }) => {
+  const startedAt = Date.now();
+  const expectedCarIds = question.expectedCarIds.map(String);
+
+  // One query embedding serves the ranking and the answer's context
+  const filters = await extractConstraints(question.question);
+  const embedding = await getEmbeddings(await getActiveEmbeddingSpec()).embedQuery(question.question);
+  recordEmbeddingUsage(client, question.question);
+
+  const scored = await searchByVector(embedding, Math.max(k, RANKING_DEPTH) * 3, toVectorFilter(filters));
+  const ranked = bestHitPerCar(scored).slice(0, RANKING_DEPTH).map(hit => hit.carId);
+
+  const { results, context } = await retrieveContext(question.question, { filters, embedding, k });
+  const messages = await buildMessages(prompt, { context, query: question.question });
+  const response = await llm.invoke(messages);
+  const { answer, grounding } = await groundAnswer({ llm, messages, answer: response.content, query: question.question, results });
+
+  return {
+    key: question.key,
+    question: question.question,
+    expectedCarIds,
+    rankedCarIds: ranked.slice(0, Math.max(k, 5)),
+    ...scoreRetrieval(ranked, expectedCarIds, k),
+    answer,
+    facts: question.expectedFacts.map(fact => ({ ...fact, stated: factStated(answer, fact) })),
+    shouldRefuse: question.shouldRefuse,
+    refused: isRefusal(answer),
+    groundingAction: grounding?.action,
+    unsupportedClaims: grounding ? grounding.issues.length : undefined,
+    durationMs: Date.now() - startedAt
+  };
+};
+
+/**
+ * Aggregate scores of a run. Each rate only counts the questions it applies
+ * to and is null when there are none: recall@k and MRR over questions that
+ * expect cars, price accuracy over expected prices, refusal rate over
+ * questions that should be declined, false refusals over the others.
+ */
+export const summarizeResults = (results) => {
+  const answered = results.filter(result => !result.error);
+  const retrieval = answered.filter(result => result.recallAtK !== null);
+  const facts = answered.flatMap(result => result.facts);
+  const prices = facts.filter(fact => fact.type === "price");
+  const refusable = answered.filter(result => result.shouldRefuse);
+  const answerable = answered.filter(result => !result.shouldRefuse);
+  const grounded = answered.filter(result => result.groundingAction !== undefined);
+  const rate = (items, test) => items.length ? round(items.filter(test).length / items.length) : null;
+
+  return {
+    recallAtK: mean(retrieval.map(result => result.recallAtK)),
+    mrr: mean(retrieval.map(result => result.reciprocalRank)),
+    priceAccuracy: rate(prices, fact => fact.stated),
+    factAccuracy: rate(facts, fact => fact.stated),
+    refusalRate: rate(refusable, result => result.refused),
+    falseRefusalRate: rate(answerable, result => result.refused),
+    groundedRate: rate(grounded, result => result.groundingAction === "none"),
+    avgDurationMs: mean(answered.map(result => result.durationMs)),
+    counts: {
+      questions: results.length,
+      errors: results.length - answered.length,
+      withExpectedCars: retrieval.length,
+      priceFacts: prices.length,
+      shouldRefuse: refusable.length
+    }
+  };
+};
+
+// Higher is better for every metric but these
+const LOWER_IS_BETTER = new Set(["falseRefusalRate", "avgDurationMs"]);
+const COMPARED_METRICS = ["recallAtK", "mrr", "priceAccuracy", "factAccuracy", "refusalRate", "falseRefusalRate", "groundedRate", "avgDurationMs"];
+
+const direction = (metric, previous, current) => {
+  if (previous === null || current === null || previous === current) return "same";
+  return (current > previous) !== LOWER_IS_BETTER.has(metric) ? "better" : "worse";
+};
+
+// Per-question outcomes that can flip between runs
+const questionOutcomes = (result) => ({
+  recallAtK: result.recallAtK,
+  reciprocalRank: result.reciprocalRank,
+  factsStated: result.facts ? result.facts.filter(fact => fact.stated).length : null,
+  // Refusing is right exactly when the question should be refused
+  refusalCorrect: result.error ? null : result.refused === result.shouldRefuse,
+  failed: Boolean(result.error)
+});
+
+const questionChanges = (previous, current) => {
+  const before = questionOutcomes(previous);
+  const after = questionOutcomes(current);
+  return Object.keys(after)
+    .filter(field => before[field] !== after[field] && before[field] !== null && after[field] !== null)
+    .map(field => ({
+      field,
+      previous: before[field],
+      current: after[field],
+      direction: (field === "failed" ? after[field] < before[field] : after[field] > before[field]) ? "better" : "worse"
+    }));
+};
+
+/**
+ * Compare a run with an earlier one: metric deltas, questions whose outcome
+ * changed (matched on key), questions added or removed between set versions
+ * and configuration that differs.
+ */
+export const diffRuns = (previous, current) => {
+  const metrics = Object.fromEntries(COMPARED_METRICS.map(metric => {
+    const before = previous.metrics?.[metric] ?? null;
+    const after = current.metrics?.[metric] ?? null;
+    return [metric, {
+      previous: before,
+      current: after,
+      delta: before !== null && after !== null ? round(after - before) : null,
+      direction: direction(metric, before, after)
+    }];
+  }));
+
+  const previousByKey = new Map(previous.results.map(result => [result.key, result]));
+  const currentKeys = new Set(current.results.map(result => result.key));
+
+  const questions = current.results
+    .filter(result => previousByKey.has(result.key))
+    .map(result => ({ key: result.key, changes: questionChanges(previousByKey.get(result.key), result) }))
+    .filter(question => question.changes.length > 0);
+
+  const configKeys = new Set([...Object.keys(previous.config || {}), ...Object.keys(current.config || {})]);
+  const config = [...configKeys]
+    .filter(key => previous.config?.[key] !== current.config?.[key])
+    .map(key => ({ key, previous: previous.config?.[key] ?? null, current: current.config?.[key] ?? null }));
+
+  return {
+    previousRunId: previous._id,
+    previousSetVersion: previous.setVersion,
+    k: previous.k !== current.k ? { previous: previous.k, current: current.k } : undefined,
+    metrics,
+    regressed: questions.filter(question => question.changes.some(change => change.direction === "worse")).map(question => question.key),
+    improved: questions.filter(question => question.changes.some(change => change.direction === "better")).map(question => question.key),
+    questions,
+    addedQuestions: [...currentKeys].filter(key => !previousByKey.has(key)),
+    removedQuestions: [...previousByKey.keys()].filter(key => !currentKeys.has(key)),
+    config
+  };
+};
+
+const evaluateRun = async (id) => {
+  try {
+    const run = await EvalRun.findById(id).lean();
+    const set = await getGoldenSet(run.setName, run.setVersion);
+    if (!set) throw new Error(`Golden set "${run.setName}" version ${run.setVersion} not found`);
+    const prompt = await getPromptVersion(run.promptVersion);
+    if (!prompt) throw new Error(`Prompt version ${run.promptVersion} not found`);
+
+    const client = { id: run.createdBy?.clientId, name: run.createdBy?.name };
+    const llm = getChatModel({ callbacks: [new UsageCallbackHandler(client)] });
+    logger.info("Evaluation starting", { runId: id, set: set.name, version: set.version, questions: set.questions.length, k: run.k, promptVersion: run.promptVersion });
+
+    const results = [];
+    for (const question of set.questions) {
+      // Scores of a partial run would not compare with other runs
+      if (stopping) {
+        await EvalRun.updateOne(
+          { _id: id },
+          { $set: { status: "failed", error: INTERRUPTED, finishedAt: new Date() } }
+        );
+        logger.warn("Evaluation stopped for shutdown", { runId: id, processed: results.length });
+        return;
+      }
+
+      let result;
+      try {
+        result = await evaluateQuestion(question, { k: run.k, prompt, llm, client });
+      } catch (error) {
+        logger.warn("Evaluation question failed", { runId: id, key: question.key, error });
+        result = { key: question.key, question: question.question, shouldRefuse: question.shouldRefuse, error: error.message };
+      }
+      results.push(result);
+      await EvalRun.updateOne(
+        { _id: id },
+        { $push: { results: result }, $inc: { processed: 1 }, $set: { heartbeatAt: new Date() } }
+      );
+    }
+
+    const metrics = summarizeResults(results);
+    const previous = await EvalRun.findOne({ setName: run.setName, status: "completed", _id: { $ne: run._id } })
+      .sort({ finishedAt: -1 })
+      .lean();
+    const diff = previous ? diffRuns(previous, { ...run, results, metrics }) : undefined;
+
+    await EvalRun.updateOne(
+      { _id: id },
+      { $set: { status: "completed", metrics, diff, previousRunId: previous?._id, finishedAt: new Date(), heartbeatAt: new Date() } }
+    );
+    logger.info("Evaluation completed", { runId: id, metrics, regressed: diff?.regressed.length });
+  } catch (error) {
+    logger.error("Evaluation failed", { runId: id, error });
+    await EvalRun.updateOne(
+      { _id: id },
+      { $set: { status: "failed", error: error.message, finishedAt: new Date() } }
+    );
+  }
+};
+
+/**
+ * Evaluate every question of the run's golden set version, then score the run
+ * and diff it against the previous completed run of the set. A question that
+ * throws is recorded with its error and left out of the scores.
+ */
+export const runEvaluation = (runId) => {
+  const id = runId.toString();
+  const run = evaluateRun(id).finally(() => runningHere.delete(id));
+  runningHere.set(id, run);
+  return run;
+};
+
+// Stop after the current question and wait; stopped runs are marked failed
+export const stopEvalRuns = async () => {
+  stopping = true;
+  await Promise.allSettled(runningHere.values());
+};
+
+/**
+ * Runs still "running" with a stale heartbeat stopped with their process.
+ * Called on startup; checks again later while another process might still be
+ * working on one. Start a new run to evaluate the set again.
+ */
+export const failInterruptedEvalRuns = async () => {
+  const { modifiedCount } = await EvalRun.updateMany(
+    { status: "running", heartbeatAt: { $lt: new Date(Date.now() - HEARTBEAT_STALE_MS) } },
+    { $set: { status: "failed", error: INTERRUPTED, finishedAt: new Date() } }
+  );
+  if (modifiedCount) logger.warn("Marked interrupted evaluation runs as failed", { runs: modifiedCount });
+
+  const running = await getRunningEvalRun();
+  if (running && !runningHere.has(running._id.toString())) {
+    setTimeout(() => {
+      failInterruptedEvalRuns().catch(error => logger.error("Failed to check interrupted evaluation runs", error));
+    }, HEARTBEAT_STALE_MS).unref();
+  }
+};
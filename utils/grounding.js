@@ -0,0 +1,205 @@
+// utils/grounding.js
+// Post-generation grounding check. The answer is split into claims (lines,
+// then sentences); each claim's "[Car n]" citations are mapped to the carId
+// behind that context label, and every price, model year and car name it
+// mentions is compared with the live CarProduct records that were retrieved.
+//   GROUNDING_POLICY  what to do with unsupported claims:
+//                     flag (default)  return the answer with the issues listed
+//                     regenerate      ask the model once more, then redact
+//                     redact          remove the unsupported sentences
+//                     off             skip the check
+import CarProduct from "../models/carModel.js";
+import { escapeRegex, getVocabulary } from "./queryFilters.js";
+
+const POLICIES = ["flag", "regenerate", "redact", "off"];
+
+export const getGroundingPolicy = () => {
+  const policy = process.env.GROUNDING_POLICY || "flag";
+  if (!POLICIES.includes(policy)) {
+    throw new Error(`Unknown GROUNDING_POLICY "${policy}". Use ${POLICIES.join(", ")}.`);
+  }
+  return policy;
+};
+
+const CITATION = /\[Car (\d+)\]/g;
+const PRICE = /\$\s?(\d[\d,]*(?:\.\d+)?)\s*(k|m)?\b|\b(\d[\d,]*(?:\.\d+)?)\s*(k|m)?\s*dollars\b/gi;
+const NUMBER = /\b(\d[\d,]*(?:\.\d+)?)\s*(k|m)?\b/gi;
+const YEAR = /\b(?:19|20)\d{2}\b/g;
+
+const REDACTION_NOTE = "(Some details were removed because they could not be verified against our inventory.)";
+const NOTHING_VERIFIED = "I couldn't verify that information against our current inventory.";
+
+const parseAmount = (digits, suffix) => {
+  const value = parseFloat(digits.replace(/,/g, ""));
+  const multiplier = { k: 1e3, m: 1e6 }[suffix?.toLowerCase()] || 1;
+  return { value: value * multiplier, approximate: Boolean(suffix) };
+};
+
+// "$45k" is allowed to be 1% off; a spelled-out price has to match
+const priceMatches = ({ value, approximate }, price) =>
+  typeof price === "number" &&
+  Math.abs(value - price) <= (approximate ? price * 0.01 : 0.5);
+
+// Whether the text states `price`, e.g. "$32,990" or "$33k" for 32990
+export const statesPrice = (text, price) =>
+  [...text.replace(CITATION, "").matchAll(PRICE)]
+    .some(match => priceMatches(parseAmount(match[1] || match[3], match[2] || match[4]), price));
+
+/**
+ * Live catalog records behind the retrieved chunks, one per context label.
+ * `car` is null when a chunk's car has been deleted since it was indexed.
+ */
+export const loadGroundingRecords = async (results) => {
+  const carIds = results.map(r => (r.metadata?.carId || r.metadata?.metadata?.carId)?.toString() || null);
+  const cars = await CarProduct.find({ _id: { $in: carIds.filter(Boolean) } }).lean();
+  const carsById = new Map(cars.map(car => [car._id.toString(), car]));
+
+  return results.map((_, index) => ({
+    label: `Car ${index + 1}`,
+    carId: carIds[index],
+    car: carsById.get(carIds[index]) || null
+  }));
+};
+
+// Lines first (bullet lists), then sentences; a trailing "[Car n]" stays with its sentence
+const splitClaims = (answer) => answer
+  .split("\n")
+  .flatMap(line => line.split(/(?<=[.!?])\s+(?=[A-Z0-9"'(*-])/))
+  .map(text => text.trim())
+  .filter(Boolean);
+
+// Brand followed by a capitalized word that no catalog car is named after, e.g. "Toyota Supra"
+const unknownCarNames = (text, { brands, categories, fuelTypes, names }) => {
+  const genericWords = new Set([...categories, ...fuelTypes].map(word => word.toLowerCase()));
+  const unknown = [];
+
+  for (const brand of brands) {
+    const pattern = new RegExp(`\\b${escapeRegex(brand)}\\s+([A-Z0-9][\\w-]*)`, "g");
+    for (const [, word] of text.matchAll(pattern)) {
+      const normalized = word.toLowerCase().replace(/s$/, "");
+      if (genericWords.has(word.toLowerCase()) || genericWords.has(normalized)) continue;
+      const wordPattern = new RegExp(`\\b${escapeRegex(word)}\\b`, "i");
+      if (!names.some(name => wordPattern.test(name))) unknown.push(`${brand} ${word}`);
+    }
+  }
+  return unknown;
+};
+
+/**
+ * Check every claim of an answer against the retrieved records. Prices and
+ * years must belong to a cited car (to any retrieved car when the claim cites
+ * none) or come from the question itself ("under $30,000").
+ */
+export const verifyAnswer = async (answer, query, records) => {
+  const vocabulary = await getVocabulary();
+  const questionNumbers = [...query.matchAll(NUMBER)].map(([, digits, suffix]) => parseAmount(digits, suffix).value);
+  const retrievedNames = records.filter(record => record.car).map(record => record.car.name.toLowerCase());
+
+  const claims = splitClaims(answer).map(text => {
+    const issues = [];
+
+    const citations = [...text.matchAll(CITATION)].map(([label, n]) => {
+      const record = records[Number(n) - 1];
+      if (!record) {
+        issues.push({ type: "unknown_citation", value: label, message: `${label} is not one of the retrieved sources` });
+      }
+      return { label: label.slice(1, -1), carId: record?.carId || null };
+    });
+
+    // Facts are checked against the cited cars, or every retrieved car when nothing is cited
+    const cited = citations.map(citation => records.find(record => record.label === citation.label)).filter(Boolean);
+    const scope = (cited.length ? cited : records).map(record => record.car).filter(Boolean);
+
+    const factText = text.replace(CITATION, "");
+
+    for (const match of factText.matchAll(PRICE)) {
+      const amount = parseAmount(match[1] || match[3], match[2] || match[4]);
+      if (questionNumbers.includes(amount.value)) continue;
+      if (!scope.some(car => priceMatches(amount, car.price))) {
+        issues.push({ type: "price", value: match[0].trim(), message: `Price ${match[0].trim()} does not match the ${cited.length ? "cited" : "retrieved"} cars` });
+      }
+    }
+
+    for (const [year] of factText.matchAll(YEAR)) {
+      if (questionNumbers.includes(Number(year))) continue;
+      if (!scope.some(car => car.modelYear === Number(year))) {
+        issues.push({ type: "modelYear", value: year, message: `Model year ${year} does not match the ${cited.length ? "cited" : "retrieved"} cars` });
+      }
+    }
+
+    // Catalog cars that were not retrieved ("Range Rover" is fine when "Range Rover Sport" was)
+    for (const name of vocabulary.names) {
+      const lower = name.toLowerCase();
+      if (retrievedNames.some(retrieved => retrieved.includes(lower))) continue;
+      if (new RegExp(`\\b${escapeRegex(name)}\\b`, "i").test(factText) && !query.toLowerCase().includes(lower)) {
+        issues.push({ type: "car_not_retrieved", value: name, message: `${name} is not among the retrieved cars` });
+      }
+    }
+
+    for (const name of unknownCarNames(factText, vocabulary)) {
+      issues.push({ type: "unknown_car", value: name, message: `${name} is not in the catalog` });
+    }
+
+    return { text, citations, supported: issues.length === 0, issues };
+  });
+
+  const citedLabels = new Set(claims.flatMap(claim => claim.citations.map(citation => citation.label)));
+
+  return {
+    supported: claims.every(claim => claim.supported),
+    citations: records
+      .filter(record => citedLabels.has(record.label))
+      .map(record => ({ label: record.label, carId: record.carId, name: record.car?.name || null })),
+    claims,
+    issues: claims.flatMap(claim => claim.issues)
+  };
+};
+
+// Remove unsupported claims, keeping the rest of the answer's layout
+const redact = (answer, report) => {
+  let redacted = answer;
+  for (const claim of report.claims) {
+    if (!claim.supported) redacted = redacted.replace(claim.text, "");
+  }
+  redacted = redacted
+    .split("\n")
+    .map(line => line.replace(/\s{2,}/g, " ").trim())
+    .filter(line => line.trim() && !/^\s*[-*•]\s*$/.test(line))
+    .join("\n")
+    .trim();
+
+  return redacted ? `${redacted}\n\n${REDACTION_NOTE}` : NOTHING_VERIFIED;
+};
+
+const correctionPrompt = (report) => `Your previous answer contained claims that are not supported by the context:
+${report.issues.map(issue => `- ${issue.message}`).join("\n")}
+Answer again using ONLY the context. Cite every fact with its [Car n] label and copy prices and model years exactly.`;
+
+/**
+ * Verify an answer and apply the configured policy. `regenerate(correction)`
+ * returns a new answer for the correction message (regenerate policy only).
+ * Returns the answer to send and the grounding report (undefined when off).
+ */
+export const enforceGrounding = async ({ answer, query, records, regenerate, policy = getGroundingPolicy() }) => {
+  if (policy === "off") return { answer, grounding: undefined };
+
+  let report = await verifyAnswer(answer, query, records);
+  if (report.supported || policy === "flag") {
+    return { answer, grounding: { policy, action: report.supported ? "none" : "flagged", ...report } };
+  }
+
+  let originalIssues;
+  if (policy === "regenerate" && regenerate) {
+    const retry = await regenerate(correctionPrompt(report));
+    const retryReport = await verifyAnswer(retry, query, records);
+    if (retryReport.supported) {
+      return { answer: retry, grounding: { policy, action: "regenerated", ...retryReport, originalIssues: report.issues } };
+    }
+    // Still unsupported: redact the retry
+    originalIssues = report.issues;
+    answer = retry;
+    report = retryReport;
+  }
+
+  return { answer: redact(answer, report), grounding: { policy, action: "redacted", ...report, originalIssues } };
+};
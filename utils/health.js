@@ -0,0 +1,100 @@
+// utils/health.js
+// Readiness checks behind GET /readyz. Each check resolves with optional
+// details or throws; a check that takes longer than its timeout fails.
+//   HEALTH_CHECK_TIMEOUT_MS  time allowed per check (default 2000)
+import mongoose from "mongoose";
+import CarVector from "../models/vectorModel.js";
+import mongoPool from "./mongoPool.js";
+import { getVectorStoreBackend } from "./vectorStore.js";
+import { getActiveEmbeddingSpec } from "./embeddingVersion.js";
+import { checkEmbeddingProvider } from "./providers.js";
+import { getChangeStreamStatus } from "../listeners/vectorSync.js";
+
+const VECTOR_INDEX_NAME = "vector_index";
+
+// Set when shutdown starts, so load balancers stop routing here before the server closes
+let shuttingDown = false;
+
+export const markShuttingDown = () => {
+  shuttingDown = true;
+};
+
+export const isShuttingDown = () => shuttingDown;
+
+const timeoutMs = () => Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000;
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const checks = {
+  mongoose: async () => {
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error(`Connection state is ${mongoose.STATES[mongoose.connection.readyState]}`);
+    }
+    await mongoose.connection.db.admin().ping();
+  },
+
+  mongoPool: async () => {
+    const client = await mongoPool.getClient();
+    await client.db("admin").command({ ping: 1 });
+  },
+
+  // Atlas: the search index exists and is queryable. Local: the collection it scans answers
+  vectorIndex: async () => {
+    const backend = getVectorStoreBackend();
+    if (backend === "local") {
+      return { backend, vectors: await CarVector.estimatedDocumentCount() };
+    }
+
+    const client = await mongoPool.getClient();
+    const [index] = await client.db("RAG").collection("carvectors").listSearchIndexes(VECTOR_INDEX_NAME).toArray();
+    if (!index) throw new Error(`Search index "${VECTOR_INDEX_NAME}" not found`);
+    if (index.queryable === false) throw new Error(`Search index "${VECTOR_INDEX_NAME}" is ${index.status}`);
+    return { backend, status: index.status };
+  },
+
+  changeStream: async () => {
+    const status = getChangeStreamStatus();
+    if (!status.open) {
+      throw new Error(status.reconnecting
+        ? `Reconnecting (attempt ${status.reconnectAttempts})`
+        : "Not watching");
+    }
+  },
+
+  // Configuration only: no embedding call is made (it would cost tokens on every probe)
+  embeddingProvider: async () => {
+    const spec = await getActiveEmbeddingSpec();
+    checkEmbeddingProvider(spec);
+    return { provider: spec.provider, model: spec.model };
+  }
+};
+
+/**
+ * Run every readiness check in parallel. Returns `ready` and one entry per
+ * check: `{ status: "ok" | "fail", durationMs, error?, ...details }`.
+ */
+export const runReadinessChecks = async () => {
+  const ms = timeoutMs();
+  const entries = await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+    const startedAt = Date.now();
+    try {
+      const details = await withTimeout(check(), ms);
+      return [name, { status: "ok", durationMs: Date.now() - startedAt, ...details }];
+    } catch (error) {
+      return [name, { status: "fail", durationMs: Date.now() - startedAt, error: error.message }];
+    }
+  }));
+
+  const results = Object.fromEntries(entries);
+  return {
+    ready: !shuttingDown && entries.every(([, result]) => result.status === "ok"),
+    shuttingDown,
+    checks: results
+  };
+};
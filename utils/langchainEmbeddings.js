@@ -1,7 +0,0 @@
-// utils/langchainEmbeddings.js
-import { OpenAIEmbeddings } from "@langchain/openai";
-
-export const embeddings = new OpenAIEmbeddings({
-  apiKey: process.env.OPENAI_API_KEY,
-  model: "text-embedding-3-small", // cost-efficient
-});
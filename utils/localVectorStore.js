@@ -0,0 +1,78 @@
+// utils/localVectorStore.js
+// Exact (brute-force) vector search over CarVector.embedding for deployments
+// without Atlas Vector Search - a plain local mongod is enough.
+import { VectorStore } from "@langchain/core/vectorstores";
+import { Document } from "@langchain/core/documents";
+import CarVector from "../models/vectorModel.js";
+
+const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+};
+
+const norm = (a) => Math.sqrt(dot(a, a));
+
+// Scores are normalized to 0..1 the same way Atlas does: (1 + similarity) / 2
+const SIMILARITY = {
+  cosine: (a, b) => (1 + dot(a, b) / ((norm(a) * norm(b)) || 1)) / 2,
+  dotProduct: (a, b) => (1 + dot(a, b)) / 2
+};
+
+export class LocalVectorSearch extends VectorStore {
+  constructor(embeddings, { similarity = "cosine" } = {}) {
+    super(embeddings, {});
+    if (!SIMILARITY[similarity]) {
+      throw new Error(`Unsupported similarity "${similarity}". Use cosine or dotProduct.`);
+    }
+    this.similarity = similarity;
+  }
+
+  _vectorstoreType() {
+    return "local";
+  }
+
+  async addVectors(vectors, documents) {
+    const created = await CarVector.insertMany(
+      documents.map((doc, i) => ({
+        carId: doc.metadata?.carId,
+        text: doc.pageContent,
+        embedding: vectors[i],
+        metadata: doc.metadata
+      }))
+    );
+    return created.map(doc => doc._id.toString());
+  }
+
+  async addDocuments(documents) {
+    const vectors = await this.embeddings.embedDocuments(documents.map(doc => doc.pageContent));
+    return this.addVectors(vectors, documents);
+  }
+
+  /**
+   * Same filter shape as MongoDBAtlasVectorSearch: either `{ preFilter }` or a
+   * bare MQL filter. Results have the same shape too - metadata is the stored
+   * document without `text` and `embedding`.
+   */
+  async similaritySearchVectorWithScore(query, k, filter) {
+    const preFilter = filter?.preFilter ?? (filter?.postFilterPipeline ? undefined : filter);
+    const score = SIMILARITY[this.similarity];
+    const top = [];
+
+    const cursor = CarVector.find(preFilter || {}).lean().cursor();
+    for await (const doc of cursor) {
+      if (!doc.embedding || doc.embedding.length !== query.length) continue;
+      const value = score(query, doc.embedding);
+      if (top.length < k || value > top[top.length - 1].score) {
+        top.push({ doc, score: value });
+        top.sort((a, b) => b.score - a.score);
+        if (top.length > k) top.pop();
+      }
+    }
+
+    return top.map(({ doc, score: value }) => {
+      const { text, embedding, ...metadata } = doc;
+      return [new Document({ pageContent: text, metadata }), value];
+    });
+  }
+}
@@ -1,6 +1,83 @@
-// Simple logger wrapper. Project already uses morgan in index.js, this is a small helper for app logs.
+// utils/logger.js
+// Structured application logs: one JSON object per line on stdout (errors and
+// warnings on stderr). Fields of the current context - the request ID of the
+// HTTP request or change-stream event being handled - are added to every line
+// logged while it runs, including from the utils it calls.
+//   LOG_LEVEL   debug | info (default) | warn | error
+//   LOG_FORMAT  json (default) | pretty - one readable line per entry, for local development
+import { AsyncLocalStorage } from "async_hooks";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with extra fields on every log line it produces, e.g.
+ * `withLogContext({ requestId }, next)`. Nested contexts add to the outer one.
+ */
+export const withLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+export const getLogContext = () => context.getStore() || {};
+
+export const getRequestId = () => context.getStore()?.requestId;
+
+// Errors become plain objects; JSON.stringify would drop message and stack
+export const serializeError = (error) => {
+  if (!(error instanceof Error)) return error;
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.status !== undefined && { status: error.status }),
+    stack: error.stack
+  };
+};
+
+// `fields` may be an Error on its own: logger.error("Failed", error)
+const normalizeFields = (fields) => {
+  if (fields instanceof Error) return { error: serializeError(fields) };
+  const normalized = {};
+  for (const [key, value] of Object.entries(fields || {})) {
+    normalized[key] = serializeError(value);
+  }
+  return normalized;
+};
+
+const threshold = () => LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+// A log call must never throw, even for circular fields
+const toJson = (entry) => {
+  try {
+    return JSON.stringify(entry);
+  } catch {
+    return JSON.stringify({ time: entry.time, level: entry.level, msg: entry.msg, ...getLogContext(), logError: "Fields could not be serialized" });
+  }
+};
+
+const formatPretty = ({ time, level, msg, error, ...fields }) => {
+  const pairs = Object.entries(fields).map(([key, value]) =>
+    `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`);
+  const line = [time, level.toUpperCase().padEnd(5), msg, ...pairs].join(" ");
+  return error ? `${line}\n${error.stack || JSON.stringify(error)}` : line;
+};
+
+const write = (level, msg, fields) => {
+  if (LEVELS[level] < threshold()) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...getLogContext(),
+    ...normalizeFields(fields)
+  };
+  const line = process.env.LOG_FORMAT === "pretty" ? formatPretty(entry) : toJson(entry);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
 export default {
-  info: (...args) => console.log('[INFO]', ...args),
-  warn: (...args) => console.warn('[WARN]', ...args),
-  error: (...args) => console.error('[ERROR]', ...args)
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields)
 };
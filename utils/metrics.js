@@ -0,0 +1,211 @@
+// utils/metrics.js
+// Prometheus metrics in the text exposition format, served by GET /metrics.
+// Counters and histograms are per process: scrape every instance. Gauges that
+// mirror state kept elsewhere (cache counters) are read at scrape time.
+import { getCacheStores } from "./cache.js";
+
+// Seconds; covers a local vector scan (ms) up to a slow LLM answer
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+// Series are keyed by their label values, in the order the metric declares them
+class Metric {
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  seriesFor(labels) {
+    const values = this.labelNames.map(name => labels[name] ?? "");
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]])), ...this.initial() });
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return `# HELP ${this.name} ${this.help}\n# TYPE ${this.name} ${this.type}`;
+  }
+}
+
+class Counter extends Metric {
+  type = "counter";
+
+  initial() {
+    return { value: 0 };
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels).value += amount;
+  }
+
+  render() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+class Gauge extends Metric {
+  type = "gauge";
+
+  initial() {
+    return { value: 0 };
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels).value = value;
+  }
+
+  render() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+class Histogram extends Metric {
+  type = "histogram";
+
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super(options);
+    this.buckets = buckets;
+  }
+
+  initial() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, seconds) {
+    const series = this.seriesFor(labels);
+    this.buckets.forEach((bound, i) => {
+      if (seconds <= bound) series.counts[i]++;
+    });
+    series.sum += seconds;
+    series.count++;
+  }
+
+  // Observe the duration of `fn`, whether it resolves or throws
+  async time(labels, fn) {
+    const start = process.hrtime.bigint();
+    try {
+      return await fn();
+    } finally {
+      this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  }
+
+  render() {
+    return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ]);
+  }
+}
+
+export const httpRequestDuration = new Histogram({
+  name: "http_request_duration_seconds",
+  help: "HTTP request latency by route and status",
+  labelNames: ["method", "route", "status"]
+});
+
+export const vectorSearchDuration = new Histogram({
+  name: "vector_search_duration_seconds",
+  help: "Vector similarity search latency, excluding query embedding",
+  labelNames: ["backend"]
+});
+
+export const llmDuration = new Histogram({
+  name: "llm_request_duration_seconds",
+  help: "Chat model call latency, until the last token of a stream",
+  labelNames: ["provider", "model", "outcome"]
+});
+
+export const embeddingDuration = new Histogram({
+  name: "embedding_request_duration_seconds",
+  help: "Embedding call latency",
+  labelNames: ["provider", "model", "operation", "outcome"]
+});
+
+export const openAIErrors = new Counter({
+  name: "openai_errors_total",
+  help: "Failed calls to the OpenAI API or an OpenAI-compatible server, by error type",
+  labelNames: ["provider", "operation", "type"]
+});
+
+export const changeStreamEvents = new Counter({
+  name: "change_stream_events_total",
+  help: "Car change-stream events processed",
+  labelNames: ["operation"]
+});
+
+export const changeStreamLag = new Gauge({
+  name: "change_stream_lag_seconds",
+  help: "Delay between a car change being written and its change-stream event being processed (last event)"
+});
+
+const cacheLookups = new Counter({
+  name: "cache_lookups_total",
+  help: "Cache lookups by store and result",
+  labelNames: ["store", "result"]
+});
+
+const cacheHitRatio = new Gauge({
+  name: "cache_hit_ratio",
+  help: "Cache hits / lookups since the process started",
+  labelNames: ["store"]
+});
+
+// Cache stores keep their own counters (see GET /api/v1/cache/stats)
+const collectCacheMetrics = () => {
+  for (const store of getCacheStores()) {
+    const { hits, misses, hitRatio } = store.counters();
+    cacheLookups.seriesFor({ store: store.name, result: "hit" }).value = hits;
+    cacheLookups.seriesFor({ store: store.name, result: "miss" }).value = misses;
+    cacheHitRatio.set({ store: store.name }, hitRatio);
+  }
+};
+
+const metrics = [
+  httpRequestDuration,
+  vectorSearchDuration,
+  llmDuration,
+  embeddingDuration,
+  openAIErrors,
+  changeStreamEvents,
+  changeStreamLag,
+  cacheLookups,
+  cacheHitRatio
+];
+
+/**
+ * Error type for openai_errors_total, from the HTTP status the SDK attaches or
+ * the connection error it raised.
+ */
+export const classifyProviderError = (error) => {
+  const status = error?.status ?? error?.response?.status;
+  if (status === 429) return /quota/i.test(error.message) ? "insufficient_quota" : "rate_limit";
+  if (status === 401) return "authentication";
+  if (status === 403) return "permission";
+  if (status === 404) return "not_found";
+  if (status === 400 || status === 422) return "bad_request";
+  if (status >= 500) return "server_error";
+  // The SDK's error classes keep name "Error": APIConnectionError, APIConnectionTimeoutError...
+  const kind = `${error?.name} ${error?.constructor?.name} ${error?.message}`;
+  if (/timeout|timed out/i.test(kind) || error?.code === "ETIMEDOUT") return "timeout";
+  if (/abort/i.test(kind)) return "aborted";
+  if (/connection/i.test(kind) || ["ECONNREFUSED", "ECONNRESET", "ENOTFOUND"].includes(error?.code)) return "connection";
+  return "other";
+};
+
+export const renderMetrics = () => {
+  collectCacheMetrics();
+  return `${metrics.map(metric => [metric.header(), ...metric.render()].join("\n")).join("\n\n")}\n`;
+};
@@ -1,5 +1,6 @@
 // utils/mongoPool.js
 import { MongoClient } from "mongodb";
+import logger from "./logger.js";
 
 class MongoPool {
   constructor() {
@@ -20,9 +21,9 @@ class MongoPool {
       try {
         await this.client.connect();
         this.isConnected = true;
-        console.log("📦 MongoDB connection pool initialized");
+        logger.info("MongoDB connection pool initialized");
       } catch (error) {
-        console.error("Failed to connect to MongoDB pool:", error);
+        logger.error("Failed to connect to MongoDB pool", error);
         throw error;
       }
     }
@@ -34,7 +35,7 @@ class MongoPool {
     if (this.client && this.isConnected) {
       await this.client.close();
       this.isConnected = false;
-      console.log("📦 MongoDB connection pool closed");
+      logger.info("MongoDB connection pool closed");
     }
   }
 }
@@ -0,0 +1,245 @@
+// utils/promptTemplates.js
+// Versioned system prompts of the assistant, stored in Mongo so persona, tone
+// and price rules change without a deploy. Templates use LangChain f-string
+// syntax: {context}, with {{ and }} for literal braces. Versions never change
+// once saved; a pointer names the active version and, optionally, an A/B
+// experiment that splits sessions between versions by weight. A session
+// keeps its version for as long as that version is in play.
+//   DEALERSHIP_NAME  value of {dealershipName} (default "Refine AI")
+import crypto from "crypto";
+import { PromptTemplate } from "@langchain/core/prompts";
+import ChatSession from "../models/chatSessionModel.js";
+import PromptState from "../models/promptStateModel.js";
+import PromptVersion from "../models/promptVersionModel.js";
+import { formatHistory } from "./chatHistory.js";
+import logger from "./logger.js";
+
+const STATE_ID = "active";
+const STATE_CACHE_MS = 30 * 1000;
+
+// Variables a template may use
+export const PROMPT_VARIABLES = {
+  context: "The retrieved cars, each labelled [Car n]",
+  question: "The customer's question (also sent as the user message)",
+  history: "Earlier turns of the session as text; they are then not sent as separate messages",
+  dealershipName: "DEALERSHIP_NAME"
+};
+
+// Without the context the model has nothing to ground its answer in
+export const REQUIRED_VARIABLES = ["context"];
+
+// Version 1, saved on first use. The builtin chat model reads the cars after "Context:"
+const DEFAULT_TEMPLATE = `You are {dealershipName} Car Assistant. Use ONLY the provided context to answer questions. Always include exact prices when available. Cite the source of every fact with its context label, e.g. [Car 1]. Be concise and specific.
+
+Context:
+{context}`;
+
+export const getDealershipName = () => process.env.DEALERSHIP_NAME || "Refine AI";
+
+let state = null;
+let stateLoadedAt = 0;
+
+// Versions never change, so compiled templates are kept for the life of the process
+const compiled = new Map();
+
+/**
+ * Parse a template and check its variables. Returns `{ variables }`, or
+ * `{ errors }` for malformed braces, unknown variables or missing required ones.
+ */
+export const validateTemplate = (template) => {
+  let variables;
+  try {
+    variables = [...new Set(PromptTemplate.fromTemplate(template).inputVariables)];
+  } catch (error) {
+    return { errors: [error.message] };
+  }
+
+  const allowed = Object.keys(PROMPT_VARIABLES).map(name => `{${name}}`).join(", ");
+  const errors = [
+    ...variables
+      .filter(name => !PROMPT_VARIABLES[name])
+      .map(name => `Unknown variable {${name}}. Use ${allowed}, or {{ and }} for literal braces`),
+    ...REQUIRED_VARIABLES
+      .filter(name => !variables.includes(name))
+      .map(name => `Missing required variable {${name}}`)
+  ];
+  return errors.length ? { errors } : { variables };
+};
+
+const saveDefaultVersion = async () => {
+  try {
+    await PromptVersion.updateOne(
+      { version: 1 },
+      { $setOnInsert: { template: DEFAULT_TEMPLATE, variables: validateTemplate(DEFAULT_TEMPLATE).variables, description: "Built-in default" } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another process saved it first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Active version and running experiment, cached for 30 seconds so a change
+ * reaches every instance within that time. The first call saves the built-in
+ * prompt as version 1 and makes it active.
+ */
+export const getPromptState = async () => {
+  if (state && Date.now() - stateLoadedAt < STATE_CACHE_MS) {
+    return state;
+  }
+
+  let current = await PromptState.findById(STATE_ID).lean();
+  if (!current) {
+    await saveDefaultVersion();
+    current = await PromptState.findOneAndUpdate(
+      { _id: STATE_ID },
+      { $setOnInsert: { activeVersion: 1, activatedAt: new Date(), experiment: null } },
+      { upsert: true, new: true, lean: true }
+    );
+  }
+
+  state = { activeVersion: current.activeVersion, activatedAt: current.activatedAt, experiment: current.experiment || null };
+  stateLoadedAt = Date.now();
+  return state;
+};
+
+const updateState = async (update) => {
+  const current = await PromptState.findOneAndUpdate({ _id: STATE_ID }, update, { new: true, lean: true });
+  state = { activeVersion: current.activeVersion, activatedAt: current.activatedAt, experiment: current.experiment || null };
+  stateLoadedAt = Date.now();
+  return state;
+};
+
+/**
+ * A saved version, ready to render: `{ version, template, variables, prompt }`.
+ * Returns null when the version does not exist.
+ */
+export const getPromptVersion = async (version) => {
+  if (compiled.has(version)) return compiled.get(version);
+
+  const saved = await PromptVersion.findOne({ version }).lean();
+  if (!saved) return null;
+
+  const entry = {
+    version: saved.version,
+    template: saved.template,
+    variables: saved.variables,
+    prompt: PromptTemplate.fromTemplate(saved.template)
+  };
+  compiled.set(version, entry);
+  return entry;
+};
+
+export const getActivePrompt = async () => getPromptVersion((await getPromptState()).activeVersion);
+
+/**
+ * Save a template as the next version. Returns `{ version }` (the saved
+ * document) or `{ errors }` when the template does not validate.
+ */
+export const createPromptVersion = async ({ template, description, activate = false }, createdBy) => {
+  const checked = validateTemplate(template);
+  if (checked.errors) return { errors: checked.errors };
+
+  // Make sure version 1 exists before numbering after it
+  await getPromptState();
+  const latest = await PromptVersion.findOne().sort({ version: -1 }).select("version").lean();
+
+  let saved;
+  try {
+    saved = await PromptVersion.create({
+      version: (latest?.version || 0) + 1,
+      template,
+      variables: checked.variables,
+      description,
+      createdBy
+    });
+  } catch (error) {
+    // Two saves raced for the version number
+    if (error.code === 11000) throw new Error("Another prompt version was saved at the same time, save it again");
+    throw error;
+  }
+  logger.info("Prompt version saved", { version: saved.version, variables: checked.variables });
+
+  if (activate) await setActivePromptVersion(saved.version);
+  return { version: saved.toObject() };
+};
+
+// Returns the new state, or null when the version does not exist
+export const setActivePromptVersion = async (version) => {
+  if (!await PromptVersion.exists({ version })) return null;
+  await getPromptState();
+  const updated = await updateState({ $set: { activeVersion: version, activatedAt: new Date() } });
+  logger.info("Active prompt version changed", { version });
+  return updated;
+};
+
+/**
+ * Split new sessions between versions by weight, e.g.
+ * `[{ version: 3, weight: 90 }, { version: 4, weight: 10 }]`. Returns the new
+ * state, or `{ missing }` listing versions that do not exist.
+ */
+export const startPromptExperiment = async (variants) => {
+  const versions = variants.map(variant => variant.version);
+  const existing = await PromptVersion.find({ version: { $in: versions } }).distinct("version");
+  const missing = versions.filter(version => !existing.includes(version));
+  if (missing.length) return { missing };
+
+  await getPromptState();
+  const updated = await updateState({ $set: { experiment: { variants, startedAt: new Date() } } });
+  logger.info("Prompt experiment started", { variants });
+  return updated;
+};
+
+// Sessions go back to the active version
+export const stopPromptExperiment = async () => {
+  await getPromptState();
+  const updated = await updateState({ $set: { experiment: null } });
+  logger.info("Prompt experiment stopped");
+  return updated;
+};
+
+// Stable bucket per session, so a session lands on the same variant on every instance
+const pickVariant = (sessionId, variants) => {
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const bucket = parseInt(crypto.createHash("sha1").update(String(sessionId)).digest("hex").slice(0, 8), 16) % total;
+
+  let upper = 0;
+  for (const variant of variants) {
+    upper += variant.weight;
+    if (bucket < upper) return variant.version;
+  }
+  return variants[variants.length - 1].version;
+};
+
+/**
+ * Prompt for the next answer of a session: the version the session was
+ * assigned if it is still in play (the active one, or a variant of the running
+ * experiment), otherwise a new assignment that is saved on the session.
+ */
+export const selectPrompt = async (session) => {
+  const { activeVersion, experiment } = await getPromptState();
+  const inPlay = experiment ? experiment.variants.map(variant => variant.version) : [activeVersion];
+
+  let version = session.promptVersion;
+  if (!inPlay.includes(version)) {
+    version = experiment ? pickVariant(session._id, experiment.variants) : activeVersion;
+    // A new session is saved with this version on its first turn
+    session.promptVersion = version;
+    if (!session.isNew) {
+      await ChatSession.updateOne({ _id: session._id }, { $set: { promptVersion: version } });
+    }
+  }
+
+  const prompt = await getPromptVersion(version);
+  if (!prompt) throw new Error(`Prompt version ${version} not found`);
+  return prompt;
+};
+
+// The system message for one answer
+export const renderPrompt = (prompt, { context, question, history = [] }) => prompt.prompt.format({
+  context,
+  question,
+  history: formatHistory(history),
+  dealershipName: getDealershipName()
+});
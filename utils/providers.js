@@ -0,0 +1,206 @@
+// utils/providers.js
+// Registry of embedding / chat-model providers, selected by configuration:
+//   AI_PROVIDER         openai | openai-compatible | builtin (default: openai)
+//   EMBEDDING_PROVIDER  overrides AI_PROVIDER for embeddings
+//   CHAT_PROVIDER       overrides AI_PROVIDER for the chat model
+//   EMBEDDING_MODEL, EMBEDDING_DIMENSIONS, CHAT_MODEL
+//   OPENAI_COMPATIBLE_BASE_URL, OPENAI_COMPATIBLE_API_KEY (local inference servers)
+import { BaseCallbackHandler } from "@langchain/core/callbacks/base";
+import { OpenAIEmbeddings, ChatOpenAI } from "@langchain/openai";
+import { HashEmbeddings, TemplateChatModel } from "./builtinProvider.js";
+import { classifyProviderError, embeddingDuration, llmDuration, openAIErrors } from "./metrics.js";
+
+const DEFAULT_EMBEDDING_MODEL = "text-embedding-3-small"; // cost-efficient
+const DEFAULT_CHAT_MODEL = "gpt-3.5-turbo"; // Faster than gpt-4o-mini
+
+const compatibleConfiguration = () => {
+  const baseURL = process.env.OPENAI_COMPATIBLE_BASE_URL;
+  if (!baseURL) {
+    throw new Error("OPENAI_COMPATIBLE_BASE_URL must be set for the openai-compatible provider");
+  }
+  return { baseURL };
+};
+
+// Providers may define `checkConfiguration()`, which throws when settings the
+// provider needs are missing (clients are created lazily and fail on first use)
+const providers = {
+  openai: {
+    checkConfiguration: () => {
+      if (!process.env.OPENAI_API_KEY) throw new Error("OPENAI_API_KEY must be set for the openai provider");
+    },
+    createEmbeddings: ({ model, dimensions }) => new OpenAIEmbeddings({
+      model,
+      dimensions,
+      apiKey: process.env.OPENAI_API_KEY,
+      maxRetries: 2,
+      timeout: 10000
+    }),
+    createChatModel: (options) => new ChatOpenAI({
+      ...options,
+      apiKey: process.env.OPENAI_API_KEY
+    })
+  },
+
+  // Any server speaking the OpenAI API (vLLM, Ollama, LM Studio, llama.cpp...)
+  "openai-compatible": {
+    checkConfiguration: () => {
+      compatibleConfiguration();
+    },
+    createEmbeddings: ({ model, dimensions }) => new OpenAIEmbeddings({
+      model,
+      dimensions,
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || "not-needed",
+      configuration: compatibleConfiguration(),
+      maxRetries: 2,
+      timeout: 10000
+    }),
+    createChatModel: (options) => new ChatOpenAI({
+      ...options,
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || "not-needed",
+      configuration: compatibleConfiguration()
+    })
+  },
+
+  builtin: {
+    createEmbeddings: ({ dimensions }) => new HashEmbeddings({ dimensions: dimensions || 1536 }),
+    createChatModel: ({ model, callbacks }) => new TemplateChatModel({ model, callbacks })
+  }
+};
+
+export const registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+const resolveProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown AI provider "${name}". Available: ${Object.keys(providers).join(", ")}`);
+  }
+  return provider;
+};
+
+// Throws when the embedding provider of `spec` is unknown or not configured
+export const checkEmbeddingProvider = (spec = getProviderConfig().embedding) => {
+  resolveProvider(spec.provider).checkConfiguration?.();
+};
+
+// Read at call time so values loaded by dotenv after import are honoured
+export const getProviderConfig = () => {
+  const defaultProvider = process.env.AI_PROVIDER || "openai";
+  const embeddingProvider = process.env.EMBEDDING_PROVIDER || defaultProvider;
+  const chatProvider = process.env.CHAT_PROVIDER || defaultProvider;
+
+  return {
+    embedding: {
+      provider: embeddingProvider,
+      model: process.env.EMBEDDING_MODEL ||
+        (embeddingProvider === "builtin" ? "builtin-hash" : DEFAULT_EMBEDDING_MODEL),
+      dimensions: Number(process.env.EMBEDDING_DIMENSIONS) || undefined
+    },
+    chat: {
+      provider: chatProvider,
+      model: process.env.CHAT_MODEL ||
+        (chatProvider === "builtin" ? "builtin-template" : DEFAULT_CHAT_MODEL)
+    }
+  };
+};
+
+// Providers whose failures are counted in openai_errors_total
+const OPENAI_API_PROVIDERS = new Set(["openai", "openai-compatible"]);
+
+const outcomeOf = (error) => classifyProviderError(error) === "aborted" ? "aborted" : "error";
+
+const recordProviderError = (provider, operation, error) => {
+  const type = classifyProviderError(error);
+  // A client hanging up cancels its generation; that is not a provider failure
+  if (OPENAI_API_PROVIDERS.has(provider) && type !== "aborted") {
+    openAIErrors.inc({ provider, operation, type });
+  }
+};
+
+const elapsedSeconds = (start) => Number(process.hrtime.bigint() - start) / 1e9;
+
+// Time the client's embed calls in place, so calls made by LangChain vector
+// stores are measured too
+const instrumentEmbeddings = (embeddings, { provider, model }) => {
+  for (const operation of ["embedQuery", "embedDocuments"]) {
+    const embed = embeddings[operation].bind(embeddings);
+    embeddings[operation] = async (input) => {
+      const start = process.hrtime.bigint();
+      try {
+        const result = await embed(input);
+        embeddingDuration.observe({ provider, model, operation, outcome: "success" }, elapsedSeconds(start));
+        return result;
+      } catch (error) {
+        embeddingDuration.observe({ provider, model, operation, outcome: outcomeOf(error) }, elapsedSeconds(start));
+        recordProviderError(provider, "embedding", error);
+        throw error;
+      }
+    };
+  }
+  return embeddings;
+};
+
+// Latency and errors of every chat-model call, added by getChatModel
+class MetricsCallbackHandler extends BaseCallbackHandler {
+  name = "metrics_callback_handler";
+
+  constructor({ provider, model }) {
+    super();
+    this.provider = provider;
+    this.model = model;
+    this.startedAt = new Map();
+  }
+
+  handleChatModelStart(llm, messages, runId) {
+    this.startedAt.set(runId, process.hrtime.bigint());
+  }
+
+  observe(runId, outcome) {
+    const start = this.startedAt.get(runId);
+    this.startedAt.delete(runId);
+    if (start) llmDuration.observe({ provider: this.provider, model: this.model, outcome }, elapsedSeconds(start));
+  }
+
+  handleLLMEnd(output, runId) {
+    this.observe(runId, "success");
+  }
+
+  handleLLMError(error, runId) {
+    this.observe(runId, outcomeOf(error));
+    recordProviderError(this.provider, "chat", error);
+  }
+}
+
+const embeddingsInstances = new Map();
+
+// Shared embeddings client per configuration. Pass `spec` ({ provider, model,
+// dimensions }) to get the client for a specific embedding version instead of
+// the configured one, e.g. to embed queries for the version being served.
+export const getEmbeddings = (spec = getProviderConfig().embedding) => {
+  const { provider, model } = spec;
+  const dimensions = spec.dimensions || undefined;
+  const key = JSON.stringify({ provider, model, dimensions });
+  if (!embeddingsInstances.has(key)) {
+    embeddingsInstances.set(key, instrumentEmbeddings(
+      resolveProvider(provider).createEmbeddings({ model, dimensions }),
+      { provider, model }
+    ));
+  }
+  return embeddingsInstances.get(key);
+};
+
+// New chat model per call site; options (temperature, maxTokens...) override defaults
+export const getChatModel = (options = {}) => {
+  const { chat } = getProviderConfig();
+  const model = options.model || chat.model;
+  return resolveProvider(chat.provider).createChatModel({
+    model,
+    temperature: 0.1, // Lower temperature for faster, more focused responses
+    maxTokens: 300, // Limit response length for speed
+    timeout: 15000, // 15 second timeout
+    maxRetries: 1, // Reduce retries
+    ...options,
+    callbacks: [new MetricsCallbackHandler({ provider: chat.provider, model }), ...(options.callbacks || [])]
+  });
+};
@@ -0,0 +1,213 @@
+// utils/queryFilters.js
+// Extracts structured constraints (price, brand, category, fuel type, model year,
+// availability) from a free-text question and turns them into a vector-search
+// pre-filter on CarVector.metadata.
+import CarProduct from "../models/carModel.js";
+
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+let vocabulary = null;
+let vocabularyLoadedAt = 0;
+
+// Distinct brand / category / fuelType values (and car names), so matches use the catalog's own spelling
+export const getVocabulary = async () => {
+  if (vocabulary && Date.now() - vocabularyLoadedAt < VOCABULARY_TTL_MS) {
+    return vocabulary;
+  }
+  const [brands, categories, fuelTypes, names] = await Promise.all([
+    CarProduct.distinct("brand"),
+    CarProduct.distinct("category"),
+    CarProduct.distinct("fuelType"),
+    CarProduct.distinct("name")
+  ]);
+  vocabulary = {
+    brands: brands.filter(Boolean),
+    categories: categories.filter(Boolean),
+    fuelTypes: fuelTypes.filter(Boolean),
+    names: names.filter(Boolean)
+  };
+  vocabularyLoadedAt = Date.now();
+  return vocabulary;
+};
+
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Words customers use that don't literally appear in the stored values
+const CATEGORY_SYNONYMS = {
+  truck: ["pickup", "pick-up", "trucks"],
+  hatchback: ["hatch", "hatches"],
+  van: ["minivan", "minivans"],
+  wagon: ["estate", "estates"]
+};
+
+const FUEL_SYNONYMS = {
+  hybrid: ["hybrid", "hybrids", "plug-in"],
+  electric: ["electric", "ev", "evs", "battery"],
+  petrol: ["petrol", "gas", "gasoline"],
+  gasoline: ["petrol", "gas", "gasoline"],
+  diesel: ["diesel"]
+};
+
+const mentions = (text, term) =>
+  new RegExp(`\\b${escapeRegex(term)}(?:e?s)?\\b`, "i").test(text);
+
+// Catalog values that the question refers to, directly or through a synonym
+const matchValues = (text, values, synonyms = {}) =>
+  values.filter(value => {
+    if (mentions(text, value)) return true;
+    const lower = value.toLowerCase();
+    return Object.entries(synonyms).some(([key, words]) =>
+      lower.includes(key) && words.some(word => mentions(text, word))
+    );
+  });
+
+const AMOUNT = String.raw`\$?\s*\d[\d,]*(?:\.\d+)?\s*(?:k|m)?\b`;
+
+const parseAmount = (raw) => {
+  const cleaned = raw.replace(/[$,\s]/g, "").toLowerCase();
+  let value = parseFloat(cleaned);
+  if (cleaned.endsWith("k")) value *= 1000;
+  if (cleaned.endsWith("m")) value *= 1000000;
+  return value;
+};
+
+// A bare four-digit number in this range is a model year, not a price
+const isYear = (raw) => /^(19|20)\d{2}$/.test(raw.trim());
+
+// First amount after one of the keywords that isn't a model year
+const findAmount = (text, keywords) => {
+  const pattern = new RegExp(`\\b(?:${keywords})\\s+(${AMOUNT})`, "gi");
+  for (const match of text.matchAll(pattern)) {
+    if (!isYear(match[1])) return parseAmount(match[1]);
+  }
+  return undefined;
+};
+
+const extractPrice = (text) => {
+  const between = text.match(new RegExp(`\\b(?:between|from)\\s+(${AMOUNT})\\s*(?:and|to|-)\\s*(${AMOUNT})`, "i"))
+    || text.match(new RegExp(`(\\$\\s*\\d[\\d,]*(?:\\.\\d+)?\\s*k?|\\b\\d+(?:\\.\\d+)?\\s*k)\\s*-\\s*(${AMOUNT})`, "i"));
+  if (between && !isYear(between[1]) && !isYear(between[2])) {
+    const [min, max] = [parseAmount(between[1]), parseAmount(between[2])].sort((a, b) => a - b);
+    return { min, max };
+  }
+
+  const price = {};
+  const max = findAmount(text, "under|below|less than|cheaper than|up to|at most|max(?:imum)?|within|no more than|budget(?: of)?");
+  if (max !== undefined) price.max = max;
+
+  const min = findAmount(text, "over|above|more than|at least|min(?:imum)?|starting at|no less than");
+  if (min !== undefined) price.min = min;
+
+  return Object.keys(price).length ? price : undefined;
+};
+
+const extractModelYear = (text) => {
+  const YEAR = String.raw`((?:19|20)\d{2})`;
+
+  const range = text.match(new RegExp(`\\b${YEAR}\\s*(?:and|to|-)\\s*${YEAR}\\b`, "i"));
+  if (range) {
+    const [min, max] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+    return { min, max };
+  }
+
+  let match;
+  if ((match = text.match(new RegExp(`${YEAR}\\s*(?:or|and)\\s*(?:later|newer|up|above)|${YEAR}\\s*\\+`, "i")))) {
+    return { min: Number(match[1] || match[2]) };
+  }
+  if ((match = text.match(new RegExp(`\\b(?:from|since|newer than|at least)\\s+${YEAR}`, "i")))) {
+    return { min: Number(match[1]) };
+  }
+  if ((match = text.match(new RegExp(`\\bafter\\s+${YEAR}`, "i")))) {
+    return { min: Number(match[1]) + 1 };
+  }
+  if ((match = text.match(new RegExp(`${YEAR}\\s*(?:or|and)\\s*(?:older|earlier|before|below)`, "i")))) {
+    return { max: Number(match[1]) };
+  }
+  if ((match = text.match(new RegExp(`\\b(?:before|older than)\\s+${YEAR}`, "i")))) {
+    return { max: Number(match[1]) - 1 };
+  }
+  if ((match = text.match(new RegExp(`\\b${YEAR}\\b`)))) {
+    return { min: Number(match[1]), max: Number(match[1]) };
+  }
+  return undefined;
+};
+
+/**
+ * Pull structured constraints out of a question.
+ * e.g. "hybrid SUVs under $30,000 from 2022 or later" ->
+ *   { price: { max: 30000 }, fuelType: ["Hybrid"], category: ["SUV"], modelYear: { min: 2022 } }
+ */
+export const extractConstraints = async (query) => {
+  const { brands, categories, fuelTypes } = await getVocabulary();
+  const constraints = {};
+
+  const price = extractPrice(query);
+  if (price) constraints.price = price;
+
+  const modelYear = extractModelYear(query);
+  if (modelYear) constraints.modelYear = modelYear;
+
+  const brand = matchValues(query, brands);
+  if (brand.length) constraints.brand = brand;
+
+  const category = matchValues(query, categories, CATEGORY_SYNONYMS);
+  if (category.length) constraints.category = category;
+
+  const fuelType = matchValues(query, fuelTypes, FUEL_SYNONYMS);
+  if (fuelType.length) constraints.fuelType = fuelType;
+
+  if (/\b(in stock|available|on the lot)\b/i.test(query)) {
+    constraints.available = true;
+  }
+
+  return constraints;
+};
+
+const VOCABULARY_FIELDS = { brand: "brands", category: "categories", fuelType: "fuelTypes" };
+
+// Catalog listing filters (?brand, ?category, ?fuelType, case-insensitive
+// regex) as a CarProduct query; shared by GET /cars and the export
+export const catalogFilter = (query = {}) => {
+  const filter = {};
+  for (const field of Object.keys(VOCABULARY_FIELDS)) {
+    if (query[field]) filter[field] = { $regex: query[field], $options: "i" };
+  }
+  return filter;
+};
+
+/**
+ * Catalog values of `field` (brand, category or fuelType) matching a
+ * case-insensitive pattern - the same semantics as the getAllCars regex
+ * filters, resolved to exact values so they can be used as vector pre-filters.
+ */
+export const resolveCatalogValues = async (field, pattern) => {
+  const values = (await getVocabulary())[VOCABULARY_FIELDS[field]];
+  let regex;
+  try {
+    regex = new RegExp(pattern, "i");
+  } catch {
+    regex = new RegExp(escapeRegex(pattern), "i");
+  }
+  return values.filter(value => regex.test(value));
+};
+
+const rangeCondition = ({ min, max }) => ({
+  ...(min !== undefined && { $gte: min }),
+  ...(max !== undefined && { $lte: max })
+});
+
+// Convert extracted constraints into an Atlas $vectorSearch pre-filter (null when unconstrained)
+export const toVectorFilter = (constraints = {}) => {
+  const conditions = [];
+
+  if (constraints.price) conditions.push({ "metadata.price": rangeCondition(constraints.price) });
+  if (constraints.modelYear) conditions.push({ "metadata.modelYear": rangeCondition(constraints.modelYear) });
+  for (const field of ["brand", "category", "fuelType"]) {
+    if (constraints[field]) conditions.push({ [`metadata.${field}`]: { $in: constraints[field] } });
+  }
+  if (constraints.available !== undefined) {
+    conditions.push({ "metadata.available": { $eq: constraints.available } });
+  }
+
+  if (conditions.length === 0) return null;
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
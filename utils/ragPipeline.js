@@ -0,0 +1,114 @@
+// utils/ragPipeline.js
+// The steps of answering a question from the catalog: retrieve context, build
+// the prompt from a prompt version (utils/promptTemplates.js), and verify the
+// answer against the retrieved records. Shared by the ask endpoints and the
+// offline evaluation (utils/evaluation.js), so an evaluation run measures
+// exactly what customers get.
+//   RAG_TOP_K  chunks retrieved as context for an answer (default 3)
+import { extractConstraints, toVectorFilter } from "./queryFilters.js";
+import { enforceGrounding, loadGroundingRecords } from "./grounding.js";
+import { searchByVector, searchVectors } from "./vectorStore.js";
+import { renderPrompt } from "./promptTemplates.js";
+import logger from "./logger.js";
+
+// Kept small for faster processing
+export const getRetrievalK = () => Number(process.env.RAG_TOP_K) || 3;
+
+// Run the vector search and build the prompt context for a query.
+// Constraints found in the question (price, brand, year...) become metadata pre-filters.
+// `precomputed` reuses the filters and query embedding of a cache lookup;
+// `k` overrides RAG_TOP_K (evaluation runs with their own k).
+export const retrieveContext = async (query, precomputed = {}) => {
+  const startTime = Date.now();
+  const filters = precomputed.filters || await extractConstraints(query);
+  const preFilter = toVectorFilter(filters);
+  const k = precomputed.k || getRetrievalK();
+
+  const scored = precomputed.embedding
+    ? await searchByVector(precomputed.embedding, k, preFilter)
+    : await searchVectors(query, k, preFilter);
+  const results = scored.map(([doc, score]) => ({ ...doc, score }));
+  const vectorSearchTime = Date.now() - startTime;
+
+  // Enhanced context construction with metadata integration (optimized)
+  const contextParts = results.map((r, index) => {
+    const meta = r.metadata || {};
+    let price = meta.price || meta.metadata?.price;
+    let name = meta.name || meta.metadata?.name;
+
+    // Simplified context - only essential info
+    let contextText = r.pageContent;
+    if (price && name) {
+      contextText += `\nCURRENT PRICE: $${price}`;
+    }
+
+    return `[Car ${index + 1}]\n${contextText}`;
+  });
+
+  logger.info("Vector search completed", { vectorSearchMs: vectorSearchTime, results: results.length });
+
+  return {
+    results,
+    filters,
+    context: contextParts.join("\n\n---\n\n"),
+    startTime,
+    vectorSearchTime
+  };
+};
+
+// Prior turns go between the system prompt and the new question, unless the
+// template places {history} in the system prompt itself
+export const buildMessages = async (prompt, { context, query, history = [] }) => [
+  {
+    role: "system",
+    content: await renderPrompt(prompt, { context, question: query, history })
+  },
+  ...(prompt.variables.includes("history") ? [] : history.map(m => ({ role: m.role, content: m.content }))),
+  {
+    role: "user",
+    content: query
+  }
+];
+
+export const buildSources = (results) => results.map((r, index) => {
+  const meta = r.metadata || {};
+
+  // Optimized metadata extraction
+  let carId = meta.carId || meta.metadata?.carId;
+  let name = meta.name || meta.metadata?.name;
+  let brand = meta.brand || meta.metadata?.brand;
+  let price = meta.price || meta.metadata?.price;
+  let category = meta.category || meta.metadata?.category;
+
+  // Quick fallback to pageContent parsing only if needed
+  if (!name && r.pageContent) {
+    const lines = r.pageContent.split('\n');
+    name = lines.find(line => line.startsWith('Car:'))?.replace('Car:', '').trim() || 'Unknown';
+    brand = lines.find(line => line.startsWith('Brand:'))?.replace('Brand:', '').trim() || 'Unknown';
+    price = lines.find(line => line.startsWith('Price:'))?.replace('Price:', '').trim() || 'N/A';
+    category = lines.find(line => line.startsWith('Category:'))?.replace('Category:', '').trim() || 'Unknown';
+  }
+
+  return {
+    label: `Car ${index + 1}`,
+    carId,
+    name: name || 'Unknown',
+    brand: brand || 'Unknown',
+    price: price || 'N/A',
+    category: category || 'Unknown',
+    score: typeof r.score === 'number' ? Number(r.score.toFixed(4)) : undefined
+  };
+});
+
+// Verify the answer against the retrieved catalog records and apply GROUNDING_POLICY.
+// Regeneration re-asks the model with the issues found in the first answer.
+export const groundAnswer = async ({ llm, messages, answer, query, results }) => enforceGrounding({
+  answer,
+  query,
+  records: await loadGroundingRecords(results),
+  regenerate: async (correction) => (await llm.invoke([
+    ...messages,
+    { role: "assistant", content: answer },
+    { role: "user", content: correction }
+  ])).content
+});
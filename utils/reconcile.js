@@ -0,0 +1,237 @@
+// utils/reconcile.js
+// Compares the car catalog with the vector collection and repairs drift:
+//   missing  - cars without any CarVector chunk
+//   orphaned - vectors whose car has been deleted
+//   stale    - vectors whose text or metadata no longer matches the car
+import CarProduct from "../models/carModel.js";
+import CarVector from "../models/vectorModel.js";
+import { upsertEmbeddingForCar } from "../listeners/vectorSync.js";
+import { METADATA_FIELDS, buildCarDocuments } from "./carDocuments.js";
+import {
+  countVectorsByVersion,
+  getActiveEmbeddingSpec,
+  getTargetEmbeddingSpec
+} from "./embeddingVersion.js";
+import logger from "./logger.js";
+
+const sameValue = (a, b) => (a ?? null) === (b ?? null);
+
+// Why a car's vectors are out of date ([] when they match)
+const staleReasons = async (car, vectors) => {
+  const reasons = [];
+
+  // Stored chunks must be exactly what the shared document builder produces today
+  const expected = await buildCarDocuments(car);
+  const stored = [...vectors].sort((a, b) => (a.chunkIndex ?? 0) - (b.chunkIndex ?? 0));
+  if (stored.length !== expected.length) {
+    reasons.push("text.chunks");
+  } else if (stored.some((v, i) => v.text !== expected[i].text)) {
+    reasons.push("text.content");
+  }
+
+  for (const field of METADATA_FIELDS) {
+    if (vectors.some(v => !sameValue(v.metadata?.[field], car[field]))) {
+      reasons.push(`metadata.${field}`);
+    }
+  }
+
+  return reasons;
+};
+
+const findOrphanedCarIds = async () => {
+  const groups = await CarVector.aggregate([
+    {
+      $lookup: {
+        from: CarProduct.collection.name,
+        localField: "carId",
+        foreignField: "_id",
+        as: "car",
+        pipeline: [{ $project: { _id: 1 } }]
+      }
+    },
+    { $match: { car: { $size: 0 } } },
+    { $group: { _id: "$carId", vectors: { $sum: 1 } } }
+  ]);
+  return groups.map(g => ({ carId: g._id, vectors: g.vectors }));
+};
+
+// Walk the catalog once, joining each car with its vectors of one embedding
+// version (embeddings left out)
+const scanCatalog = async (version) => {
+  const missing = [];
+  const stale = [];
+  let carCount = 0;
+
+  const cursor = CarProduct.aggregate([
+    {
+      $lookup: {
+        from: CarVector.collection.name,
+        localField: "_id",
+        foreignField: "carId",
+        as: "vectors",
+        pipeline: [
+          { $match: { embeddingVersion: version } },
+          { $project: { text: 1, metadata: 1, chunkIndex: 1 } }
+        ]
+      }
+    }
+  ]).cursor();
+
+  for await (const { vectors, ...car } of cursor) {
+    carCount++;
+    if (vectors.length === 0) {
+      missing.push({ car });
+      continue;
+    }
+    const reasons = await staleReasons(car, vectors);
+    if (reasons.length) {
+      stale.push({ car, reasons, chunks: vectors.length });
+    }
+  }
+
+  return { carCount, missing, stale };
+};
+
+/**
+ * Drift report for GET /sync/status. `sampleLimit` caps how many cars are
+ * listed per category; counts are always complete.
+ */
+export const buildDriftReport = async ({ sampleLimit = 20 } = {}) => {
+  const active = await getActiveEmbeddingSpec();
+  const target = getTargetEmbeddingSpec();
+  const [{ carCount, missing, stale }, orphaned, vectorCount, byVersion] = await Promise.all([
+    scanCatalog(active.version),
+    findOrphanedCarIds(),
+    CarVector.countDocuments(),
+    countVectorsByVersion()
+  ]);
+
+  const summary = ({ car }) => ({ carId: car._id, name: car.name });
+
+  return {
+    carCount,
+    vectorCount,
+    embeddingVersion: {
+      active: active.version,
+      target: target.version,
+      reindexRequired: active.version !== target.version,
+      byVersion
+    },
+    syncStatus: missing.length || orphaned.length || stale.length ? "drifted" : "synced",
+    missing: { count: missing.length, sample: missing.slice(0, sampleLimit).map(summary) },
+    orphaned: {
+      count: orphaned.length,
+      vectors: orphaned.reduce((sum, o) => sum + o.vectors, 0),
+      sample: orphaned.slice(0, sampleLimit)
+    },
+    stale: {
+      count: stale.length,
+      sample: stale.slice(0, sampleLimit).map(s => ({ ...summary(s), chunks: s.chunks, reasons: s.reasons }))
+    },
+    checkedAt: new Date()
+  };
+};
+
+let running = false;
+
+export const isReconcileRunning = () => running;
+
+/**
+ * Repair drift in batches. Cars with missing or stale text are re-embedded,
+ * metadata-only drift is patched in place, orphaned vectors are deleted.
+ * With `dryRun` nothing is written and the planned repairs are returned.
+ * Only runs while the configured embedding version is the active one; a
+ * model or template change is migrated with a re-index instead.
+ */
+export const reconcileVectors = async ({ dryRun = true, batchSize = 50 } = {}) => {
+  if (running) {
+    throw new Error("Reconciliation is already running");
+  }
+  running = true;
+  const startedAt = Date.now();
+
+  try {
+    const active = await getActiveEmbeddingSpec();
+    const target = getTargetEmbeddingSpec();
+    if (active.version !== target.version) {
+      throw new Error(`Embedding version ${target.version} is configured but ${active.version} is active. Run a re-index first.`);
+    }
+
+    const [{ missing, stale }, orphaned] = await Promise.all([scanCatalog(active.version), findOrphanedCarIds()]);
+
+    const reembed = [
+      ...missing.map(m => m.car),
+      ...stale.filter(s => s.reasons.some(r => r.startsWith("text."))).map(s => s.car)
+    ];
+    const metadataOnly = stale.filter(s => s.reasons.every(r => r.startsWith("metadata.")));
+
+    const plan = {
+      reembed: reembed.length,
+      metadataUpdates: metadataOnly.length,
+      orphanedDeletes: orphaned.length
+    };
+
+    if (dryRun) {
+      return { dryRun: true, plan, durationMs: Date.now() - startedAt };
+    }
+
+    const result = { reembedded: 0, reembedFailed: 0, metadataUpdated: 0, orphanedVectorsDeleted: 0 };
+
+    for (let i = 0; i < reembed.length; i += batchSize) {
+      const batch = reembed.slice(i, i + batchSize);
+      const outcomes = await Promise.all(batch.map(car => upsertEmbeddingForCar(car)));
+      result.reembedded += outcomes.filter(Boolean).length;
+      result.reembedFailed += outcomes.filter(ok => !ok).length;
+      logger.info("Reconcile re-embedded batch", { done: Math.min(i + batchSize, reembed.length), total: reembed.length });
+    }
+
+    for (let i = 0; i < metadataOnly.length; i += batchSize) {
+      const batch = metadataOnly.slice(i, i + batchSize);
+      const writes = await CarVector.bulkWrite(batch.map(({ car }) => ({
+        updateMany: {
+          filter: { carId: car._id },
+          update: {
+            $set: Object.fromEntries(METADATA_FIELDS.map(field => [`metadata.${field}`, car[field] ?? null]))
+          }
+        }
+      })));
+      result.metadataUpdated += writes.modifiedCount;
+    }
+
+    for (let i = 0; i < orphaned.length; i += batchSize) {
+      const carIds = orphaned.slice(i, i + batchSize).map(o => o.carId);
+      const deleted = await CarVector.deleteMany({ carId: { $in: carIds } });
+      result.orphanedVectorsDeleted += deleted.deletedCount;
+    }
+
+    logger.info("Reconcile completed", { result });
+    return { dryRun: false, plan, result, durationMs: Date.now() - startedAt };
+  } finally {
+    running = false;
+  }
+};
+
+let scheduleTimer = null;
+
+// Periodic repair, enabled with RECONCILE_INTERVAL_MINUTES (off when unset or 0)
+export const startReconcileSchedule = () => {
+  const minutes = Number(process.env.RECONCILE_INTERVAL_MINUTES) || 0;
+  if (!minutes || scheduleTimer) return;
+
+  logger.info("Vector reconciliation scheduled", { intervalMinutes: minutes });
+  scheduleTimer = setInterval(async () => {
+    if (running) return;
+    try {
+      await reconcileVectors({ dryRun: false });
+    } catch (error) {
+      logger.error("Scheduled reconciliation failed", error);
+    }
+  }, minutes * 60 * 1000);
+};
+
+export const stopReconcileSchedule = () => {
+  if (scheduleTimer) {
+    clearInterval(scheduleTimer);
+    scheduleTimer = null;
+  }
+};
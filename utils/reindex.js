@@ -0,0 +1,262 @@
+// utils/reindex.js
+// Background re-index: re-embeds the whole catalog for the configured
+// (target) embedding version in rate-limited batches, then makes it the active
+// version and removes vectors of every other version. The switch only happens
+// once every car has a vector of the target version, and the old vectors are
+// kept until every process has re-read the active version. Progress lives in the
+// ReindexJob document, so a job interrupted by a crash resumes from the last
+// completed batch.
+import CarProduct from "../models/carModel.js";
+import CarVector from "../models/vectorModel.js";
+import ReindexJob from "../models/reindexJobModel.js";
+import { getEmbeddings } from "./providers.js";
+import { buildCarDocuments, replaceCarVectors } from "./carDocuments.js";
+import {
+  ACTIVE_CACHE_MS,
+  getActiveEmbeddingSpec,
+  getTargetEmbeddingSpec,
+  setActiveEmbeddingSpec
+} from "./embeddingVersion.js";
+import logger from "./logger.js";
+
+// Read at call time so values loaded by dotenv after import are honoured
+const getDefaultSettings = () => ({
+  batchSize: Number(process.env.REINDEX_BATCH_SIZE) || 25,
+  batchDelayMs: Number(process.env.REINDEX_BATCH_DELAY_MS) || 1000
+});
+
+const ALREADY_RUNNING = "A re-index is already running";
+const HEARTBEAT_STALE_MS = 60 * 1000;
+const EMBED_ATTEMPTS = 3;
+const MAX_RECORDED_FAILURES = 20;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Jobs this process is currently running, by id
+const runningHere = new Map();
+let stopping = false;
+
+export const getRunningReindexJob = () => ReindexJob.findOne({ status: "running" }).lean();
+
+export const getLatestReindexJob = () => ReindexJob.findOne().sort({ createdAt: -1 }).lean();
+
+const embedWithRetry = async (spec, texts) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await getEmbeddings(spec).embedDocuments(texts);
+    } catch (error) {
+      if (attempt >= EMBED_ATTEMPTS) throw error;
+      logger.warn("Re-index embedding batch failed, retrying", { attempt, error });
+      await sleep(1000 * 2 ** attempt);
+    }
+  }
+};
+
+const processBatch = async (job, cars) => {
+  const chunksPerCar = await Promise.all(cars.map(buildCarDocuments));
+  const vectors = await embedWithRetry(job.target, chunksPerCar.flat().map(chunk => chunk.text));
+
+  const failures = [];
+  let offset = 0;
+  for (let i = 0; i < cars.length; i++) {
+    const chunks = chunksPerCar[i];
+    const carVectors = vectors.slice(offset, offset + chunks.length);
+    offset += chunks.length;
+    try {
+      await replaceCarVectors(cars[i]._id, chunks, carVectors, job.target);
+    } catch (error) {
+      failures.push({ carId: cars[i]._id, error: error.message });
+    }
+  }
+  return failures;
+};
+
+// Cars without a vector of the version: failed writes, or cars added while
+// the job was between batches with another version configured
+const findCarsWithoutVectors = async (version) => {
+  const embedded = await CarVector.distinct("carId", { embeddingVersion: version });
+  return CarProduct.find({ _id: { $nin: embedded } }).sort({ _id: 1 }).lean();
+};
+
+// A car whose re-embed failed still depends on its old vectors, so they are
+// only deleted once every car has a vector of the target version
+const finishJob = async (job) => {
+  let missing = await findCarsWithoutVectors(job.target.version);
+  if (missing.length) {
+    logger.info("Re-index retrying cars without vectors", { jobId: job._id, cars: missing.length });
+    for (let i = 0; i < missing.length; i += job.batchSize) {
+      await processBatch(job, missing.slice(i, i + job.batchSize));
+      await ReindexJob.updateOne({ _id: job._id }, { $set: { heartbeatAt: new Date() } });
+    }
+    missing = await findCarsWithoutVectors(job.target.version);
+  }
+
+  if (missing.length) {
+    await ReindexJob.updateOne({ _id: job._id }, { $set: { failed: missing.length } });
+    throw new Error(`${missing.length} cars have no vectors for ${job.targetVersion}, so the active version was kept. Start the re-index again to retry them.`);
+  }
+
+  await setActiveEmbeddingSpec(job.target);
+
+  // Other processes search the previous version until their cached pointer
+  // expires; its vectors are deleted once they have all switched
+  await ReindexJob.updateOne({ _id: job._id }, { $set: { heartbeatAt: new Date() } });
+  logger.info("Re-index switched the active version, waiting before removing old vectors", { jobId: job._id, version: job.targetVersion });
+  for (const waitUntil = Date.now() + ACTIVE_CACHE_MS + 5000; Date.now() < waitUntil;) {
+    // Resumed on the next start, which switches again and waits again
+    if (stopping) return;
+    await sleep(1000);
+  }
+  const removed = await CarVector.deleteMany({ embeddingVersion: { $ne: job.target.version } });
+
+  await ReindexJob.updateOne(
+    { _id: job._id },
+    { $set: { status: "completed", failed: 0, finishedAt: new Date(), heartbeatAt: new Date() } }
+  );
+  logger.info("Re-index completed", { jobId: job._id, version: job.targetVersion, oldVectorsRemoved: removed.deletedCount });
+};
+
+const runJob = async (id) => {
+  try {
+    let job = await ReindexJob.findById(id).lean();
+    logger.info(job.lastCarId ? "Re-index resuming" : "Re-index starting", { jobId: id, processed: job.processed, total: job.total, version: job.targetVersion });
+
+    for (;;) {
+      // The job stays "running"; the next start resumes it from lastCarId
+      if (stopping) {
+        logger.info("Re-index paused for shutdown", { jobId: id, processed: job.processed });
+        return;
+      }
+
+      const cars = await CarProduct.find(job.lastCarId ? { _id: { $gt: job.lastCarId } } : {})
+        .sort({ _id: 1 })
+        .limit(job.batchSize)
+        .lean();
+      if (cars.length === 0) break;
+
+      const failures = await processBatch(job, cars);
+
+      job = await ReindexJob.findByIdAndUpdate(
+        id,
+        {
+          $inc: { processed: cars.length, failed: failures.length },
+          $set: { lastCarId: cars[cars.length - 1]._id, heartbeatAt: new Date() },
+          $push: { failures: { $each: failures, $slice: -MAX_RECORDED_FAILURES } }
+        },
+        { new: true, lean: true }
+      );
+      logger.info("Re-index progress", { jobId: id, processed: job.processed, total: job.total, failed: job.failed });
+
+      // Rate limit: pause between batches
+      await sleep(job.batchDelayMs);
+    }
+
+    await finishJob(job);
+  } catch (error) {
+    logger.error("Re-index failed", { jobId: id, error });
+    await ReindexJob.updateOne(
+      { _id: id },
+      { $set: { status: "failed", error: error.message, finishedAt: new Date() } }
+    );
+  }
+};
+
+/**
+ * Run (or continue) a job until the catalog is exhausted. Embedding failures
+ * that survive retries, or cars still without a target vector after the
+ * final retry, stop the job as "failed"; it can be resumed by starting a new
+ * re-index, which continues from `lastCarId`.
+ */
+export const runReindexJob = (jobId) => {
+  const id = jobId.toString();
+  if (!runningHere.has(id)) {
+    runningHere.set(id, runJob(id).finally(() => runningHere.delete(id)));
+  }
+  return runningHere.get(id);
+};
+
+// Stop after the current batch and wait; the job resumes on the next start
+export const stopReindexJobs = async () => {
+  stopping = true;
+  await Promise.allSettled(runningHere.values());
+};
+
+/**
+ * Start a re-index to the configured embedding version, or continue the last
+ * failed one for the same version from where it stopped. Returns null when
+ * the configured version is already active (unless `force`). With
+ * `background: false` the caller runs the job itself via runReindexJob.
+ */
+export const startReindex = async ({ batchSize, batchDelayMs, force = false, background = true } = {}) => {
+  const target = getTargetEmbeddingSpec();
+  const active = await getActiveEmbeddingSpec();
+
+  if (!force && active.version === target.version) {
+    return null;
+  }
+
+  const defaults = getDefaultSettings();
+  const settings = {
+    batchSize: batchSize || defaults.batchSize,
+    batchDelayMs: batchDelayMs ?? defaults.batchDelayMs
+  };
+
+  // The unique index on running jobs lets only one request start a job
+  const latest = await getLatestReindexJob();
+  let job;
+  try {
+    if (latest?.status === "failed" && latest.targetVersion === target.version) {
+      job = await ReindexJob.findOneAndUpdate(
+        { _id: latest._id, status: "failed" },
+        { $set: { ...settings, status: "running", heartbeatAt: new Date() }, $unset: { error: 1, finishedAt: 1 } },
+        { new: true, lean: true }
+      );
+      if (!job) throw new Error(ALREADY_RUNNING);
+    } else {
+      job = (await ReindexJob.create({
+        ...settings,
+        sourceVersion: active.version,
+        targetVersion: target.version,
+        target,
+        total: await CarProduct.countDocuments(),
+        heartbeatAt: new Date()
+      })).toObject();
+    }
+  } catch (error) {
+    if (error.code === 11000) throw new Error(ALREADY_RUNNING);
+    throw error;
+  }
+
+  // Runs in the background; progress is read from the job document
+  if (background) runReindexJob(job._id);
+  return job;
+};
+
+/**
+ * Take over a running job whose worker died (heartbeat went stale). Returns
+ * the claimed job, or null while another process still owns it.
+ */
+export const claimStaleReindexJob = (job) => ReindexJob.findOneAndUpdate(
+  { _id: job._id, status: "running", heartbeatAt: { $lt: new Date(Date.now() - HEARTBEAT_STALE_MS) } },
+  { $set: { heartbeatAt: new Date() } },
+  { new: true, lean: true }
+);
+
+/**
+ * Pick up a job whose worker died, e.g. after a crash or restart. Called on
+ * startup; checks again later if another process might still be working on it.
+ */
+export const resumeReindexJobs = async () => {
+  const job = await getRunningReindexJob();
+  if (!job || runningHere.has(job._id.toString())) return;
+
+  const claimed = await claimStaleReindexJob(job);
+
+  if (claimed) {
+    runReindexJob(claimed._id);
+  } else {
+    setTimeout(() => {
+      resumeReindexJobs().catch(error => logger.error("Failed to resume re-index", error));
+    }, HEARTBEAT_STALE_MS).unref();
+  }
+};
@@ -0,0 +1,36 @@
+// utils/sse.js
+// Small helper for writing Server-Sent Events to an Express response.
+
+export const wantsEventStream = (req) =>
+  (req.get("accept") || "").includes("text/event-stream");
+
+export const openEventStream = (req, res) => {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no" // disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  // Aborted when the client goes away before we finish
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+    get closed() {
+      return controller.signal.aborted || res.writableEnded;
+    },
+    send(event, data) {
+      if (this.closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (!res.writableEnded) res.end();
+    }
+  };
+};
@@ -0,0 +1,134 @@
+// utils/usage.js
+// Token accounting per client. Chat usage comes from what the model reports
+// (LangChain `usage_metadata` / `llmOutput.tokenUsage`) via a callback handler;
+// embedding APIs report nothing through LangChain, so embedded text is
+// estimated at ~4 characters per token.
+//   MODEL_PRICING  JSON overrides/additions to the price table, in USD per
+//                  1M tokens: {"my-model": {"input": 0.5, "output": 1.5}}
+import { BaseCallbackHandler } from "@langchain/core/callbacks/base";
+import ApiUsage from "../models/apiUsageModel.js";
+import { getProviderConfig } from "./providers.js";
+import logger from "./logger.js";
+
+// USD per 1M tokens
+const DEFAULT_PRICING = {
+  "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "text-embedding-3-small": { input: 0.02 },
+  "text-embedding-3-large": { input: 0.13 },
+  "text-embedding-ada-002": { input: 0.1 }
+};
+
+const pricing = () => {
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(process.env.MODEL_PRICING || "{}") };
+  } catch {
+    logger.warn("MODEL_PRICING is not valid JSON; using default prices");
+    return DEFAULT_PRICING;
+  }
+};
+
+// Unknown models (local servers, builtin) cost nothing
+export const estimateCost = (model, inputTokens, outputTokens = 0) => {
+  const price = pricing()[model];
+  if (!price) return 0;
+  return (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6;
+};
+
+export const estimateTextTokens = (texts) =>
+  [].concat(texts).reduce((sum, text) => sum + Math.ceil((text || "").length / 4), 0);
+
+// UTC day, the unit of quotas and reports
+export const usageDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// Who to charge: the API key, or the caller's address when auth is off
+export const clientOf = (req) => req.apiKey
+  ? { id: req.apiKey.id.toString(), name: req.apiKey.name }
+  : { id: `ip:${req.ip}`, name: req.ip };
+
+export const recordUsage = async ({ client, kind, model, inputTokens = 0, outputTokens = 0, estimated = false }) => {
+  const totalTokens = inputTokens + outputTokens;
+  await ApiUsage.updateOne(
+    { clientId: client.id, day: usageDay(), kind, model },
+    {
+      $set: { clientName: client.name },
+      $inc: {
+        requests: 1,
+        inputTokens,
+        outputTokens,
+        totalTokens,
+        estimatedTokens: estimated ? totalTokens : 0,
+        estimatedCost: estimateCost(model, inputTokens, outputTokens)
+      }
+    },
+    { upsert: true }
+  );
+};
+
+// Usage is recorded in the background: accounting must never fail a request
+const recordInBackground = (usage) => {
+  recordUsage(usage).catch(error => logger.error("Failed to record token usage", error));
+};
+
+export const recordEmbeddingUsage = (client, texts, model = getProviderConfig().embedding.model) => {
+  recordInBackground({ client, kind: "embedding", model, inputTokens: estimateTextTokens(texts), estimated: true });
+};
+
+// Tokens of one kind a client has used today
+export const getDailyTokens = async (clientId, kind) => {
+  const [row] = await ApiUsage.aggregate([
+    { $match: { clientId, day: usageDay(), kind } },
+    { $group: { _id: null, totalTokens: { $sum: "$totalTokens" } } }
+  ]);
+  return row?.totalTokens || 0;
+};
+
+const tokensFromGeneration = (generation) => {
+  const usage = generation?.message?.usage_metadata;
+  return usage ? { inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0 } : null;
+};
+
+/**
+ * Records every chat-model call it sees for one client. Pass it with
+ * `getChatModel({ callbacks: [new UsageCallbackHandler(client)] })`.
+ */
+export class UsageCallbackHandler extends BaseCallbackHandler {
+  name = "usage_callback_handler";
+
+  constructor(client) {
+    super();
+    this.client = client;
+    this.models = new Map();
+  }
+
+  handleChatModelStart(llm, messages, runId, parentRunId, extraParams, tags, metadata) {
+    this.models.set(runId, metadata?.ls_model_name || extraParams?.invocation_params?.model);
+  }
+
+  handleLLMEnd(output, runId) {
+    const model = this.models.get(runId) || getProviderConfig().chat.model;
+    this.models.delete(runId);
+
+    const reported = tokensFromGeneration(output.generations?.[0]?.[0]);
+    const tokenUsage = output.llmOutput?.tokenUsage;
+    const usage = reported || (tokenUsage && {
+      inputTokens: tokenUsage.promptTokens || 0,
+      outputTokens: tokenUsage.completionTokens || 0
+    });
+
+    if (usage) {
+      recordInBackground({ client: this.client, kind: "chat", model, ...usage });
+    } else {
+      // Provider reported nothing: estimate from the generated text
+      const text = output.generations?.flat().map(generation => generation.text).join("") || "";
+      recordInBackground({ client: this.client, kind: "chat", model, outputTokens: estimateTextTokens(text), estimated: true });
+    }
+  }
+
+  handleLLMError(error, runId) {
+    this.models.delete(runId);
+  }
+}
+
+export const usageCallbacks = (req) => [new UsageCallbackHandler(clientOf(req))];
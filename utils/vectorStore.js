@@ -0,0 +1,90 @@
+// utils/vectorStore.js
+// Chooses the vector-store backend from configuration:
+//   VECTOR_STORE       atlas (default) | local
+//   VECTOR_SIMILARITY  cosine (default) | dotProduct - local backend only;
+//                      Atlas uses the similarity configured on its index
+// Both backends accept `{ preFilter }` metadata filters and return
+// [Document, score] pairs with scores normalized to 0..1.
+import { MongoDBAtlasVectorSearch } from "@langchain/mongodb";
+import mongoPool from "./mongoPool.js";
+import { getEmbeddings } from "./providers.js";
+import { LocalVectorSearch } from "./localVectorStore.js";
+import { getActiveEmbeddingSpec } from "./embeddingVersion.js";
+import { vectorSearchDuration } from "./metrics.js";
+
+export const getVectorStoreBackend = () => process.env.VECTOR_STORE || "atlas";
+
+// `spec` picks the embedding model used for queries (defaults to the configured one)
+export const getVectorStore = async (spec) => {
+  const backend = getVectorStoreBackend();
+  const embeddings = getEmbeddings(spec);
+
+  if (backend === "local") {
+    return new LocalVectorSearch(embeddings, {
+      similarity: process.env.VECTOR_SIMILARITY || "cosine"
+    });
+  }
+
+  if (backend !== "atlas") {
+    throw new Error(`Unknown VECTOR_STORE "${backend}". Use atlas or local.`);
+  }
+
+  // Get MongoDB client connection from pool
+  const client = await mongoPool.getClient();
+  const collection = client.db("RAG").collection("carvectors");
+
+  return new MongoDBAtlasVectorSearch(embeddings, {
+    collection,
+    indexName: "vector_index", // must match your Atlas index
+    textKey: "text",
+    embeddingKey: "embedding"
+  });
+};
+
+// Restrict a metadata pre-filter to vectors of one embedding version
+const withVersion = (preFilter, version) => {
+  const versionFilter = { embeddingVersion: { $eq: version } };
+  return preFilter ? { $and: [versionFilter, preFilter] } : versionFilter;
+};
+
+// Vector search on an already embedded query, timed for /metrics
+const searchVersion = async (spec, embedding, k, preFilter) => {
+  const vectorStore = await getVectorStore(spec);
+  return vectorSearchDuration.time(
+    { backend: getVectorStoreBackend() },
+    () => vectorStore.similaritySearchVectorWithScore(embedding, k, { preFilter: withVersion(preFilter, spec.version) })
+  );
+};
+
+/**
+ * Similarity search against the active embedding version only: the query is
+ * embedded with the active version's model and vectors of any other version
+ * (e.g. ones a running re-index is writing) are filtered out.
+ */
+export const searchVectors = async (query, k, preFilter) => {
+  const spec = await getActiveEmbeddingSpec();
+  const embedding = await getEmbeddings(spec).embedQuery(query);
+  return searchVersion(spec, embedding, k, preFilter);
+};
+
+// Same as searchVectors, but for an embedding that is already known (e.g. a
+// stored car vector), so nothing is embedded. The vector must come from the
+// active embedding version.
+export const searchByVector = async (embedding, k, preFilter) => {
+  const spec = await getActiveEmbeddingSpec();
+  return searchVersion(spec, embedding, k, preFilter);
+};
+
+// Collapse chunk hits into one hit per car (its best-scoring chunk), in ranking order
+export const bestHitPerCar = (scored) => {
+  const hits = new Map();
+  for (const [doc, score] of scored) {
+    const carId = doc.metadata?.carId?.toString();
+    if (!carId) continue;
+    const hit = hits.get(carId);
+    if (!hit || score > hit.score) {
+      hits.set(carId, { carId, score, snippet: doc.pageContent });
+    }
+  }
+  return [...hits.values()].sort((a, b) => b.score - a.score);
+};